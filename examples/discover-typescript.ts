@@ -49,8 +49,8 @@ async function discoverWithTypes(): Promise<void> {
             }
 
             // Access raw packet data
-            const packet: DnsPacket = device.packet;
-            console.log(`  Answers: ${packet.answers.length}`);
+            const packets: DnsPacket[] = device.packets;
+            console.log(`  Packets: ${packets.length}`);
             console.log('');
         });
     } catch (error) {
@@ -5,6 +5,9 @@
 
 /// <reference types="node" />
 
+import { EventEmitter } from 'events';
+import { DnsSd, NetifChange } from './dns-sd';
+
 /**
  * Parameters for the DnsSdAnnouncer constructor.
  */
@@ -42,6 +45,21 @@ export interface AnnouncerParams {
      * @example { version: "1.0", path: "/" }
      */
     txt?: Record<string, string | number | boolean>;
+
+    /**
+     * Subtypes to announce (RFC 6763 §7.1). A PTR record from each
+     * subtype name (e.g., "_printer._sub._http._tcp.local") to the
+     * instance is added to the answers. The leading "_" may be omitted.
+     * @example ["_printer"]
+     */
+    subtypes?: string[];
+
+    /**
+     * The DnsSd object whose monitors capture the sent packets
+     * (see `startMonitoring({ capture })`). Defaults to the object
+     * exported by the module.
+     */
+    dnssd?: DnsSd;
 }
 
 /**
@@ -49,6 +67,7 @@ export interface AnnouncerParams {
  *
  * Sends an authoritative mDNS response (RFC 6762 / RFC 6763) containing:
  * - PTR answer:      service-type  → instance FQDN
+ * - PTR answers:     subtype._sub.service-type → instance FQDN (per subtype)
  * - SRV additional: instance FQDN → host:port
  * - TXT additional: instance FQDN → key=value pairs
  * - A   additional: host          → IPv4 address
@@ -74,7 +93,7 @@ export interface AnnouncerParams {
  * });
  * ```
  */
-declare class DnsSdAnnouncer {
+declare class DnsSdAnnouncer extends EventEmitter {
     constructor(params: AnnouncerParams);
 
     /**
@@ -137,6 +156,20 @@ declare class DnsSdAnnouncer {
      * The announcer cannot be used after this call.
      */
     destroy(): Promise<void>;
+
+    /**
+     * Emitted when an IPv4 interface address appeared or vanished while
+     * the socket is open. An announced service has been announced on
+     * each new address already (twice, one second apart).
+     */
+    on(event: 'interfacesChanged', listener: (change: NetifChange) => void): this;
+
+    /**
+     * Emitted when handling an interface change failed. Emitted only
+     * while it is listened to.
+     */
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
 }
 
 export default DnsSdAnnouncer;
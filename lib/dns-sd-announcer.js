@@ -6,14 +6,19 @@
  * Packet structure (RFC 6762 / RFC 6763):
  *   Header  : QR=1 (response), AA=1 (authoritative), no questions
  *   Answers : PTR  service-type -> instance FQDN
+ *             PTR  subtype._sub.service-type -> instance FQDN (per subtype,
+ *                  RFC 6763 §7.1)
  *   Additional:
  *             SRV  instance FQDN -> host:port
  *             TXT  instance FQDN -> key=value pairs
  *             A    host -> IPv4 address
  * ---------------------------------------------------------------- */
 'use strict';
-const mDgram = require('node:dgram');
-const mOs   = require('node:os');
+const mDgram  = require('node:dgram');
+const mOs     = require('node:os');
+const mEvents = require('node:events');
+const DnsSdNetifWatcher = require('./dns-sd-netif-watcher.js');
+const mDnsSd  = require('./dns-sd.js');
 
 const MDNS_ADDR = '224.0.0.251';
 const MDNS_PORT = 5353;
@@ -32,7 +37,10 @@ const CLASS_IN_FLUSH = 0x8001; // cache-flush bit set (unicast-response)
 const TTL_SERVICE = 4500; // PTR / TXT
 const TTL_HOST    = 120;  // SRV / A
 
-class DnsSdAnnouncer {
+// Delay between the two announcements on a new link (RFC 6762 §8.3)
+const REANNOUNCE_DELAY = 1000; // msec
+
+class DnsSdAnnouncer extends mEvents.EventEmitter {
     /* ------------------------------------------------------------------
      * Constructor: DnsSdAnnouncer(params)
      * - params:
@@ -43,8 +51,20 @@ class DnsSdAnnouncer {
      *              |        |          | Defaults to "<hostname>.local"
      *   - port     | Number | Required | Service port  e.g. 8080
      *   - txt      | Object | Optional | Initial TXT records  { key: 'value', ... }
+     *   - subtypes | Array  | Optional | Subtypes     e.g. ["_printer"]
+     *              |        |          | The leading "_" may be omitted
+     *   - dnssd    | DnsSd  | Optional | The DnsSd object whose monitors
+     *              |        |          | capture the sent packets. Defaults
+     *              |        |          | to the object exported by the module
+     *
+     * Event:
+     *   - interfacesChanged | { added, removed } | While the socket is open,
+     *     the IPv4 interfaces are watched. An announced service is
+     *     announced again on each new address, then this event is emitted
+     *     with the lists of the addresses ({ name, family, address }).
      * ---------------------------------------------------------------- */
     constructor(params) {
+        super();
         if (!params || typeof params !== 'object') {
             throw new Error('params object is required.');
         }
@@ -60,10 +80,28 @@ class DnsSdAnnouncer {
         this._host          = params.host || `${mOs.hostname()}.local`;
         this._port          = params.port;
         this._txt           = {};
+        this._subtypes      = [];
 
         // Build the instance FQDN: "My Server._http._tcp.local"
         this._instanceFqdn  = `${this._instanceName}.${this._serviceType}`;
 
+        if (params.subtypes !== undefined) {
+            if (!Array.isArray(params.subtypes)) {
+                throw new Error('params.subtypes must be an array of strings.');
+            }
+            for (const v of params.subtypes) {
+                if (typeof v !== 'string' || !/^_?[^._][^.]*$/.test(v)) {
+                    throw new Error('params.subtypes must be non-empty strings without dots, e.g. "_printer".');
+                }
+                this._subtypes.push(v.startsWith('_') ? v : `_${v}`);
+            }
+        }
+
+        if (params.dnssd !== undefined && !(params.dnssd instanceof mDnsSd.DnsSd)) {
+            throw new Error('params.dnssd must be a DnsSd object.');
+        }
+        this._dnssd = params.dnssd || mDnsSd;
+
         if (params.txt && typeof params.txt === 'object' && !Array.isArray(params.txt)) {
             for (const [k, v] of Object.entries(params.txt)) {
                 this._txt[k] = String(v);
@@ -71,6 +109,14 @@ class DnsSdAnnouncer {
         }
 
         this._udp = null;
+        this._announced = false;
+        this._reannounceTimer = null;
+        this._watcher = new DnsSdNetifWatcher(() => this._getLocalIPv4List());
+        this._watcher.on('change', (change) => {
+            this._handleNetifChange(change).catch((error) => {
+                this._emitError(error);
+            });
+        });
     }
 
     /* ------------------------------------------------------------------
@@ -104,6 +150,7 @@ class DnsSdAnnouncer {
         await this._ensureSocket();
         const buf = this._buildPacket();
         await this._send(buf);
+        this._announced = true;
     }
 
     /* ------------------------------------------------------------------
@@ -112,6 +159,8 @@ class DnsSdAnnouncer {
      *   network caches per RFC 6762 §11.
      * ---------------------------------------------------------------- */
     async goodbye() {
+        this._announced = false;
+        this._clearReannounceTimer();
         await this._ensureSocket();
         const buf = this._buildPacket({ ttlOverride: 0 });
         await this._send(buf);
@@ -122,6 +171,8 @@ class DnsSdAnnouncer {
      *   Closes the UDP socket and releases resources.
      * ---------------------------------------------------------------- */
     destroy() {
+        this._watcher.stop();
+        this._clearReannounceTimer();
         return new Promise((resolve) => {
             if (!this._udp) {
                 resolve();
@@ -150,42 +201,99 @@ class DnsSdAnnouncer {
                 udp.setMulticastTTL(255);
                 udp.setMulticastLoopback(true);
                 this._udp = udp;
+                this._watcher.start();
                 resolve();
             });
         });
     }
 
-    _send(buf) {
+    async _handleNetifChange(change) {
+        if (this._announced && this._udp) {
+            const addresses = change.added.map((o) => o.address);
+            await this._reannounce(addresses);
+            this._clearReannounceTimer();
+            this._reannounceTimer = setTimeout(() => {
+                this._reannounceTimer = null;
+                this._reannounce(addresses);
+            }, REANNOUNCE_DELAY);
+        }
+        this.emit('interfacesChanged', change);
+    }
+
+    // An error is emitted only if the `error` event is listened to,
+    // otherwise it would be thrown
+    _emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    // Announces the service on each of the addresses with the address
+    // in the A record
+    async _reannounce(addresses) {
+        for (const address of addresses) {
+            if (!this._udp || !this._announced) {
+                return;
+            }
+            try {
+                this._udp.setMulticastInterface(address);
+                await this._send(this._buildPacket({ address }), address);
+            } catch (e) {
+                // The address may be gone already
+            }
+        }
+        if (this._udp) {
+            try {
+                // Let the system choose the interface again
+                this._udp.setMulticastInterface('0.0.0.0');
+            } catch (e) { }
+        }
+    }
+
+    _clearReannounceTimer() {
+        if (this._reannounceTimer) {
+            clearTimeout(this._reannounceTimer);
+            this._reannounceTimer = null;
+        }
+    }
+
+    // Sends the packet from the address if known, the system chooses
+    // the interface otherwise
+    _send(buf, address) {
         return new Promise((resolve, reject) => {
             this._udp.send(buf, 0, buf.length, MDNS_PORT, MDNS_ADDR, (err) => {
                 if (err) {
                     reject(err);
                 } else {
+                    const netif = address ? this._dnssd._findNetif(address) : null;
+                    this._dnssd._captureSent(buf, address || null, MDNS_ADDR, netif ? netif['name'] : null, MDNS_PORT);
                     resolve();
                 }
             });
         });
     }
 
-    _buildPacket({ ttlOverride } = {}) {
+    _buildPacket({ ttlOverride, address } = {}) {
         const ttlService = ttlOverride !== undefined ? ttlOverride : TTL_SERVICE;
         const ttlHost    = ttlOverride !== undefined ? ttlOverride : TTL_HOST;
 
         const ptrRec = this._buildPtrRecord(ttlService);
+        const subRecs = this._subtypes.map((subtype) => this._buildSubtypePtrRecord(subtype, ttlService));
         const srvRec = this._buildSrvRecord(ttlHost);
         const txtRec = this._buildTxtRecord(ttlService);
-        const aRec   = this._buildARecord(ttlHost);
+        const aRec   = this._buildARecord(ttlHost, address);
 
         const header = Buffer.from([
             0x00, 0x00,  // ID (always 0 for mDNS)
             0x84, 0x00,  // Flags: QR=1 Response, AA=1 Authoritative
             0x00, 0x00,  // QDCOUNT: 0
-            0x00, 0x01,  // ANCOUNT: 1 (PTR)
+            0x00, 0x01,  // ANCOUNT: 1 (PTR) + subtype PTRs
             0x00, 0x00,  // NSCOUNT: 0
             0x00, 0x03   // ARCOUNT: 3 (SRV + TXT + A)
         ]);
+        header.writeUInt16BE(1 + subRecs.length, 6);
 
-        return Buffer.concat([header, ptrRec, srvRec, txtRec, aRec]);
+        return Buffer.concat([header, ptrRec, ...subRecs, srvRec, txtRec, aRec]);
     }
 
     _buildPtrRecord(ttl) {
@@ -194,6 +302,13 @@ class DnsSdAnnouncer {
         return this._encodeRecord(this._serviceType, TYPE_PTR, CLASS_IN, ttl, rdata);
     }
 
+    _buildSubtypePtrRecord(subtype, ttl) {
+        // PTR: _printer._sub._service._tcp.local  ->  Instance._service._tcp.local
+        // A shared record, so no cache-flush bit (RFC 6762 §10.2)
+        const rdata = this._encodeName(this._instanceFqdn);
+        return this._encodeRecord(`${subtype}._sub.${this._serviceType}`, TYPE_PTR, CLASS_IN, ttl, rdata);
+    }
+
     _buildSrvRecord(ttl) {
         // SRV: Instance._service._tcp.local  ->  priority + weight + port + host
         const targetBuf = this._encodeName(this._host);
@@ -223,9 +338,9 @@ class DnsSdAnnouncer {
         return this._encodeRecord(this._instanceFqdn, TYPE_TXT, CLASS_IN_FLUSH, ttl, rdata);
     }
 
-    _buildARecord(ttl) {
+    _buildARecord(ttl, address) {
         // A: host.local  ->  IPv4 address (4 bytes)
-        const ip = this._getLocalIPv4();
+        const ip = address || this._getLocalIPv4();
         const rdata = Buffer.from(ip.split('.').map(Number));
         return this._encodeRecord(this._host, TYPE_A, CLASS_IN_FLUSH, ttl, rdata);
     }
@@ -255,15 +370,23 @@ class DnsSdAnnouncer {
     }
 
     _getLocalIPv4() {
+        const list = this._getLocalIPv4List();
+        return (list.length > 0) ? list[0].address : '127.0.0.1';
+    }
+
+    // [{ name, family, address }] of the non-internal, non-link-local
+    // IPv4 addresses
+    _getLocalIPv4List() {
+        const list = [];
         const netifs = mOs.networkInterfaces();
-        for (const iflist of Object.values(netifs)) {
+        for (const [name, iflist] of Object.entries(netifs)) {
             for (const info of iflist) {
                 if (!info.internal && info.family === 'IPv4' && !info.address.startsWith('169.254.')) {
-                    return info.address;
+                    list.push({ name: name, family: info.family, address: info.address });
                 }
             }
         }
-        return '127.0.0.1';
+        return list;
     }
 }
 
@@ -0,0 +1,228 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-browser.js
+*
+* A long-lived service browser. It keeps the mDNS socket open and
+* tracks services as their records arrive, change or expire.
+*
+* Events:
+*   - serviceUp      | A service was found
+*   - serviceUpdated | Records of a known service have changed
+*   - serviceDown    | A service sent a goodbye or its records expired
+*
+* The expiry of the records is tracked by the record cache of the
+* DnsSd object (see dns-sd-cache.js).
+* ---------------------------------------------------------------- */
+'use strict';
+const mEvents = require('events');
+
+class DnsSdBrowser extends mEvents.EventEmitter {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdBrowser(dnssd, params)
+    * - dnssd    | DnsSd  | Required | The DnsSd object which owns the socket
+    * - params   | Object | Required | Parameters already checked by
+    *            |        |          | DnsSd.createBrowser()
+    * ---------------------------------------------------------------- */
+    constructor(dnssd, params) {
+        super();
+        this._dnssd = dnssd;
+        this._params = params;
+        this._services = {}; // key -> { key, device }
+        this._is_running = false;
+    }
+
+    /* ------------------------------------------------------------------
+    * Property: running
+    * ---------------------------------------------------------------- */
+    get running() {
+        return this._is_running;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: start()
+    *   Opens the socket (if necessary) and sends the query packet.
+    * ---------------------------------------------------------------- */
+    async start() {
+        if (this._is_running === true) {
+            return;
+        }
+        this._is_running = true;
+        try {
+            await this._dnssd._startBrowsing(this);
+        } catch (error) {
+            this._is_running = false;
+            throw (error);
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: stop()
+    *   Stops browsing. The known services are forgotten without
+    *   `serviceDown` events.
+    * ---------------------------------------------------------------- */
+    async stop() {
+        if (this._is_running === false) {
+            return;
+        }
+        this._is_running = false;
+        this._services = {};
+        await this._dnssd._stopBrowsing(this);
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: getServices()
+    *   Returns the list of the services currently known.
+    * ---------------------------------------------------------------- */
+    getServices() {
+        return Object.values(this._services).map((service) => {
+            return service['device'];
+        });
+    }
+
+    // Called by the DnsSd object with each packet received. A packet
+    // carrying several instances is handled instance by instance.
+    _handlePacket(packet) {
+        for (const p of this._dnssd._splitPacket(packet)) {
+            this._handleInstance(p);
+        }
+    }
+
+    _handleInstance(packet) {
+        const key_name = this._params['key'];
+        const known = this._findKnownService(packet);
+        if (known) {
+            this._updateService(known, packet);
+            return;
+        }
+
+        if (!this._dnssd._isTargettedDevice(packet, this._params['name'])) {
+            return;
+        }
+        const device = this._dnssd._createDeviceObject(packet);
+        const key = device[key_name];
+        if (!key) {
+            return;
+        }
+        if (this._services[key]) {
+            this._updateService(this._services[key], packet);
+            return;
+        }
+        if (!this._dnssd._evaluateDeviceFilter(device, this._params['filter'])) {
+            return;
+        }
+
+        if (this._getServiceTtl(packet, device) === 0) {
+            // A goodbye for a service we have never seen
+            return;
+        }
+        const service = { key: key, device: device };
+        this._services[key] = service;
+        this.emit('serviceUp', device);
+    }
+
+    // Finds the known service which the packet refers to by the instance
+    // name. A packet updating a service often carries only the records of
+    // the instance (e.g., a new TXT record with the cache-flush bit), not
+    // the PTR record. The address of the sender is not looked at: a host
+    // may announce several instances.
+    _findKnownService(packet) {
+        const records = this._listRecords(packet);
+        for (const service of Object.values(this._services)) {
+            const fqdn = service['device']['fqdn'];
+            if (!fqdn) {
+                continue;
+            }
+            for (const r of records) {
+                if (this._isSameName(r['name'], fqdn) || this._isSameName(r['rdata'], fqdn)) {
+                    return service;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Domain names are compared case-insensitively
+    _isSameName(a, b) {
+        return typeof (a) === 'string' && typeof (b) === 'string' && a.toLowerCase() === b.toLowerCase();
+    }
+
+    _updateService(service, packet) {
+        const device = this._dnssd._createMergedDeviceObject(service['device']['packets'].concat([packet]));
+        if (this._getServiceTtl(packet, device) === 0) {
+            // The cache reports the expiry of the records one second later
+            return;
+        }
+        const changed = this._serializeDevice(device) !== this._serializeDevice(service['device']);
+        service['device'] = device;
+        if (changed) {
+            this.emit('serviceUpdated', device);
+        }
+    }
+
+    _listRecords(packet) {
+        return [].concat(packet['answers'], packet['authorities'], packet['additionals']);
+    }
+
+    // Returns the TTL (sec) of the record which announces the service:
+    // the PTR record pointing to the instance, or the SRV record of the
+    // instance. Returns `null` if the packet has neither.
+    _getServiceTtl(packet, device) {
+        let ttl = null;
+        for (const r of this._listRecords(packet)) {
+            const hit = (r['type'] === 'PTR' && this._isSameName(r['rdata'], device['fqdn'])) ||
+                (r['type'] === 'SRV' && this._isSameName(r['name'], device['fqdn']));
+            if (hit && typeof (r['ttl']) === 'number') {
+                ttl = (ttl === null) ? r['ttl'] : Math.min(ttl, r['ttl']);
+            }
+        }
+        return ttl;
+    }
+
+    // Called by the DnsSd object when a record has expired from the cache
+    _handleExpiredRecord(record) {
+        for (const service of Object.values(this._services)) {
+            const device = service['device'];
+            const related = this._isSameName(record['rdata'], device['fqdn']) ||
+                this._isSameName(record['name'], device['fqdn']) ||
+                (record['rdata'] === device['address']);
+            if (related && !this._isServiceAlive(device)) {
+                delete this._services[service['key']];
+                this.emit('serviceDown', device);
+            }
+        }
+    }
+
+    // A service is alive while the cache holds the PTR record pointing to
+    // the instance or the SRV record of the instance. A service browsed
+    // by address is also alive while an address record of it remains.
+    _isServiceAlive(device) {
+        const cache = this._dnssd.cache;
+        const fqdn = device['fqdn'];
+        if (fqdn) {
+            if (cache.getRecords({ type: 'PTR', rdata: fqdn }).length > 0) {
+                return true;
+            }
+            if (cache.getRecords({ name: fqdn, type: 'SRV' }).length > 0) {
+                return true;
+            }
+        }
+        if (this._params['key'] === 'address' && device['address']) {
+            if (cache.getRecords({ rdata: device['address'] }).length > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Serializes the device for change detection. The TTLs are left out so
+    // that a mere refresh of the records is not reported as an update.
+    _serializeDevice(device) {
+        const o = Object.assign({}, device);
+        delete o['packets'];
+        o['records'] = this._listRecords(this._dnssd._mergeRecords(device['packets'])['packet']).map((r) => {
+            return JSON.stringify([r['name'], r['type'], r['rdata']]);
+        }).sort();
+        return JSON.stringify(o);
+    }
+}
+
+module.exports = DnsSdBrowser;
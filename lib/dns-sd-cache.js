@@ -0,0 +1,363 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-cache.js
+*
+* The record cache (RFC 6762 §10). Records are keyed by their name,
+* type, class and rdata, and expire when their TTL runs out.
+*
+* - A record received with TTL=0 (goodbye) is removed one second later
+*   (RFC 6762 §10.1).
+* - A record received with the cache-flush bit set makes every other
+*   record with the same name, type and class which was received more
+*   than one second ago expire one second later (RFC 6762 §10.2).
+* - TTLs longer than one day are cut down to one day, and the cache
+*   holds up to 4096 records. When it is full, the record which would
+*   expire first makes room for a new one.
+*
+* Events:
+*   - added   | A record was added to the cache
+*   - expired | A record was removed from the cache
+* ---------------------------------------------------------------- */
+'use strict';
+const mEvents = require('events');
+
+const EXPIRY_DELAY = 1000; // msec
+const MAX_TTL = 24 * 3600; // sec
+const MAX_ENTRIES = 4096;
+const SECTIONS = ['answers', 'authorities', 'additionals'];
+
+class DnsSdCache extends mEvents.EventEmitter {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdCache()
+    * ---------------------------------------------------------------- */
+    constructor() {
+        super();
+        this._entries = new Map(); // key -> entry
+        // A binary min-heap of { at, key } ordered by the expiry time. An
+        // item is stale if the entry has gone or expires at another time.
+        this._queue = [];
+        this._timer = null;
+        this._timer_at = 0;
+    }
+
+    /* ------------------------------------------------------------------
+    * Property: size
+    *   The number of the records in the cache.
+    * ---------------------------------------------------------------- */
+    get size() {
+        return this._entries.size;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: addPacket(packet)
+    * - packet | Object | Required | A packet parsed by DnsSdParser
+    *
+    *   Stores the records in the answer, authority and additional
+    *   sections of the response packet.
+    * ---------------------------------------------------------------- */
+    addPacket(packet) {
+        if (!packet || !packet['header'] || packet['header']['qr'] !== 1) {
+            return;
+        }
+        const now = Date.now();
+        const records = [];
+        for (const k of SECTIONS) {
+            for (const r of (packet[k] || [])) {
+                records.push(r);
+            }
+        }
+
+        // Collect the record sets to flush before adding the new records
+        const flush_sets = new Set();
+        for (const r of records) {
+            if (r['flash'] && r['ttl'] > 0) {
+                flush_sets.add(this._createSetKey(r));
+            }
+        }
+
+        for (const r of records) {
+            this._addRecord(r, packet['address'] || null, packet['interface'] || null, now);
+        }
+
+        if (flush_sets.size > 0) {
+            for (const entry of this._entries.values()) {
+                if (!flush_sets.has(this._createSetKey(entry['record']))) {
+                    continue;
+                }
+                if (now - entry['received'] > EXPIRY_DELAY) {
+                    this._setExpiry(entry, Math.min(entry['expires'], now + EXPIRY_DELAY));
+                }
+            }
+        }
+        this._schedule();
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: getRecords([query])
+    * - query  | Object | Optional |
+    *   - name | String | Optional | Record name (case-insensitive)
+    *   - type | String | Optional | Record type (e.g., "PTR")
+    *   - rdata| Any    | Optional | Record data
+    *
+    *   Returns the matching records. The `ttl` of each record is the
+    *   remaining TTL in seconds.
+    * ---------------------------------------------------------------- */
+    getRecords(query) {
+        const q = query || {};
+        const name = (typeof (q['name']) === 'string') ? q['name'].toLowerCase() : null;
+        const rdata = ('rdata' in q) ? JSON.stringify(q['rdata']) : null;
+        const now = Date.now();
+        const list = [];
+        for (const entry of this._entries.values()) {
+            const r = entry['record'];
+            if (entry['expires'] <= now) {
+                continue;
+            }
+            if (name !== null && r['name'].toLowerCase() !== name) {
+                continue;
+            }
+            if (q['type'] && q['type'] !== '*' && r['type'] !== q['type']) {
+                continue;
+            }
+            if (rdata !== null && JSON.stringify(r['rdata']) !== rdata) {
+                continue;
+            }
+            list.push(Object.assign({}, r, {
+                ttl: Math.ceil((entry['expires'] - now) / 1000)
+            }));
+        }
+        return list;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: getKnownAnswers(question)
+    * - question | Object | Required |
+    *   - name   | String | Required | Question name
+    *   - type   | String | Optional | Question type. The default value is "*".
+    *
+    *   Returns the records to put in the Known-Answer section of a query
+    *   with the question. Records whose remaining TTL is less than half
+    *   of the original TTL are left out (RFC 6762 §7.1).
+    * ---------------------------------------------------------------- */
+    getKnownAnswers(question) {
+        const now = Date.now();
+        return this.getRecords({ name: question['name'], type: question['type'] }).filter((r) => {
+            const entry = this._entries.get(this._createKey(r));
+            return (entry['expires'] - now) * 2 >= entry['ttl'] * 1000;
+        });
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: dump()
+    *   Returns every entry in the cache as a plain object:
+    *   - name, type, class, rdata | Record fields
+    *   - ttl       | TTL (sec) of the record when it was received,
+    *                 cut down to one day
+    *   - remaining | Remaining TTL (sec)
+    *   - received  | Date when the record was (last) received
+    *   - expires   | Date when the record will be removed
+    *   - address   | Source address of the packet
+    *   - interface | Network interface the packet arrived on
+    * ---------------------------------------------------------------- */
+    dump() {
+        const now = Date.now();
+        const list = [];
+        for (const entry of this._entries.values()) {
+            const r = entry['record'];
+            list.push({
+                name: r['name'],
+                type: r['type'],
+                class: r['class'],
+                rdata: r['rdata'],
+                ttl: entry['ttl'],
+                remaining: Math.max(0, Math.ceil((entry['expires'] - now) / 1000)),
+                received: new Date(entry['received']),
+                expires: new Date(entry['expires']),
+                address: entry['address'],
+                interface: entry['interface']
+            });
+        }
+        return list;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: clear()
+    *   Removes all records without `expired` events.
+    * ---------------------------------------------------------------- */
+    clear() {
+        this._entries.clear();
+        this._queue = [];
+        this._clearTimer();
+    }
+
+    _addRecord(r, address, netif, now) {
+        const key = this._createKey(r);
+        const entry = this._entries.get(key);
+        if (r['ttl'] === 0) {
+            // Goodbye: keep the record for one more second
+            if (entry) {
+                this._setExpiry(entry, Math.min(entry['expires'], now + EXPIRY_DELAY));
+            }
+            return;
+        }
+        const ttl = Math.min(r['ttl'], MAX_TTL);
+        const expires = now + ttl * 1000;
+        if (entry) {
+            entry['record'] = r;
+            entry['ttl'] = ttl;
+            entry['received'] = now;
+            entry['address'] = address;
+            entry['interface'] = netif;
+            this._setExpiry(entry, expires);
+        } else {
+            if (this._entries.size >= MAX_ENTRIES) {
+                this._evict();
+            }
+            const new_entry = {
+                key: key,
+                record: r,
+                ttl: ttl,
+                received: now,
+                expires: 0,
+                address: address,
+                interface: netif
+            };
+            this._entries.set(key, new_entry);
+            this._setExpiry(new_entry, expires);
+            this.emit('added', r);
+        }
+    }
+
+    // Removes the record which would expire first to make room
+    _evict() {
+        const item = this._peekQueue();
+        if (item) {
+            this._popQueue();
+            const entry = this._entries.get(item['key']);
+            this._entries.delete(item['key']);
+            this.emit('expired', entry['record']);
+        }
+    }
+
+    _setExpiry(entry, expires) {
+        if (entry['expires'] === expires) {
+            return;
+        }
+        entry['expires'] = expires;
+        this._pushQueue({ at: expires, key: entry['key'] });
+        // Rebuild the queue when the stale items pile up
+        if (this._queue.length > this._entries.size * 2 + 64) {
+            this._queue = [];
+            for (const e of this._entries.values()) {
+                this._pushQueue({ at: e['expires'], key: e['key'] });
+            }
+        }
+    }
+
+    // Returns the earliest item which is not stale, or `null`
+    _peekQueue() {
+        while (this._queue.length > 0) {
+            const item = this._queue[0];
+            const entry = this._entries.get(item['key']);
+            if (entry && entry['expires'] === item['at']) {
+                return item;
+            }
+            this._popQueue();
+        }
+        return null;
+    }
+
+    _pushQueue(item) {
+        const q = this._queue;
+        let i = q.length;
+        q.push(item);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (q[parent]['at'] <= item['at']) {
+                break;
+            }
+            q[i] = q[parent];
+            i = parent;
+        }
+        q[i] = item;
+    }
+
+    _popQueue() {
+        const q = this._queue;
+        const top = q[0];
+        const last = q.pop();
+        if (q.length > 0) {
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                if (l >= q.length) {
+                    break;
+                }
+                const c = (l + 1 < q.length && q[l + 1]['at'] < q[l]['at']) ? l + 1 : l;
+                if (q[c]['at'] >= last['at']) {
+                    break;
+                }
+                q[i] = q[c];
+                i = c;
+            }
+            q[i] = last;
+        }
+        return top;
+    }
+
+    // Returns the entry of the record key (see _createKey()), or `undefined`
+    _getEntry(key) {
+        return this._entries.get(key);
+    }
+
+    _createSetKey(r) {
+        return JSON.stringify([r['name'].toLowerCase(), r['type'], r['class']]);
+    }
+
+    _createKey(r) {
+        return JSON.stringify([r['name'].toLowerCase(), r['type'], r['class'], r['rdata']]);
+    }
+
+    _expire() {
+        const now = Date.now();
+        const expired = [];
+        for (let item = this._peekQueue(); item && item['at'] <= now; item = this._peekQueue()) {
+            this._popQueue();
+            expired.push(this._entries.get(item['key'])['record']);
+            this._entries.delete(item['key']);
+        }
+        for (const r of expired) {
+            this.emit('expired', r);
+        }
+    }
+
+    _schedule() {
+        const item = this._peekQueue();
+        if (!item) {
+            this._clearTimer();
+            return;
+        }
+        const next = item['at'];
+        if (this._timer && this._timer_at <= next) {
+            return;
+        }
+        this._clearTimer();
+        // Node.js timers can not wait longer than 2^31-1 msec
+        const msec = Math.min(Math.max(next - Date.now(), 0), 0x7fffffff);
+        this._timer_at = next;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._expire();
+            this._schedule();
+        }, msec);
+        this._timer.unref();
+    }
+
+    _clearTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+module.exports = DnsSdCache;
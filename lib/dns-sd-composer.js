@@ -13,6 +13,7 @@ class DnsSdComposer {
     constructor() {
         this._CLASSES = require('./dns-sd-classes.json');
         this._TYPES = require('./dns-sd-types.json');
+        this._MAX_PACKET_SIZE = 1472; // Ethernet MTU - IPv4 header - UDP header
     }
 
     /* ------------------------------------------------------------------
@@ -20,8 +21,81 @@ class DnsSdComposer {
     * - params:
     *   - name    | Array  | Requred  | Servcie name.(e.g., ["_googlecast._tcp.local"])
     *   - type    | String | Optional | Query Type (e.g., "PTR"). The default value is "*"
+    *   - answers | Array  | Optional | Known answers (RFC 6762 §7.1). Records parsed by
+    *             |        |          | DnsSdParser (e.g., taken from the record cache).
+    *             |        |          | The `ttl` should be the remaining TTL.
+    *             |        |          | Records which do not fit in a packet of 1472 bytes
+    *             |        |          | are omitted. Use composeList() to send them.
+    *   - unicastResponse | Boolean | Optional | If `true`, the unicast-response (QU)
+    *             |        |          | bit is set in the questions (RFC 6762 §5.4).
+    *             |        |          | The default value is `false`.
+    *   - id      | Number | Optional | Query ID (0 - 65535). The default value is 0.
+    *             |        |          | A legacy query uses a non-zero ID (RFC 6762 §6.7).
     * ---------------------------------------------------------------- */
     compose(params) {
+        const qbuf = this._encodeQuestions(params);
+        const abuf_list = [];
+        let size = 12 + qbuf.length;
+        for (const r of (params['answers'] || [])) {
+            const rbuf = this._encodeRecord(r);
+            if (size + rbuf.length > this._MAX_PACKET_SIZE) {
+                continue;
+            }
+            abuf_list.push(rbuf);
+            size += rbuf.length;
+        }
+        return this._createPacket(params, params['name'].length, qbuf, abuf_list, false);
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: composeList(params)
+    * - params | Object | Required | The same as compose()
+    *
+    *   Returns an Array of packets (Buffer). The first one is the packet
+    *   compose() returns, but the known answers which do not fit in it
+    *   follow in packets without questions. Every packet but the last
+    *   has the TC bit set (RFC 6762 §7.2). A record which does not fit
+    *   in a packet by itself is omitted.
+    * ---------------------------------------------------------------- */
+    composeList(params) {
+        const qbuf = this._encodeQuestions(params);
+        const packets = [{ qnum: params['name'].length, qbuf: qbuf, abuf_list: [], size: 12 + qbuf.length }];
+        for (const r of (params['answers'] || [])) {
+            const rbuf = this._encodeRecord(r);
+            if (12 + rbuf.length > this._MAX_PACKET_SIZE) {
+                continue;
+            }
+            let pkt = packets[packets.length - 1];
+            if (pkt['size'] + rbuf.length > this._MAX_PACKET_SIZE) {
+                pkt = { qnum: 0, qbuf: Buffer.alloc(0), abuf_list: [], size: 12 };
+                packets.push(pkt);
+            }
+            pkt['abuf_list'].push(rbuf);
+            pkt['size'] += rbuf.length;
+        }
+        return packets.map((pkt, i) => {
+            return this._createPacket(params, pkt['qnum'], pkt['qbuf'], pkt['abuf_list'], i < packets.length - 1);
+        });
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: isEncodable(record)
+    * - record | Object | Required | A record parsed by DnsSdParser
+    *
+    *   Returns `true` if the record can be put in the Known-Answer
+    *   section. A record of a type the parser does not know (type "")
+    *   can not.
+    * ---------------------------------------------------------------- */
+    isEncodable(record) {
+        try {
+            this._encodeRecord(record);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _encodeQuestions(params) {
         const name_list = params['name'];
         const type_name = params['type'];
         let type_code = 0xff;
@@ -37,43 +111,121 @@ class DnsSdComposer {
             }
         }
 
+        const qbuf_list = [];
+        for (const name of name_list) {
+            qbuf_list.push(this._encodeName(name));
+
+            let type_buf = Buffer.alloc(2);
+            type_buf.writeUInt16BE(type_code, 0);
+            qbuf_list.push(type_buf);
+
+            let class_code = this._CLASSES['IN'];
+            if (params['unicastResponse']) {
+                class_code |= 0x8000;
+            }
+            let class_buf = Buffer.alloc(2);
+            class_buf.writeUInt16BE(class_code, 0);
+            qbuf_list.push(class_buf);
+        }
+        return Buffer.concat(qbuf_list);
+    }
+
+    _createPacket(params, qnum, qbuf, abuf_list, truncated) {
         const hbuf = Buffer.from([ // Header
             0x00, 0x00, // Transaction ID
             0x00, 0x00, // Flags
-            0x00, name_list.length, // Questions
+            0x00, qnum, // Questions
             0x00, 0x00, // Answer PRs
             0x00, 0x00, // Authority PRs
             0x00, 0x00 // Additional PRs
         ]);
+        hbuf.writeUInt16BE(params['id'] || 0, 0);
+        if (truncated) {
+            hbuf.writeUInt16BE(0x0200, 2); // TC
+        }
+        hbuf.writeUInt16BE(abuf_list.length, 6);
+        return Buffer.concat([hbuf, qbuf].concat(abuf_list));
+    }
 
-        const qbuf_list = [];
-        for (const name of name_list) {
-            // RFC 1035: domain names must be 253 octets or less
-            if (name.length > 253) {
-                throw new Error('Domain name exceeds maximum length of 253 characters: ' + name);
+    _encodeName(name) {
+        // RFC 1035: domain names must be 253 octets or less
+        if (name.length > 253) {
+            throw new Error('Domain name exceeds maximum length of 253 characters: ' + name);
+        }
+        const buf_list = [];
+        (name.split('.')).forEach((part) => {
+            let part_buf = Buffer.from(part, 'utf8');
+            // RFC 1035: labels must be 63 octets or less
+            if (part_buf.length > 63) {
+                throw new Error('Label exceeds maximum length of 63 bytes: ' + part);
             }
-            (name.split('.')).forEach((part) => {
-                let part_buf = Buffer.from(part, 'utf8');
-                // RFC 1035: labels must be 63 octets or less
-                if (part_buf.length > 63) {
-                    throw new Error('Label exceeds maximum length of 63 bytes: ' + part);
-                }
-                qbuf_list.push(Buffer.from([part_buf.length]));
-                qbuf_list.push(part_buf);
-            });
-            qbuf_list.push(Buffer.from([0x00])); // Null-terminated string for the domain name
+            buf_list.push(Buffer.from([part_buf.length]));
+            buf_list.push(part_buf);
+        });
+        buf_list.push(Buffer.from([0x00])); // Null-terminated string for the domain name
+        return Buffer.concat(buf_list);
+    }
 
-            let type_buf = Buffer.alloc(2);
-            type_buf.writeUInt16BE(type_code, 0);
-            qbuf_list.push(type_buf);
+    _encodeRecord(r) {
+        const type_code = this._TYPES[r['type']];
+        if (!type_code) {
+            throw new Error('The record type is unknown: ' + r['type']);
+        }
+        const rdata = this._encodeRdata(r['type'], r['rdata'], r['rdata_buffer']);
+        const meta = Buffer.alloc(10);
+        meta.writeUInt16BE(type_code, 0);
+        meta.writeUInt16BE(this._CLASSES[r['class']] || this._CLASSES['IN'], 2);
+        meta.writeUInt32BE(Math.max(0, Math.floor(r['ttl'] || 0)), 4);
+        meta.writeUInt16BE(rdata.length, 8);
+        return Buffer.concat([this._encodeName(r['name']), meta, rdata]);
+    }
 
-            let class_buf = Buffer.alloc(2);
-            class_buf.writeUInt16BE(this._CLASSES['IN'], 0);
-            qbuf_list.push(class_buf);
+    _encodeRdata(type, rdata, rdata_buffer) {
+        if (type === 'A') {
+            return Buffer.from(rdata.split('.').map((n) => parseInt(n, 10)));
+        } else if (type === 'AAAA') {
+            return Buffer.from(rdata.split(':').join(''), 'hex');
+        } else if (type === 'PTR') {
+            return this._encodeName(rdata);
+        } else if (type === 'SRV') {
+            const buf = Buffer.alloc(6);
+            buf.writeUInt16BE(rdata['priority'], 0);
+            buf.writeUInt16BE(rdata['weight'], 2);
+            buf.writeUInt16BE(rdata['port'], 4);
+            return Buffer.concat([buf, this._encodeName(rdata['target'] || '')]);
+        } else if (type === 'TXT') {
+            const buf_list = [];
+            for (const [k, v] of Object.entries(rdata)) {
+                let pair = null;
+                if (v === true || (rdata_buffer && rdata_buffer[k] === null)) {
+                    // A boolean attribute: the key without "=" (RFC 6763 §6.4)
+                    pair = Buffer.from(k, 'utf8');
+                } else {
+                    const value = (rdata_buffer && Buffer.isBuffer(rdata_buffer[k])) ? rdata_buffer[k] : Buffer.from(String(v), 'utf8');
+                    pair = Buffer.concat([Buffer.from(k + '=', 'utf8'), value]);
+                }
+                // RFC 6763 §6.1: each string is 255 octets or less
+                if (pair.length > 255) {
+                    throw new Error('TXT attribute exceeds maximum length of 255 bytes: ' + k);
+                }
+                buf_list.push(Buffer.from([pair.length]));
+                buf_list.push(pair);
+            }
+            if (buf_list.length === 0) {
+                buf_list.push(Buffer.from([0x00]));
+            }
+            return Buffer.concat(buf_list);
+        } else if (type === 'HINFO') {
+            const buf_list = [];
+            for (const v of [rdata['cpu'] || '', rdata['os'] || '']) {
+                const vbuf = Buffer.from(v, 'utf8');
+                buf_list.push(Buffer.from([vbuf.length]));
+                buf_list.push(vbuf);
+            }
+            return Buffer.concat(buf_list);
+        } else {
+            return Buffer.from(String(rdata).replace(/ /g, ''), 'hex');
         }
-        const qbuf = Buffer.concat(qbuf_list);
-        const buf = Buffer.concat([hbuf, qbuf]);
-        return buf;
     }
 }
 
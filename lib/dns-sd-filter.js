@@ -0,0 +1,324 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-filter.js
+*
+* Evaluates the filter objects of discover() and createBrowser(). A
+* filter object is plain data, so it can be kept in a JSON file:
+*
+*   {
+*     "type": "ipp",
+*     "port": { "min": 600, "max": 700 },
+*     "txt": { "pdl": { "regex": "pdf", "flags": "i" }, "Color": "T" },
+*     "not": { "address": "10.0.0.0/8" }
+*   }
+*
+* Every condition in an object must match. The conditions:
+*   - and          | Array   | Every filter in the list matches
+*   - or           | Array   | Any filter in the list matches
+*   - not          | Object  | The filter does not match
+*   - txt          | Object  | TXT keys (case-insensitive) and their
+*                  |         | values: a matcher, `true` (present) or
+*                  |         | `false` (absent)
+*   - port         | Integer | The port, or { min, max } (inclusive)
+*                  | Object  |
+*   - protocol     | String  | "tcp" or "udp" (case-insensitive)
+*   - type         | String  | Service type (e.g., "http", case-insensitive)
+*   - instance     | String  | Instance label glob ("*" and "?"), or a
+*                  | Object  | regex matcher
+*   - address      | String  | Address or CIDR (e.g., "192.168.1.0/24"),
+*                  | Array   | or a list of them
+*   - modelName    | matcher |
+*   - familyName   | matcher |
+*   - manufacturer | matcher |
+*
+* A matcher is a string (exact match), a RegExp or { regex, flags }.
+* Names are compared as DNS does: ASCII letters case-insensitively,
+* other characters exactly (RFC 6762 §16).
+* ---------------------------------------------------------------- */
+'use strict';
+const mNet = require('net');
+
+const MATCHER_KEYS = ['modelName', 'familyName', 'manufacturer'];
+
+class DnsSdFilter {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdFilter()
+    * ---------------------------------------------------------------- */
+    constructor() {
+        this._CHECKERS = {
+            and: (v) => this._checkList(v, 'and'),
+            or: (v) => this._checkList(v, 'or'),
+            not: (v) => this.check(v),
+            txt: (v) => this._checkTxt(v),
+            port: (v) => this._checkPort(v),
+            protocol: (v) => this._checkString(v, 'protocol'),
+            type: (v) => this._checkString(v, 'type'),
+            instance: (v) => (typeof (v) === 'string') ? null : this._checkMatcher(v, 'instance'),
+            address: (v) => this._checkAddress(v)
+        };
+        for (const k of MATCHER_KEYS) {
+            this._CHECKERS[k] = (v) => this._checkMatcher(v, k);
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: check(filter)
+    *   Returns an error message if the filter object is invalid,
+    *   otherwise `null`.
+    * ---------------------------------------------------------------- */
+    check(filter) {
+        if (!this._isPlainObject(filter)) {
+            return 'A filter must be an object.';
+        }
+        for (const [k, v] of Object.entries(filter)) {
+            const checker = this._CHECKERS[k];
+            if (!checker) {
+                return 'The filter condition `' + k + '` is unknown.';
+            }
+            const error = checker(v);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: match(filter, device, txt)
+    * - filter | Object | Required | A filter object passed check()
+    * - device | Object | Required | A device object of discover()
+    * - txt    | Object | Required | The TXT data of the instance
+    *
+    *   Returns `true` if the device matches the filter.
+    * ---------------------------------------------------------------- */
+    match(filter, device, txt) {
+        for (const [k, v] of Object.entries(filter)) {
+            if (!this._matchCondition(k, v, device, txt || {})) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: matchGlob(glob, name)
+    * - glob | String | Required | A pattern with "*" and "?"
+    * - name | String | Required | A name (e.g., "Kitchen._airplay._tcp.local")
+    *
+    *   Returns `true` if the whole name matches. "*" matches the dots
+    *   as well.
+    * ---------------------------------------------------------------- */
+    matchGlob(glob, name) {
+        return this._matchGlob(glob, name);
+    }
+
+    _matchCondition(k, v, device, txt) {
+        const service = device['service'];
+        if (k === 'and') {
+            return v.every((f) => this.match(f, device, txt));
+        } else if (k === 'or') {
+            return v.some((f) => this.match(f, device, txt));
+        } else if (k === 'not') {
+            return !this.match(v, device, txt);
+        } else if (k === 'txt') {
+            return this._matchTxt(v, txt);
+        } else if (k === 'port') {
+            return service !== null && this._matchPort(v, service['port']);
+        } else if (k === 'protocol') {
+            return service !== null && this._equalNames(service['protocol'], v);
+        } else if (k === 'type') {
+            return service !== null && this._equalNames(service['type'], v.replace(/^_/, ''));
+        } else if (k === 'instance') {
+            const instance = this._getInstance(device['fqdn']);
+            if (instance === null) {
+                return false;
+            }
+            return (typeof (v) === 'string') ? this._matchGlob(v, instance) : this._matchValue(v, instance);
+        } else if (k === 'address') {
+            return this._matchAddress(v, device);
+        } else {
+            const value = device[k];
+            return typeof (value) === 'string' && this._matchValue(v, value);
+        }
+    }
+
+    _matchTxt(conditions, txt) {
+        for (const [key, v] of Object.entries(conditions)) {
+            // TXT keys are case-insensitive (RFC 6763 §6.4)
+            const found = Object.keys(txt).find((k) => this._equalNames(k, key));
+            if (v === true || v === false) {
+                if ((found !== undefined) !== v) {
+                    return false;
+                }
+            } else if (found === undefined || !this._matchValue(v, String(txt[found]))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _matchPort(v, port) {
+        if (typeof (v) === 'number') {
+            return port === v;
+        }
+        return ((v['min'] === undefined || port >= v['min']) && (v['max'] === undefined || port <= v['max']));
+    }
+
+    _matchValue(matcher, value) {
+        if (typeof (matcher) === 'string') {
+            return value === matcher;
+        }
+        return this._createRegExp(matcher).test(value);
+    }
+
+    _matchGlob(glob, value) {
+        const re = this._lowerAscii(glob).split('').map((c) => {
+            if (c === '*') {
+                return '.*';
+            } else if (c === '?') {
+                return '.';
+            }
+            return c.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+        }).join('');
+        return new RegExp('^' + re + '$', 's').test(this._lowerAscii(value));
+    }
+
+    _matchAddress(v, device) {
+        const addresses = (device['addresses'] || []).map((a) => a['address']);
+        if (device['address']) {
+            addresses.push(device['address']);
+        }
+        const patterns = Array.isArray(v) ? v : [v];
+        return addresses.some((address) => {
+            const addr = address.replace(/%.*$/, '');
+            return patterns.some((pattern) => this._inRange(addr, pattern));
+        });
+    }
+
+    _inRange(address, pattern) {
+        const [network, prefix] = pattern.split('/');
+        const family = mNet.isIP(network);
+        if (family === 0 || family !== mNet.isIP(address)) {
+            return false;
+        }
+        const type = (family === 4) ? 'ipv4' : 'ipv6';
+        const block_list = new mNet.BlockList();
+        if (prefix === undefined) {
+            block_list.addAddress(network, type);
+        } else {
+            block_list.addSubnet(network, parseInt(prefix, 10), type);
+        }
+        return block_list.check(address, type);
+    }
+
+    // The instance label: "My Printer" of "My Printer._ipp._tcp.local"
+    _getInstance(fqdn) {
+        if (!fqdn) {
+            return null;
+        }
+        return fqdn.replace(/\._[^.]+\._(tcp|udp)\..*$/i, '');
+    }
+
+    _equalNames(a, b) {
+        return typeof (a) === 'string' && this._lowerAscii(a) === this._lowerAscii(b);
+    }
+
+    // Lower-cases the ASCII letters only, as DNS compares names
+    _lowerAscii(s) {
+        return s.replace(/[A-Z]/g, (c) => c.toLowerCase());
+    }
+
+    _createRegExp(matcher) {
+        if (matcher instanceof RegExp) {
+            return new RegExp(matcher.source, matcher.flags.replace(/[gy]/g, ''));
+        }
+        return new RegExp(matcher['regex'], matcher['flags'] || '');
+    }
+
+    _checkList(v, name) {
+        if (!Array.isArray(v) || v.length === 0) {
+            return 'The filter condition `' + name + '` must be a non-empty array.';
+        }
+        for (const f of v) {
+            const error = this.check(f);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+
+    _checkTxt(v) {
+        if (!this._isPlainObject(v)) {
+            return 'The filter condition `txt` must be an object.';
+        }
+        for (const [key, matcher] of Object.entries(v)) {
+            if (matcher === true || matcher === false) {
+                continue;
+            }
+            const error = this._checkMatcher(matcher, 'txt.' + key);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+
+    _checkPort(v) {
+        const isPort = (n) => Number.isInteger(n) && n >= 0 && n <= 65535;
+        if (isPort(v)) {
+            return null;
+        }
+        if (this._isPlainObject(v) && Object.keys(v).length > 0 &&
+            Object.keys(v).every((k) => (k === 'min' || k === 'max') && isPort(v[k]))) {
+            return null;
+        }
+        return 'The filter condition `port` must be a port number or { min, max }.';
+    }
+
+    _checkString(v, name) {
+        if (typeof (v) !== 'string' || v === '') {
+            return 'The filter condition `' + name + '` must be a non-empty string.';
+        }
+        return null;
+    }
+
+    _checkMatcher(v, name) {
+        if (typeof (v) === 'string' || v instanceof RegExp) {
+            return null;
+        }
+        if (this._isPlainObject(v) && typeof (v['regex']) === 'string' &&
+            (v['flags'] === undefined || typeof (v['flags']) === 'string')) {
+            try {
+                this._createRegExp(v);
+                return null;
+            } catch (e) {
+                return 'The filter condition `' + name + '` has an invalid regex: ' + e.message;
+            }
+        }
+        return 'The filter condition `' + name + '` must be a string, a RegExp or { regex, flags }.';
+    }
+
+    _checkAddress(v) {
+        const list = Array.isArray(v) ? v : [v];
+        if (list.length === 0) {
+            return 'The filter condition `address` must not be empty.';
+        }
+        for (const pattern of list) {
+            const [network, prefix] = (typeof (pattern) === 'string') ? pattern.split('/') : [];
+            const family = mNet.isIP(network || '');
+            const max = (family === 4) ? 32 : 128;
+            const valid = family !== 0 && (prefix === undefined ||
+                (/^\d+$/.test(prefix) && parseInt(prefix, 10) <= max));
+            if (!valid) {
+                return 'The filter condition `address` must be an address or a CIDR.';
+            }
+        }
+        return null;
+    }
+
+    _isPlainObject(v) {
+        return v !== null && typeof (v) === 'object' && !Array.isArray(v) && !(v instanceof RegExp);
+    }
+}
+
+module.exports = new DnsSdFilter();
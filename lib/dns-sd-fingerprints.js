@@ -0,0 +1,262 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-fingerprints.js
+*
+* The registry of the fingerprint plugins which tell the model, the
+* friendly name and the manufacturer of a discovered device from its
+* records.
+*
+* A plugin is a function called with the records of a device:
+*   - fqdn     | The instance name (e.g., "Kitchen._airplay._tcp.local")
+*   - instance | The instance label (e.g., "Kitchen")
+*   - service  | The `service` of the device ({ port, protocol, type })
+*   - host     | The host name in the SRV record
+*   - txt      | The TXT data of the instance ({} if there is none)
+*   - records  | The records by type ({ PTR: [...], TXT: [...], ... })
+* (`null` if unknown) and returns an object with any of `modelName`,
+* `familyName` and `manufacturer`, or `null` if it does not know the
+* device.
+*
+* The plugins are called in order and each field is taken from the
+* first plugin returning it. The plugins added by add() come before the
+* built-in ones, so they can override them.
+* ---------------------------------------------------------------- */
+'use strict';
+
+const FIELDS = ['modelName', 'familyName', 'manufacturer'];
+
+// Model identifiers of the Apple products (e.g., "AppleTV6,2")
+const APPLE_MODEL_RE = /^(AppleTV|AudioAccessory|MacBook|Macmini|MacPro|iMac|iPhone|iPad|iPod)/;
+
+class DnsSdFingerprints {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdFingerprints()
+    *   The built-in plugins are registered.
+    * ---------------------------------------------------------------- */
+    constructor() {
+        this._plugins = []; // [{ name, fn, builtin }]
+        for (const [name, fn] of BUILTIN_PLUGINS) {
+            this._plugins.push({ name: name, fn: fn, builtin: true });
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: add(name, fn)
+    * - name | String   | Required | Name of the plugin. A plugin with the
+    *        |          |          | same name is replaced.
+    * - fn   | Function | Required | The plugin
+    *
+    *   The plugin is called before the other plugins.
+    * ---------------------------------------------------------------- */
+    add(name, fn) {
+        if (typeof (name) !== 'string' || name === '') {
+            throw new Error('The `name` must be a non-empty string.');
+        }
+        if (typeof (fn) !== 'function') {
+            throw new Error('The `fn` must be a function.');
+        }
+        this.remove(name);
+        this._plugins.unshift({ name: name, fn: fn, builtin: false });
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: remove(name)
+    *   Removes the plugin, built-in or not. Returns `true` if it was
+    *   registered.
+    * ---------------------------------------------------------------- */
+    remove(name) {
+        const i = this._plugins.findIndex((o) => o['name'] === name);
+        if (i < 0) {
+            return false;
+        }
+        this._plugins.splice(i, 1);
+        return true;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: list()
+    *   Returns the names of the plugins in the order they are called.
+    * ---------------------------------------------------------------- */
+    list() {
+        return this._plugins.map((o) => o['name']);
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: identify(info)
+    * - info | Object | Required | The records of the device (see above)
+    *
+    *   Returns `{ modelName, familyName, manufacturer }`, `null` for the
+    *   fields no plugin knows. A plugin which throws is skipped.
+    * ---------------------------------------------------------------- */
+    identify(info) {
+        const result = {};
+        for (const k of FIELDS) {
+            result[k] = null;
+        }
+        for (const plugin of this._plugins) {
+            let res = null;
+            try {
+                res = plugin['fn'](info);
+            } catch (e) {
+                continue;
+            }
+            if (!res || typeof (res) !== 'object') {
+                continue;
+            }
+            for (const k of FIELDS) {
+                if (result[k] === null && typeof (res[k]) === 'string' && res[k] !== '') {
+                    result[k] = res[k];
+                }
+            }
+            if (FIELDS.every((k) => result[k] !== null)) {
+                break;
+            }
+        }
+        return result;
+    }
+}
+
+// The first TXT record in the packet, if it has data
+function firstTxtRecord(info) {
+    const r = (info['records']['TXT'] || [])[0];
+    return (r && r['rdata']) ? r : null;
+}
+
+function isServiceType(info, types) {
+    return info['service'] !== null && types.includes(info['service']['type']);
+}
+
+// The part after the "@" of an instance label (e.g., "Kitchen" for
+// "A1B2C3D4E5F6@Kitchen")
+function afterAt(instance) {
+    if (!instance || !instance.includes('@')) {
+        return null;
+    }
+    return instance.slice(instance.indexOf('@') + 1);
+}
+
+function appleManufacturer(model) {
+    return (model && APPLE_MODEL_RE.test(model)) ? 'Apple' : null;
+}
+
+const BUILTIN_PLUGINS = [
+    ['apple-tv', (info) => {
+        const r = firstTxtRecord(info);
+        if (!r || !(/Apple TV/).test(r['name'] || '')) {
+            return null;
+        }
+        let model = 'Apple TV';
+        for (const txt of info['records']['TXT']) {
+            if ((/_device-info/).test(txt['name']) && txt['rdata'] && txt['rdata']['model']) {
+                model = 'Apple TV ' + txt['rdata']['model'];
+                break;
+            }
+        }
+        return { modelName: model, manufacturer: 'Apple' };
+    }],
+
+    ['googlecast', (info) => {
+        const r = firstTxtRecord(info);
+        if (!r || !(/_googlecast/).test(r['name'] || '')) {
+            return null;
+        }
+        const d = r['rdata'];
+        const google = (/^(Chromecast|Google|Nest)/).test(d['md'] || '');
+        return { modelName: d['md'], familyName: d['fn'], manufacturer: google ? 'Google' : null };
+    }],
+
+    ['philips-hue', (info) => {
+        const r = firstTxtRecord(info);
+        if (!r || !(/Philips hue/).test(r['name'] || '')) {
+            return null;
+        }
+        const d = r['rdata'];
+        return { modelName: 'Philips hue' + (d['md'] ? ' ' + d['md'] : ''), manufacturer: 'Philips' };
+    }],
+
+    ['canon', (info) => {
+        const r = firstTxtRecord(info);
+        if (!r || !(/Canon/).test(r['name'] || '')) {
+            return null;
+        }
+        return { modelName: r['rdata']['ty'], manufacturer: 'Canon' };
+    }],
+
+    // _sonos._tcp (the instance label may end with "@" and the room name)
+    ['sonos', (info) => {
+        if (!isServiceType(info, ['sonos'])) {
+            return null;
+        }
+        return { modelName: 'Sonos', familyName: afterAt(info['instance']), manufacturer: 'Sonos' };
+    }],
+
+    // _airplay._tcp ("model" and "manufacturer" in the TXT data) and
+    // _raop._tcp (the "am" model, "<MAC address>@<name>" instance label)
+    ['airplay', (info) => {
+        const d = info['txt'];
+        if (isServiceType(info, ['airplay'])) {
+            return {
+                modelName: d['model'],
+                familyName: info['instance'],
+                manufacturer: d['manufacturer'] || appleManufacturer(d['model'])
+            };
+        } else if (isServiceType(info, ['raop'])) {
+            return {
+                modelName: d['am'],
+                familyName: afterAt(info['instance']),
+                manufacturer: d['manufacturer'] || appleManufacturer(d['am'])
+            };
+        }
+        return null;
+    }],
+
+    // _hap._tcp (HomeKit accessories, the "md" model in the TXT data)
+    ['homekit', (info) => {
+        if (!isServiceType(info, ['hap'])) {
+            return null;
+        }
+        return { modelName: info['txt']['md'], familyName: info['instance'] };
+    }],
+
+    // IPP and LPD printers (RFC 8010 / Bonjour Printing: "ty", "usb_MFG",
+    // "usb_MDL" and "product" in the TXT data)
+    ['printer', (info) => {
+        if (!isServiceType(info, ['ipp', 'ipps', 'printer', 'pdl-datastream'])) {
+            return null;
+        }
+        const d = info['txt'];
+        const product = (d['product'] || '').replace(/^\((.*)\)$/, '$1');
+        return {
+            modelName: d['ty'] || d['usb_MDL'] || product,
+            familyName: info['instance'],
+            manufacturer: d['usb_MFG']
+        };
+    }],
+
+    // Apple devices named by the host name (e.g., "Apple-TV.local")
+    ['apple-host', (info) => {
+        const r = (info['records']['A'] || [])[0];
+        if (!r) {
+            return null;
+        }
+        if ((/Apple\-TV/).test(r['name'])) {
+            return { modelName: 'Apple TV', manufacturer: 'Apple' };
+        } else if ((/iPad/).test(r['name'])) {
+            return { modelName: 'iPad', manufacturer: 'Apple' };
+        }
+        return null;
+    }],
+
+    // An instance label with spaces is likely a model name
+    ['instance-name', (info) => {
+        if (!info['fqdn']) {
+            return null;
+        }
+        const hostname = (info['fqdn'].split('.')).shift();
+        if (hostname && / /.test(hostname)) {
+            return { modelName: hostname };
+        }
+        return null;
+    }]
+];
+
+module.exports = DnsSdFingerprints;
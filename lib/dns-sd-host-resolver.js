@@ -0,0 +1,112 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-host-resolver.js
+*
+* Resolves a ".local" host name into its addresses by A and AAAA
+* queries. Used by DnsSd.lookup().
+*
+* The records are looked up in the record cache of the DnsSd object
+* first, the resolution is complete as soon as an address of the
+* requested family is known.
+* ---------------------------------------------------------------- */
+'use strict';
+const mNet = require('net');
+const DnsSdResolver = require('./dns-sd-resolver.js');
+
+class DnsSdHostResolver extends DnsSdResolver {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdHostResolver(dnssd, params)
+    * - dnssd      | DnsSd   | Required | The DnsSd object which owns the socket
+    * - params     | Object  | Required |
+    *   - hostname | String  | Required | Host name (e.g., "printer.local")
+    *   - family   | Integer | Required | 0 (both), 4 or 6
+    *   - wait     | Integer | Required | Time limit (sec)
+    *   - legacy   | Boolean | Required | If `true`, legacy queries are sent
+    * ---------------------------------------------------------------- */
+    constructor(dnssd, params) {
+        super(dnssd, params);
+    }
+
+    _isComplete(result) {
+        return result['addresses'].length > 0;
+    }
+
+    _listQuestions() {
+        const hostname = this._params['hostname'];
+        return this._listTypes().map((type) => {
+            return { name: hostname, type: type };
+        });
+    }
+
+    _createTimeoutResult(result) {
+        if (result['addresses'].length > 0) {
+            return { result: result };
+        }
+        const hostname = this._params['hostname'];
+        const error = new Error('getaddrinfo ENOTFOUND ' + hostname);
+        error.code = 'ENOTFOUND';
+        error.syscall = 'getaddrinfo';
+        error.hostname = hostname;
+        return { error: error };
+    }
+
+    // Creates the result object from the records in the cache. The IPv4
+    // addresses come first.
+    _createResult() {
+        const cache = this._dnssd.cache;
+        const hostname = this._params['hostname'];
+        const result = {
+            hostname: hostname,
+            addresses: [] // [{ address, family }]
+        };
+        for (const type of this._listTypes()) {
+            for (const r of cache.getRecords({ name: hostname, type: type })) {
+                const address = (type === 'A') ? r['rdata'] : this._formatAddress6(r);
+                const exists = result['addresses'].some((o) => {
+                    return o['address'] === address;
+                });
+                if (!exists) {
+                    result['addresses'].push({
+                        address: address,
+                        family: (type === 'A') ? 4 : 6
+                    });
+                }
+            }
+        }
+        return result;
+    }
+
+    // Formats the address of the AAAA record as dns.lookup() does: the
+    // compressed form, with the zone of the interface the record arrived
+    // on if the address is link-local (e.g., "fe80::1%eth0").
+    _formatAddress6(r) {
+        let address = r['rdata'];
+        try {
+            address = new mNet.SocketAddress({ address: address, family: 'ipv6' }).address;
+        } catch (e) {
+            return address;
+        }
+        if (!/^fe[89ab]/i.test(address)) {
+            return address;
+        }
+        const cache = this._dnssd.cache;
+        const entry = cache._getEntry(cache._createKey(r));
+        const netif = entry ? entry['interface'] : null;
+        const info = this._dnssd._netif_info_list.find((o) => {
+            return o['name'] === netif && o['family'] === 'IPv6';
+        });
+        return info ? this._dnssd._createScopedAddress(address, info) : address;
+    }
+
+    _listTypes() {
+        const family = this._params['family'];
+        if (family === 4) {
+            return ['A'];
+        } else if (family === 6) {
+            return ['AAAA'];
+        } else {
+            return ['A', 'AAAA'];
+        }
+    }
+}
+
+module.exports = DnsSdHostResolver;
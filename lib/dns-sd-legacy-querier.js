@@ -0,0 +1,264 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-legacy-querier.js
+*
+* Sends queries from an ephemeral UDP port instead of 5353 and
+* collects the unicast answers which responders send back to such
+* legacy queriers (RFC 6762 §6.7). Port 5353 is not bound, so it works
+* alongside any system responder (e.g., avahi-daemon).
+*
+* - A legacy query has a non-zero ID. The answers are sent to the
+*   source address and port of the query with the same ID.
+* - The questions are sent at once and repeated after 1 s, 2 s, 4 s
+*   and so on, up to one hour, until they are removed.
+*
+* The interface of add(), remove() and stop() is the same as that of
+* DnsSdQueryScheduler, so a querier can take its place.
+* ---------------------------------------------------------------- */
+'use strict';
+const mDgram = require('dgram');
+const mDnsSdParser = require('./dns-sd-parser.js');
+const mDnsSdComposer = require('./dns-sd-composer.js');
+
+const INITIAL_INTERVAL = 1000; // msec
+const MAX_INTERVAL = 3600 * 1000; // msec
+
+class DnsSdLegacyQuerier {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdLegacyQuerier(dnssd)
+    * - dnssd | DnsSd | Required | The DnsSd object which holds the settings,
+    *         |       |          | the interface list and the record cache
+    * ---------------------------------------------------------------- */
+    constructor(dnssd) {
+        // Public
+        this.onpacket = () => { };
+
+        // Private
+        this._dnssd = dnssd;
+        this._id = 1 + Math.floor(Math.random() * 0xfffe);
+        this._udp = null;
+        this._udp6 = null;
+        this._questions = new Map(); // key -> { name, type, refs }
+        this._interval = INITIAL_INTERVAL;
+        this._timer = null;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: open()
+    *   Binds the sockets to ephemeral ports. IPv6 is optional: if the
+    *   IPv6 socket can not be bound, only IPv4 is used.
+    * ---------------------------------------------------------------- */
+    async open() {
+        this._udp = await this._bind('udp4', this._dnssd._BIND_ADDR);
+        if (this._dnssd._netif6_list.length > 0) {
+            try {
+                this._udp6 = await this._bind('udp6');
+            } catch (error) {
+                this._udp6 = null;
+            }
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: close()
+    *   Removes all questions and closes the sockets.
+    * ---------------------------------------------------------------- */
+    async close() {
+        this.stop();
+        for (const udp of [this._udp, this._udp6]) {
+            if (!udp) {
+                continue;
+            }
+            udp.removeAllListeners('message');
+            await new Promise((resolve) => {
+                udp.close(() => {
+                    resolve();
+                });
+            });
+        }
+        this._udp = null;
+        this._udp6 = null;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: add(name_list, type)
+    *   Sends the questions at once and repeats them until they are
+    *   removed.
+    * ---------------------------------------------------------------- */
+    add(name_list, type) {
+        for (const name of name_list) {
+            const key = JSON.stringify([name.toLowerCase(), type || '*']);
+            let q = this._questions.get(key);
+            if (!q) {
+                q = { name: name, type: type || '*', refs: 0 };
+                this._questions.set(key, q);
+            }
+            q['refs']++;
+        }
+        this._interval = INITIAL_INTERVAL;
+        this._schedule(0);
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: remove(name_list, type)
+    * ---------------------------------------------------------------- */
+    remove(name_list, type) {
+        for (const name of name_list) {
+            const key = JSON.stringify([name.toLowerCase(), type || '*']);
+            const q = this._questions.get(key);
+            if (!q) {
+                continue;
+            }
+            q['refs']--;
+            if (q['refs'] <= 0) {
+                this._questions.delete(key);
+            }
+        }
+        if (this._questions.size === 0) {
+            this.stop();
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: stop()
+    *   Removes all questions.
+    * ---------------------------------------------------------------- */
+    stop() {
+        this._questions.clear();
+        this._clearTimer();
+    }
+
+    _bind(type, address) {
+        return new Promise((resolve, reject) => {
+            const udp = mDgram.createSocket({ type: type });
+            udp.once('error', (error) => {
+                try {
+                    udp.close();
+                } catch (e) { }
+                reject(error);
+            });
+            udp.on('message', (buf, rinfo) => {
+                this._receivePacket(buf, rinfo, udp);
+            });
+            const params = { port: 0 };
+            if (address) {
+                params['address'] = address;
+            }
+            udp.bind(params, () => {
+                udp.removeAllListeners('error');
+                udp.on('error', () => {
+                    // The query is sent again on the next schedule
+                });
+                this._dnssd._setMulticastOptions(udp);
+                resolve(udp);
+            });
+        });
+    }
+
+    _receivePacket(buf, rinfo, udp) {
+        const p = mDnsSdParser.parse(buf);
+        if (!p) {
+            this._captureReceived(buf, null, rinfo, udp);
+            return;
+        }
+        if (!this._dnssd._attributePacket(p, rinfo.address)) {
+            return;
+        }
+        this._captureReceived(buf, p, rinfo, udp);
+        if (p['header']['qr'] !== 1 || p['header']['op'] !== 0 || p['header']['id'] !== this._id) {
+            return;
+        }
+        this._dnssd.cache.addPacket(p);
+        this.onpacket(p);
+        this._dnssd._emitPacketEvents(p);
+    }
+
+    // The answers are sent by unicast to the port of the socket, on the
+    // address of the interface facing the responder
+    _captureReceived(buf, p, rinfo, udp) {
+        const dnssd = this._dnssd;
+        if (!dnssd._isCapturing()) {
+            return;
+        }
+        const netif = dnssd._findNetif(rinfo.address);
+        dnssd._captureReceived(buf, p, rinfo, {
+            address: netif ? netif['address'] : null,
+            port: udp.address().port
+        });
+    }
+
+    _tick() {
+        // One packet per question type
+        const type_names = new Map();
+        for (const q of this._questions.values()) {
+            if (!type_names.has(q['type'])) {
+                type_names.set(q['type'], []);
+            }
+            type_names.get(q['type']).push(q['name']);
+        }
+        for (const [type, name_list] of type_names) {
+            this._sendQueryPacket(name_list, (type === '*') ? undefined : type).catch(() => {
+                // The query is sent again on the next schedule
+            });
+        }
+        const interval = this._interval;
+        this._interval = Math.min(this._interval * 2, MAX_INTERVAL);
+        this._schedule(interval);
+    }
+
+    // Sends the query on every interface
+    async _sendQueryPacket(name_list, type) {
+        const dnssd = this._dnssd;
+        const buf = mDnsSdComposer.compose({ name: name_list, type: type, id: this._id });
+        for (const netif_address of dnssd._netif_address_list) {
+            if (!this._udp) {
+                break;
+            }
+            const port = this._udp.address().port;
+            this._udp.setMulticastInterface(netif_address);
+            await this._send(this._udp, buf, dnssd._MULTICAST_ADDR);
+            const netif = dnssd._findNetif(netif_address);
+            dnssd._captureSent(buf, netif_address, dnssd._MULTICAST_ADDR, netif ? netif['name'] : null, port);
+        }
+        for (const netif of dnssd._netif6_list) {
+            if (!this._udp6) {
+                break;
+            }
+            const port = this._udp6.address().port;
+            this._udp6.setMulticastInterface(dnssd._createScopedAddress('::', netif));
+            await this._send(this._udp6, buf, dnssd._MULTICAST_ADDR6);
+            dnssd._captureSent(buf, dnssd._getNetif6Source(netif), dnssd._MULTICAST_ADDR6, netif['name'], port);
+        }
+    }
+
+    _send(udp, buf, addr) {
+        return new Promise((resolve, reject) => {
+            udp.send(buf, 0, buf.length, this._dnssd._UDP_PORT, addr, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    _schedule(msec) {
+        this._clearTimer();
+        if (this._questions.size === 0) {
+            return;
+        }
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._tick();
+        }, msec);
+    }
+
+    _clearTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+module.exports = DnsSdLegacyQuerier;
@@ -0,0 +1,147 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-monitor.js
+*
+* A monitor returned by DnsSd.startMonitoring(). It keeps the mDNS
+* socket open and emits the received packets which match its filter.
+* Several monitors with different filters can run at the same time.
+*
+* With the `capture` parameter, the datagrams received and sent on the
+* socket which match the filter are written in the pcapng format (see
+* dns-sd-pcapng.js).
+*
+* Events:
+*   - packet | A received packet matched the filter
+*   - error  | Writing the capture failed. It is emitted only if it is
+*              listened to.
+* ---------------------------------------------------------------- */
+'use strict';
+const mEvents = require('events');
+const mDnsSdFilter = require('./dns-sd-filter.js');
+const DnsSdPcapngWriter = require('./dns-sd-pcapng.js');
+
+class DnsSdMonitor extends mEvents.EventEmitter {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdMonitor(dnssd, params)
+    * - dnssd    | DnsSd  | Required | The DnsSd object which owns the socket
+    * - params   | Object | Required | Parameters already checked by
+    *            |        |          | DnsSd.startMonitoring()
+    * ---------------------------------------------------------------- */
+    constructor(dnssd, params) {
+        super();
+        this._dnssd = dnssd;
+        this._params = params;
+        this._is_running = false;
+        this._capture = null; // DnsSdPcapngWriter
+    }
+
+    /* ------------------------------------------------------------------
+    * Property: running
+    * ---------------------------------------------------------------- */
+    get running() {
+        return this._is_running;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: stop()
+    *   Stops the monitor. The socket is closed if nothing else uses it.
+    * ---------------------------------------------------------------- */
+    async stop() {
+        if (this._is_running === false) {
+            return;
+        }
+        this._is_running = false;
+        await this._closeCapture();
+        await this._dnssd._stopMonitor(this);
+    }
+
+    // Opens the capture if the `capture` parameter was given
+    async _openCapture() {
+        const target = this._params['capture'];
+        if (!target) {
+            return;
+        }
+        const capture = new DnsSdPcapngWriter(target);
+        capture.onerror = (error) => {
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            }
+        };
+        await capture.open();
+        this._capture = capture;
+    }
+
+    async _closeCapture() {
+        if (this._capture) {
+            const capture = this._capture;
+            this._capture = null;
+            await capture.close();
+        }
+    }
+
+    // Called by the DnsSd object for each datagram received or sent. The
+    // `packet` is the parsed datagram (`null` if it could not be parsed,
+    // which only a monitor without a filter captures) and the `datagram`
+    // is passed to DnsSdPcapngWriter.writePacket().
+    _captureDatagram(packet, datagram) {
+        if (!this._capture) {
+            return;
+        }
+        if (packet ? !this._matchPacket(packet) : this._hasFilter()) {
+            return;
+        }
+        this._capture.writePacket(datagram);
+    }
+
+    _hasFilter() {
+        return ['names', 'types', 'direction', 'sources'].some((k) => k in this._params);
+    }
+
+    // Called by the DnsSd object for each received packet. Returns `true`
+    // if the packet matched and has been emitted.
+    _handlePacket(packet) {
+        if (!this._matchPacket(packet)) {
+            return false;
+        }
+        this.emit('packet', packet);
+        return true;
+    }
+
+    _matchPacket(packet) {
+        const params = this._params;
+        const qr = packet['header']['qr'];
+        if (params['direction'] === 'query' && qr !== 0) {
+            return false;
+        } else if (params['direction'] === 'response' && qr !== 1) {
+            return false;
+        }
+        if (params['sources'] && !mDnsSdFilter.match({ address: params['sources'] }, { address: packet['address'] }, {})) {
+            return false;
+        }
+        if (!params['names'] && !params['types']) {
+            return true;
+        }
+        // A question or a record must match both the names and the types
+        const entries = packet['questions'].concat(this._dnssd._listPacketRecords(packet));
+        return entries.some((entry) => {
+            return this._matchName(entry['name']) && this._matchType(entry['type']);
+        });
+    }
+
+    _matchName(name) {
+        const names = this._params['names'];
+        if (!names) {
+            return true;
+        }
+        return typeof (name) === 'string' && names.some((glob) => mDnsSdFilter.matchGlob(glob, name));
+    }
+
+    _matchType(type) {
+        const types = this._params['types'];
+        if (!types) {
+            return true;
+        }
+        return types.includes(type);
+    }
+}
+
+module.exports = DnsSdMonitor;
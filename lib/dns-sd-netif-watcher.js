@@ -0,0 +1,88 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-netif-watcher.js
+*
+* Watches the network interfaces for addresses which appear or vanish
+* (e.g., Wi-Fi reconnecting, a laptop docking). Node.js has no event
+* for it, so the addresses are polled and compared with the previous
+* ones.
+*
+* Event:
+*   - change | { added, removed } | Lists of the interface addresses
+*            |                    | ({ name, family, address }) which
+*            |                    | appeared and vanished
+* ---------------------------------------------------------------- */
+'use strict';
+const mEvents = require('events');
+
+const DEFAULT_INTERVAL = 5000; // msec
+
+class DnsSdNetifWatcher extends mEvents.EventEmitter {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdNetifWatcher(list_fn[, interval])
+    * - list_fn  | Function | Required | Returns the interface addresses to
+    *            |          |          | watch: [{ name, family, address }]
+    * - interval | Integer  | Optional | Polling interval (msec). The default
+    *            |          |          | value is 5000.
+    * ---------------------------------------------------------------- */
+    constructor(list_fn, interval) {
+        super();
+        this._list_fn = list_fn;
+        this._interval = interval || DEFAULT_INTERVAL;
+        this._list = [];
+        this._timer = null;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: start()
+    *   Takes the current addresses and starts polling. The timer does
+    *   not keep the process running.
+    * ---------------------------------------------------------------- */
+    start() {
+        if (this._timer) {
+            return;
+        }
+        this._list = this._list_fn();
+        this._timer = setInterval(() => {
+            this.check();
+        }, this._interval);
+        this._timer.unref();
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: stop()
+    * ---------------------------------------------------------------- */
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: check()
+    *   Compares the addresses with the previous ones. Emits a `change`
+    *   event and returns it if any address appeared or vanished,
+    *   otherwise returns `null`.
+    * ---------------------------------------------------------------- */
+    check() {
+        const list = this._list_fn();
+        const prev_keys = new Set(this._list.map((o) => this._createKey(o)));
+        const keys = new Set(list.map((o) => this._createKey(o)));
+        const change = {
+            added: list.filter((o) => !prev_keys.has(this._createKey(o))),
+            removed: this._list.filter((o) => !keys.has(this._createKey(o)))
+        };
+        this._list = list;
+        if (change['added'].length === 0 && change['removed'].length === 0) {
+            return null;
+        }
+        this.emit('change', change);
+        return change;
+    }
+
+    _createKey(o) {
+        return JSON.stringify([o['name'], o['family'], o['address']]);
+    }
+}
+
+module.exports = DnsSdNetifWatcher;
@@ -61,7 +61,9 @@ class DnsSdParser {
             additionals: buf.readUInt16BE(10)
         };
 
-        if (header['tc'] !== 0 || header['rd'] !== 0 || header['ra'] !== 0 || header['z'] !== 0 || header['ad'] !== 0 || header['cd'] !== 0 || header['rc'] !== 0) {
+        // The TC bit of a query means that more known answers follow
+        // (RFC 6762 §7.2), and it is ignored in a response (§18.5)
+        if (header['rd'] !== 0 || header['ra'] !== 0 || header['z'] !== 0 || header['ad'] !== 0 || header['cd'] !== 0 || header['rc'] !== 0) {
             return null;
         }
 
@@ -107,12 +109,15 @@ class DnsSdParser {
                 let type = this._TYPE_MAP[type_value];
                 offset += 2;
                 let cls_value = buf.readUInt16BE(offset);
-                let cls = this._CLASS_MAP[cls_value];
+                let cls = this._CLASS_MAP[cls_value & 0b0111111111111111];
+                // The top bit is the unicast-response (QU) bit (RFC 6762 §5.4)
+                let qu = (cls_value & 0b1000000000000000) ? true : false;
                 offset += 2;
                 records[record_key].push({
                     name: domain_name,
                     type: type || '',
-                    class: cls || ''
+                    class: cls || '',
+                    qu: qu
                 });
             } else {
                 if (offset + 10 > buf.length) {
@@ -318,6 +323,10 @@ class DnsSdParser {
                         const e = offset + i + blen;
                         labels[m[1]] = buf.slice(s, e);
                     }
+                } else if (pair.length > 0 && pair[0] !== '=') {
+                    // A boolean attribute (RFC 6763 §6.4): an empty value,
+                    // and `null` in the buffer to tell it from "key="
+                    labels[pair] = buf_flag ? null : '';
                 }
                 i += blen;
             } else {
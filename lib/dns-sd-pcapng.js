@@ -0,0 +1,375 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-pcapng.js
+*
+* Writes mDNS datagrams to a capture file in the pcapng format, so the
+* traffic a monitor saw can be opened by Wireshark or tcpdump.
+*
+* Only the UDP payload is known, so each datagram is wrapped in
+* synthetic Ethernet, IPv4/IPv6 and UDP headers. The Ethernet addresses
+* are zero except the multicast destination (01:00:5e:00:00:fb or
+* 33:33:00:00:00:fb). Each network interface gets an Interface
+* Description Block named after it, and each datagram an Enhanced Packet
+* Block with a microsecond timestamp and its direction (inbound or
+* outbound).
+* ---------------------------------------------------------------- */
+'use strict';
+const mFs = require('fs');
+const mNet = require('net');
+
+const BLOCK_TYPE_SHB = 0x0A0D0D0A;
+const BLOCK_TYPE_IDB = 0x00000001;
+const BLOCK_TYPE_EPB = 0x00000006;
+const BYTE_ORDER_MAGIC = 0x1A2B3C4D;
+const LINKTYPE_ETHERNET = 1;
+
+const OPT_ENDOFOPT = 0;
+const OPT_SHB_USERAPPL = 4;
+const OPT_IF_NAME = 2;
+const OPT_EPB_FLAGS = 2;
+
+// The direction bits of epb_flags
+const EPB_FLAGS_DIRECTION = { inbound: 1, outbound: 2 };
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86DD;
+const IP_PROTO_UDP = 17;
+
+class DnsSdPcapngWriter {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdPcapngWriter(target)
+    * - target | String or | Required | Path of the capture file, or a
+    *          | Writable  |          | writable stream
+    *
+    * A file is created (or truncated) by open() and closed by close(). A
+    * stream given by the caller is not ended.
+    * ---------------------------------------------------------------- */
+    constructor(target) {
+        this._path = (typeof (target) === 'string') ? target : null;
+        this._stream = (typeof (target) === 'string') ? null : target;
+        this._interfaces = new Map(); // Interface name -> interface ID
+        this._is_open = false;
+        this._error = null;
+        this._onerror = null; // The 'error' listener added to the stream
+        this.onerror = null;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: open()
+    *   Opens the file (if a path was given) and writes the Section
+    *   Header Block. Returns a Promise rejected if the file can not be
+    *   opened.
+    * ---------------------------------------------------------------- */
+    async open() {
+        if (this._is_open) {
+            return;
+        }
+        if (this._path !== null) {
+            this._stream = await this._openFile(this._path);
+        }
+        this._onerror = (error) => {
+            this._handleError(error);
+        };
+        this._stream.on('error', this._onerror);
+        this._is_open = true;
+        this._write(this._createSectionHeaderBlock());
+    }
+
+    _openFile(path) {
+        return new Promise((resolve, reject) => {
+            const stream = mFs.createWriteStream(path);
+            const onerror = (error) => {
+                reject(error);
+            };
+            stream.once('error', onerror);
+            stream.once('open', () => {
+                stream.removeListener('error', onerror);
+                resolve(stream);
+            });
+        });
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: writePacket(packet)
+    * - packet        | Object | Required |
+    *   - data        | Buffer | Required | The UDP payload
+    *   - direction   | String | Required | "inbound" or "outbound"
+    *   - source      | Object | Required | { address, port }
+    *   - destination | Object | Required | { address, port }
+    *   - interface   | String | Optional | Interface name (e.g., "eth0").
+    *                 |        |          | `null` if unknown.
+    *   - time        | Number | Optional | Timestamp (msec since the epoch).
+    *                 |        |          | The default is the current time.
+    *
+    *   The addresses may have a zone index ("fe80::1%eth0"). An address
+    *   which is `null` (unknown) is written as the unspecified address
+    *   of the family of the other one ("0.0.0.0" or "::"). A datagram
+    *   whose source and destination are not of the same family is
+    *   dropped.
+    * ---------------------------------------------------------------- */
+    writePacket(packet) {
+        if (!this._is_open || this._error) {
+            return;
+        }
+        const frame = this._createFrame(packet);
+        if (!frame) {
+            return;
+        }
+        const id = this._getInterfaceId(packet['interface'] || 'any');
+        const time = (typeof (packet['time']) === 'number') ? packet['time'] : Date.now();
+        this._write(this._createEnhancedPacketBlock(id, time, frame, packet['direction']));
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: close()
+    *   Closes the file if a path was given. Returns a Promise resolved
+    *   once the data has been flushed. The listener added to a stream
+    *   given by the caller is removed.
+    * ---------------------------------------------------------------- */
+    close() {
+        return new Promise((resolve) => {
+            const opened = this._is_open;
+            this._is_open = false;
+            if (!opened) {
+                resolve();
+                return;
+            }
+            if (this._path === null || this._error) {
+                this._removeErrorListener();
+                resolve();
+                return;
+            }
+            this._stream.end(() => {
+                this._removeErrorListener();
+                resolve();
+            });
+        });
+    }
+
+    _removeErrorListener() {
+        if (this._onerror) {
+            this._stream.removeListener('error', this._onerror);
+            this._onerror = null;
+        }
+    }
+
+    _handleError(error) {
+        this._error = error;
+        if (typeof (this.onerror) === 'function') {
+            this.onerror(error);
+        }
+    }
+
+    _write(buf) {
+        try {
+            this._stream.write(buf);
+        } catch (error) {
+            this._handleError(error);
+        }
+    }
+
+    // Writes the Interface Description Block the first time an interface
+    // is seen. The IDs are numbered in that order.
+    _getInterfaceId(name) {
+        if (this._interfaces.has(name)) {
+            return this._interfaces.get(name);
+        }
+        const id = this._interfaces.size;
+        this._interfaces.set(name, id);
+        this._write(this._createInterfaceDescriptionBlock(name));
+        return id;
+    }
+
+    _createSectionHeaderBlock() {
+        const body = Buffer.alloc(16);
+        body.writeUInt32LE(BYTE_ORDER_MAGIC, 0);
+        body.writeUInt16LE(1, 4); // Major version
+        body.writeUInt16LE(0, 6); // Minor version
+        body.writeInt32LE(-1, 8); // Section length: unspecified
+        body.writeInt32LE(-1, 12);
+        const options = this._createOptions([[OPT_SHB_USERAPPL, Buffer.from('node-dns-sd')]]);
+        return this._createBlock(BLOCK_TYPE_SHB, Buffer.concat([body, options]));
+    }
+
+    _createInterfaceDescriptionBlock(name) {
+        const body = Buffer.alloc(8);
+        body.writeUInt16LE(LINKTYPE_ETHERNET, 0);
+        body.writeUInt16LE(0, 2); // Reserved
+        body.writeUInt32LE(0, 4); // Snap length: no limit
+        const options = this._createOptions([[OPT_IF_NAME, Buffer.from(name)]]);
+        return this._createBlock(BLOCK_TYPE_IDB, Buffer.concat([body, options]));
+    }
+
+    _createEnhancedPacketBlock(id, time, frame, direction) {
+        const body = Buffer.alloc(20);
+        // The default resolution of the timestamps is microseconds
+        const usec = Math.round(time * 1000);
+        body.writeUInt32LE(id, 0);
+        body.writeUInt32LE(Math.floor(usec / 0x100000000), 4);
+        body.writeUInt32LE(usec % 0x100000000, 8);
+        body.writeUInt32LE(frame.length, 12); // Captured length
+        body.writeUInt32LE(frame.length, 16); // Original length
+        const flags = Buffer.alloc(4);
+        flags.writeUInt32LE(EPB_FLAGS_DIRECTION[direction] || 0, 0);
+        const options = this._createOptions([[OPT_EPB_FLAGS, flags]]);
+        return this._createBlock(BLOCK_TYPE_EPB, Buffer.concat([body, this._pad(frame), options]));
+    }
+
+    // Block Type, Block Total Length, the body and the length again
+    _createBlock(type, body) {
+        const len = 12 + body.length;
+        const head = Buffer.alloc(8);
+        head.writeUInt32LE(type, 0);
+        head.writeUInt32LE(len, 4);
+        const tail = Buffer.alloc(4);
+        tail.writeUInt32LE(len, 0);
+        return Buffer.concat([head, body, tail]);
+    }
+
+    _createOptions(list) {
+        const bufs = [];
+        for (const [code, value] of list) {
+            const head = Buffer.alloc(4);
+            head.writeUInt16LE(code, 0);
+            head.writeUInt16LE(value.length, 2);
+            bufs.push(head, this._pad(value));
+        }
+        const end = Buffer.alloc(4);
+        end.writeUInt16LE(OPT_ENDOFOPT, 0);
+        bufs.push(end);
+        return Buffer.concat(bufs);
+    }
+
+    // Pads the data to 32 bits
+    _pad(buf) {
+        const rem = buf.length % 4;
+        return (rem === 0) ? buf : Buffer.concat([buf, Buffer.alloc(4 - rem)]);
+    }
+
+    // The Ethernet frame of the datagram, or `null` if the addresses are
+    // unusable
+    _createFrame(packet) {
+        const src = this._stripZone(packet['source']['address']);
+        const dst = this._stripZone(packet['destination']['address']);
+        const family = mNet.isIP(src) || mNet.isIP(dst);
+        if (family === 0 || (src && mNet.isIP(src) !== family) || (dst && mNet.isIP(dst) !== family)) {
+            return null;
+        }
+        const src_bytes = this._parseAddress(src || ((family === 4) ? '0.0.0.0' : '::'), family);
+        const dst_bytes = this._parseAddress(dst || ((family === 4) ? '0.0.0.0' : '::'), family);
+        const udp = this._createUdpDatagram(packet, src_bytes, dst_bytes);
+        const ip = (family === 4) ?
+            this._createIpv4Header(src_bytes, dst_bytes, udp.length) :
+            this._createIpv6Header(src_bytes, dst_bytes, udp.length);
+
+        const eth = Buffer.alloc(14);
+        this._createMacAddress(dst_bytes, family).copy(eth, 0);
+        // The source MAC address stays zero
+        eth.writeUInt16BE((family === 4) ? ETHERTYPE_IPV4 : ETHERTYPE_IPV6, 12);
+        return Buffer.concat([eth, ip, udp]);
+    }
+
+    // RFC 1112 §6.4 (IPv4) and RFC 2464 §7 (IPv6) multicast MAC addresses
+    _createMacAddress(dst_bytes, family) {
+        const mac = Buffer.alloc(6);
+        if (family === 4 && (dst_bytes[0] & 0xF0) === 0xE0) {
+            mac[0] = 0x01;
+            mac[1] = 0x00;
+            mac[2] = 0x5E;
+            mac[3] = dst_bytes[1] & 0x7F;
+            mac[4] = dst_bytes[2];
+            mac[5] = dst_bytes[3];
+        } else if (family === 6 && dst_bytes[0] === 0xFF) {
+            mac[0] = 0x33;
+            mac[1] = 0x33;
+            dst_bytes.copy(mac, 2, 12, 16);
+        }
+        return mac;
+    }
+
+    _createIpv4Header(src_bytes, dst_bytes, udp_len) {
+        const ip = Buffer.alloc(20);
+        ip[0] = 0x45; // Version 4, header length 20 bytes
+        ip.writeUInt16BE(20 + udp_len, 2);
+        ip[8] = 255; // TTL (RFC 6762 §11)
+        ip[9] = IP_PROTO_UDP;
+        src_bytes.copy(ip, 12);
+        dst_bytes.copy(ip, 16);
+        ip.writeUInt16BE(this._checksum([ip]), 10);
+        return ip;
+    }
+
+    _createIpv6Header(src_bytes, dst_bytes, udp_len) {
+        const ip = Buffer.alloc(40);
+        ip.writeUInt32BE(0x60000000, 0); // Version 6
+        ip.writeUInt16BE(udp_len, 4);
+        ip[6] = IP_PROTO_UDP;
+        ip[7] = 255; // Hop limit (RFC 6762 §11)
+        src_bytes.copy(ip, 8);
+        dst_bytes.copy(ip, 24);
+        return ip;
+    }
+
+    _createUdpDatagram(packet, src_bytes, dst_bytes) {
+        const data = packet['data'];
+        const udp = Buffer.alloc(8 + data.length);
+        udp.writeUInt16BE(packet['source']['port'], 0);
+        udp.writeUInt16BE(packet['destination']['port'], 2);
+        udp.writeUInt16BE(udp.length, 4);
+        data.copy(udp, 8);
+        // The checksum covers the pseudo header (RFC 768, RFC 8200 §8.1)
+        const pseudo = Buffer.alloc(src_bytes.length === 4 ? 4 : 8);
+        if (src_bytes.length === 4) {
+            pseudo[1] = IP_PROTO_UDP;
+            pseudo.writeUInt16BE(udp.length, 2);
+        } else {
+            pseudo.writeUInt32BE(udp.length, 0);
+            pseudo[7] = IP_PROTO_UDP;
+        }
+        const sum = this._checksum([src_bytes, dst_bytes, pseudo, udp]);
+        udp.writeUInt16BE((sum === 0) ? 0xFFFF : sum, 6);
+        return udp;
+    }
+
+    // The Internet checksum (RFC 1071) of the buffers
+    _checksum(bufs) {
+        let sum = 0;
+        for (const buf of bufs) {
+            for (let i = 0; i < buf.length; i += 2) {
+                sum += (buf[i] << 8) + ((i + 1 < buf.length) ? buf[i + 1] : 0);
+            }
+        }
+        while (sum > 0xFFFF) {
+            sum = (sum & 0xFFFF) + (sum >>> 16);
+        }
+        return (~sum) & 0xFFFF;
+    }
+
+    _stripZone(address) {
+        return (typeof (address) === 'string') ? address.replace(/%.*$/, '') : '';
+    }
+
+    _parseAddress(address, family) {
+        if (family === 4) {
+            return Buffer.from(address.split('.').map((n) => parseInt(n, 10)));
+        }
+        // An embedded IPv4 address ("::ffff:192.168.1.1") is two groups
+        let addr = address;
+        const m = addr.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+        if (m) {
+            const b = m[2].split('.').map((n) => parseInt(n, 10));
+            addr = m[1] + ((b[0] << 8) | b[1]).toString(16) + ':' + ((b[2] << 8) | b[3]).toString(16);
+        }
+        const [head, tail] = addr.split('::');
+        const head_groups = head ? head.split(':') : [];
+        const tail_groups = (tail === undefined) ? [] : (tail ? tail.split(':') : []);
+        const zeros = new Array(8 - head_groups.length - tail_groups.length).fill('0');
+        const groups = head_groups.concat(zeros, tail_groups);
+        const buf = Buffer.alloc(16);
+        groups.forEach((g, i) => {
+            buf.writeUInt16BE(parseInt(g, 16), i * 2);
+        });
+        return buf;
+    }
+}
+
+module.exports = DnsSdPcapngWriter;
@@ -0,0 +1,339 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-query-scheduler.js
+*
+* Schedules the queries for continuous querying (RFC 6762 §5.2).
+*
+* - The first query for a question is sent after a random delay of
+*   20-120 ms. The interval between the following queries starts at
+*   one second and doubles after each query, up to one hour.
+* - The questions share one schedule: when a query is sent, every
+*   other question which would be due within half of its interval is
+*   sent in the same packet.
+* - A record answering an active question is refreshed by a query at
+*   80%, 85%, 90% and 95% of its TTL, with a random variance of 2%.
+*   A refresh query does not advance the schedule of the question.
+* - A question added with `unicast_response` asks for unicast responses
+*   (the QU bit) in its first query only (RFC 6762 §5.4).
+* ---------------------------------------------------------------- */
+'use strict';
+
+const INITIAL_DELAY_MIN = 20; // msec
+const INITIAL_DELAY_MAX = 120; // msec
+const INITIAL_INTERVAL = 1000; // msec
+const MAX_INTERVAL = 3600 * 1000; // msec
+const REFRESH_POINTS = [0.80, 0.85, 0.90, 0.95];
+const REFRESH_VARIANCE = 0.02;
+
+class DnsSdQueryScheduler {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdQueryScheduler(dnssd)
+    * - dnssd | DnsSd | Required | The DnsSd object which sends the queries
+    *         |       |          | and owns the record cache
+    * ---------------------------------------------------------------- */
+    constructor(dnssd) {
+        this._dnssd = dnssd;
+        this._questions = new Map(); // key -> { name, type, refs, interval, next, qu }
+        // The refresh states of the cached records answering the questions
+        this._refreshes = new Map(); // record key -> { questions, received, points, done }
+        this._timer = null;
+        this._onCacheAdded = (record) => {
+            if (this._watchRecord(record)) {
+                this._schedule();
+            }
+        };
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: add(name_list, type[, unicast_response])
+    * - name_list        | Array   | Required | Question names
+    * - type             | String  | Optional | Question type. The default value is "*".
+    * - unicast_response | Boolean | Optional | If `true`, the next query of the
+    *                    |         |          | questions asks for unicast responses.
+    *
+    *   Starts querying the questions. A question which is already
+    *   active restarts from the initial interval.
+    * ---------------------------------------------------------------- */
+    add(name_list, type, unicast_response) {
+        const now = Date.now();
+        const delay = INITIAL_DELAY_MIN + Math.random() * (INITIAL_DELAY_MAX - INITIAL_DELAY_MIN);
+        if (this._questions.size === 0) {
+            this._dnssd.cache.on('added', this._onCacheAdded);
+        }
+        for (const name of name_list) {
+            const key = this._createQuestionKey(name, type);
+            let q = this._questions.get(key);
+            if (!q) {
+                q = { name: name, type: type || '*', refs: 0, qu: false };
+                this._questions.set(key, q);
+            }
+            q['refs']++;
+            q['interval'] = INITIAL_INTERVAL;
+            q['next'] = now + delay;
+            if (unicast_response) {
+                q['qu'] = true;
+            }
+            for (const r of this._dnssd.cache.getRecords({ name: name, type: type })) {
+                this._watchRecord(r);
+            }
+        }
+        this._schedule();
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: remove(name_list, type)
+    *   Stops querying the questions added by add(). A question added
+    *   several times is queried until it is removed as many times.
+    * ---------------------------------------------------------------- */
+    remove(name_list, type) {
+        for (const name of name_list) {
+            const key = this._createQuestionKey(name, type);
+            const q = this._questions.get(key);
+            if (!q) {
+                continue;
+            }
+            q['refs']--;
+            if (q['refs'] <= 0) {
+                this._questions.delete(key);
+            }
+        }
+        if (this._questions.size === 0) {
+            this.stop();
+        } else {
+            this._schedule();
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: restart()
+    *   Restarts every question from the initial interval, e.g., when a
+    *   network interface has come up.
+    * ---------------------------------------------------------------- */
+    restart() {
+        const now = Date.now();
+        const delay = INITIAL_DELAY_MIN + Math.random() * (INITIAL_DELAY_MAX - INITIAL_DELAY_MIN);
+        for (const q of this._questions.values()) {
+            q['interval'] = INITIAL_INTERVAL;
+            q['next'] = now + delay;
+        }
+        this._schedule();
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: stop()
+    *   Removes all questions.
+    * ---------------------------------------------------------------- */
+    stop() {
+        this._questions.clear();
+        this._refreshes.clear();
+        this._clearTimer();
+        this._dnssd.cache.removeListener('added', this._onCacheAdded);
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: getQuestions()
+    *   Returns the active questions.
+    * ---------------------------------------------------------------- */
+    getQuestions() {
+        return Array.from(this._questions.values()).map((q) => {
+            return {
+                name: q['name'],
+                type: q['type'],
+                interval: q['interval'],
+                next: new Date(q['next'])
+            };
+        });
+    }
+
+    _tick() {
+        const now = Date.now();
+        const due = this._takeDueQuestions(now);
+
+        // One packet per question type and QU bit
+        const groups = new Map();
+        for (const q of due) {
+            const key = JSON.stringify([q['type'], q['qu']]);
+            if (!groups.has(key)) {
+                groups.set(key, { type: q['type'], qu: q['qu'], name: [] });
+            }
+            groups.get(key)['name'].push(q['name']);
+            q['qu'] = false;
+        }
+        for (const g of groups.values()) {
+            this._dnssd._sendQueryPacket({
+                name: g['name'],
+                type: (g['type'] === '*') ? undefined : g['type'],
+                unicastResponse: g['qu']
+            }).catch(() => {
+                // The query is sent again on the next schedule
+            });
+        }
+        this._schedule();
+    }
+
+    // Returns the questions to send now. The questions due by the
+    // schedule and the ones due soon advance their schedule; the ones only
+    // refreshing their answers do not.
+    _takeDueQuestions(now) {
+        const due = new Set();
+        for (const q of this._questions.values()) {
+            if (q['next'] <= now) {
+                due.add(q);
+            }
+        }
+        const refresh = this._getRefreshQuestions(now);
+        if (due.size === 0 && refresh.length === 0) {
+            return [];
+        }
+        // Share the packet with the questions which are due soon
+        for (const q of this._questions.values()) {
+            if (q['next'] - now <= q['interval'] / 2) {
+                due.add(q);
+            }
+        }
+        for (const q of due) {
+            q['next'] = now + q['interval'];
+            q['interval'] = Math.min(q['interval'] * 2, MAX_INTERVAL);
+        }
+        for (const q of refresh) {
+            due.add(q);
+        }
+        return Array.from(due);
+    }
+
+    // Starts watching the record for the refresh if it answers an active
+    // question. Returns `true` if it does.
+    _watchRecord(record) {
+        const name = record['name'].toLowerCase();
+        const qkeys = [record['type'], '*'].map((type) => {
+            return JSON.stringify([name, type]);
+        }).filter((k) => this._questions.has(k));
+        if (qkeys.length === 0) {
+            return false;
+        }
+        const cache = this._dnssd.cache;
+        const key = cache._createKey(record);
+        const entry = cache._getEntry(key);
+        if (!entry) {
+            return false;
+        }
+        let state = this._refreshes.get(key);
+        if (!state || state['received'] !== entry['received']) {
+            state = this._createRefreshState(entry, state ? state['questions'] : new Set());
+            this._refreshes.set(key, state);
+        }
+        for (const k of qkeys) {
+            state['questions'].add(k);
+        }
+        return true;
+    }
+
+    // Returns the questions whose answers have reached a refresh point.
+    // The states of the records which are no longer in the cache or
+    // answer no active question are discarded.
+    _getRefreshQuestions(now) {
+        const list = new Set();
+        const cache = this._dnssd.cache;
+        for (const [key, state] of this._refreshes) {
+            const entry = cache._getEntry(key);
+            if (!entry) {
+                this._refreshes.delete(key);
+                continue;
+            }
+            let s = state;
+            if (s['received'] !== entry['received']) {
+                // The record has been received again
+                s = this._createRefreshState(entry, state['questions']);
+                this._refreshes.set(key, s);
+            }
+            const questions = [];
+            for (const k of s['questions']) {
+                const q = this._questions.get(k);
+                if (q) {
+                    questions.push(q);
+                } else {
+                    s['questions'].delete(k);
+                }
+            }
+            if (questions.length === 0) {
+                this._refreshes.delete(key);
+                continue;
+            }
+            let hit = false;
+            while (s['done'] < s['points'].length && s['points'][s['done']] <= now) {
+                // A record which got a goodbye or was flushed is not refreshed
+                if (s['points'][s['done']] < entry['expires']) {
+                    hit = true;
+                }
+                s['done']++;
+            }
+            if (hit) {
+                questions.forEach((q) => list.add(q));
+            }
+        }
+        return Array.from(list);
+    }
+
+    // Returns the time of the next query or refresh
+    _getNextTime() {
+        let next = Infinity;
+        for (const q of this._questions.values()) {
+            next = Math.min(next, q['next']);
+        }
+        for (const state of this._refreshes.values()) {
+            if (state['done'] < state['points'].length) {
+                next = Math.min(next, state['points'][state['done']]);
+            }
+        }
+        return next;
+    }
+
+    // Creates the refresh state from the cache entry of the record
+    _createRefreshState(entry, questions) {
+        const now = Date.now();
+        const received = entry['received'];
+        const expires = entry['expires'];
+        const lifetime = entry['ttl'] * 1000;
+        const points = [];
+        for (const p of REFRESH_POINTS) {
+            const t = received + lifetime * (p + Math.random() * REFRESH_VARIANCE);
+            // A record which got a goodbye or was flushed is not refreshed
+            if (t < expires) {
+                points.push(t);
+            }
+        }
+        // The points already passed (e.g., the record was cached before the
+        // question was added) are skipped
+        const done = points.filter((t) => t <= now).length;
+        return { questions: questions, received: received, points: points, done: done };
+    }
+
+    _schedule() {
+        this._clearTimer();
+        if (this._questions.size === 0) {
+            return;
+        }
+        const next = this._getNextTime();
+        if (next === Infinity) {
+            return;
+        }
+        // Node.js timers can not wait longer than 2^31-1 msec
+        const msec = Math.min(Math.max(next - Date.now(), 0), 0x7fffffff);
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._tick();
+        }, msec);
+    }
+
+    _clearTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    _createQuestionKey(name, type) {
+        return JSON.stringify([name.toLowerCase(), type || '*']);
+    }
+}
+
+module.exports = DnsSdQueryScheduler;
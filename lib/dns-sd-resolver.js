@@ -0,0 +1,220 @@
+/* ------------------------------------------------------------------
+* node-dns-sd - dns-sd-resolver.js
+*
+* Resolves a service instance into its host, port, addresses and TXT
+* data, like DNSServiceResolve.
+*
+* The records are looked up in the record cache of the DnsSd object
+* first. The missing ones are queried continuously (SRV and TXT of the
+* instance, A and AAAA of the host) until the resolution is complete
+* or the time runs out.
+*
+* The subclasses resolve other names by overriding _createResult(),
+* _isComplete(), _listQuestions() and _createTimeoutResult() (see
+* dns-sd-host-resolver.js).
+* ---------------------------------------------------------------- */
+'use strict';
+
+class DnsSdResolver {
+    /* ------------------------------------------------------------------
+    * Constructor: DnsSdResolver(dnssd, params)
+    * - dnssd    | DnsSd  | Required | The DnsSd object which owns the socket
+    * - params   | Object | Required | Parameters already checked by
+    *            |        |          | DnsSd.resolve()
+    * ---------------------------------------------------------------- */
+    constructor(dnssd, params) {
+        this._dnssd = dnssd;
+        this._params = params;
+        this._questions = []; // [{ name, type }] added to the query scheduler
+        this._scheduler = null; // The query scheduler or a legacy querier
+        this._timer = null;
+        this._onupdate = null;
+        this._onabort = null;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: resolve()
+    *   Returns a Promise resolving to the result object. See
+    *   DnsSd.resolve() for the details.
+    * ---------------------------------------------------------------- */
+    async resolve() {
+        const cached = this._createResult();
+        const signal = this._params['signal'];
+        if (signal && signal.aborted) {
+            throw (this._dnssd._createAbortError(signal, { service: cached }));
+        }
+        if (this._isComplete(cached)) {
+            return cached;
+        }
+        await this._open();
+        try {
+            return await this._waitForRecords();
+        } finally {
+            this._stopQuerying();
+            await this._close();
+        }
+    }
+
+    // Opens the shared socket, or a legacy querier if `legacy` is `true`
+    async _open() {
+        if (this._params['legacy']) {
+            this._scheduler = await this._dnssd._openLegacyQuerier(() => {
+                this._handlePacket();
+            });
+        } else {
+            await this._dnssd._startResolving(this);
+            this._scheduler = this._dnssd._query_scheduler;
+        }
+    }
+
+    async _close() {
+        if (this._params['legacy']) {
+            await this._scheduler.close();
+        } else {
+            await this._dnssd._stopResolving(this);
+        }
+        this._scheduler = null;
+    }
+
+    _waitForRecords() {
+        return new Promise((resolve, reject) => {
+            const signal = this._params['signal'];
+            if (signal) {
+                if (signal.aborted) {
+                    reject(this._dnssd._createAbortError(signal, { service: this._createResult() }));
+                    return;
+                }
+                this._onabort = () => {
+                    this._stopQuerying();
+                    reject(this._dnssd._createAbortError(signal, { service: this._createResult() }));
+                };
+                signal.addEventListener('abort', this._onabort);
+            }
+
+            this._onupdate = () => {
+                const result = this._createResult();
+                if (this._isComplete(result)) {
+                    this._stopQuerying();
+                    resolve(result);
+                } else {
+                    this._updateQuestions(result);
+                }
+            };
+
+            this._timer = setTimeout(() => {
+                this._stopQuerying();
+                const res = this._createTimeoutResult(this._createResult());
+                if (res['error']) {
+                    reject(res['error']);
+                } else {
+                    resolve(res['result']);
+                }
+            }, this._params['wait'] * 1000);
+
+            this._onupdate();
+        });
+    }
+
+    // Called by the DnsSd object when a response has been added to the cache
+    _handlePacket() {
+        if (this._onupdate) {
+            this._onupdate();
+        }
+    }
+
+    _isComplete(result) {
+        return (result['host'] !== null && result['txt'] !== null && result['addresses'].length > 0);
+    }
+
+    // Returns the questions for the records which are still missing
+    _listQuestions(result) {
+        const fqdn = this._params['fqdn'];
+        const list = [];
+        if (result['host'] === null) {
+            list.push({ name: fqdn, type: 'SRV' });
+        }
+        if (result['txt'] === null) {
+            list.push({ name: fqdn, type: 'TXT' });
+        }
+        if (result['host'] !== null && result['addresses'].length === 0) {
+            list.push({ name: result['host'], type: 'A' });
+            list.push({ name: result['host'], type: 'AAAA' });
+        }
+        return list;
+    }
+
+    // Returns the result known so far when the time runs out, or an
+    // error if it is not usable at all
+    _createTimeoutResult(result) {
+        if (result['host']) {
+            return { result: result };
+        }
+        return { error: new Error('The service `' + this._params['fqdn'] + '` could not be resolved.') };
+    }
+
+    // Queries the records which are still missing
+    _updateQuestions(result) {
+        for (const q of this._listQuestions(result)) {
+            const added = this._questions.some((o) => {
+                return (o['name'].toLowerCase() === q['name'].toLowerCase() && o['type'] === q['type']);
+            });
+            if (!added) {
+                this._questions.push(q);
+                this._scheduler.add([q['name']], q['type']);
+            }
+        }
+    }
+
+    _stopQuerying() {
+        this._onupdate = null;
+        if (this._onabort) {
+            this._params['signal'].removeEventListener('abort', this._onabort);
+            this._onabort = null;
+        }
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        for (const q of this._questions) {
+            this._scheduler.remove([q['name']], q['type']);
+        }
+        this._questions = [];
+    }
+
+    // Creates the result object from the records in the cache
+    _createResult() {
+        const cache = this._dnssd.cache;
+        const fqdn = this._params['fqdn'];
+        const result = {
+            fqdn: fqdn,
+            host: null,
+            port: null,
+            addresses: [],
+            txt: null
+        };
+
+        const srv = cache.getRecords({ name: fqdn, type: 'SRV' })[0];
+        if (srv && srv['rdata']) {
+            result['host'] = srv['rdata']['target'];
+            result['port'] = srv['rdata']['port'];
+        }
+
+        const txt = cache.getRecords({ name: fqdn, type: 'TXT' })[0];
+        if (txt) {
+            result['txt'] = Object.assign({}, txt['rdata']);
+        }
+
+        if (result['host']) {
+            ['A', 'AAAA'].forEach((type) => {
+                for (const r of cache.getRecords({ name: result['host'], type: type })) {
+                    if (!result['addresses'].includes(r['rdata'])) {
+                        result['addresses'].push(r['rdata']);
+                    }
+                }
+            });
+        }
+        return result;
+    }
+}
+
+module.exports = DnsSdResolver;
@@ -7,6 +7,126 @@
 
 /// <reference types="node" />
 
+import { EventEmitter } from 'events';
+
+/**
+ * Options of the DnsSd constructor
+ */
+export interface DnsSdOptions {
+    /**
+     * IPv4 multicast group.
+     * @default "224.0.0.251"
+     */
+    multicastAddress?: string;
+
+    /**
+     * IPv6 multicast group.
+     * @default "ff02::fb"
+     */
+    multicastAddress6?: string;
+
+    /**
+     * UDP port.
+     * @default 5353
+     */
+    port?: number;
+
+    /**
+     * IPv4 address the socket is bound to. By default, the socket is
+     * bound to all addresses.
+     */
+    bindAddress?: string;
+
+    /**
+     * TTL (hop limit) of the multicast packets (1 - 255).
+     * @default 255
+     */
+    multicastTTL?: number;
+
+    /**
+     * If false, the packets sent are not looped back to the local machine.
+     * @default true
+     */
+    loopback?: boolean;
+
+    /**
+     * Default `wait` of discover() in seconds.
+     * @default 3
+     */
+    wait?: number;
+
+    /**
+     * Default `legacy` of discover(), discoverServiceTypes(), resolve()
+     * and lookup().
+     * @default false
+     */
+    legacy?: boolean;
+
+    /**
+     * Network interfaces to use. Each item is an interface name (e.g.,
+     * "eth0"), an address or a CIDR (e.g., "192.168.1.0/24"). The
+     * packets arriving on the other interfaces are ignored.
+     */
+    interfaces?: {
+        /** Only the matching interface addresses are used. Default: all */
+        include?: string | string[];
+        /** The matching interface addresses are not used */
+        exclude?: string | string[];
+    };
+
+    /**
+     * If true, IPv4 link-local addresses (169.254.0.0/16) are used as well.
+     * @default false
+     */
+    linkLocal?: boolean;
+}
+
+/**
+ * Matches a string: exactly (string) or by a regular expression
+ * (RegExp, or `{ regex, flags }` which can be written in JSON)
+ */
+export type FilterMatcher = string | RegExp | { regex: string; flags?: string };
+
+/**
+ * Declarative device filter. Every condition in the object must match.
+ * Names are compared as DNS does: ASCII letters case-insensitively.
+ *
+ * @example
+ * ```typescript
+ * const filter: DeviceFilter = {
+ *     type: 'ipp',
+ *     txt: { pdl: { regex: 'pdf', flags: 'i' } },
+ *     not: { address: '10.0.0.0/8' }
+ * };
+ * ```
+ */
+export interface DeviceFilter {
+    /** Every filter in the list matches */
+    and?: DeviceFilter[];
+    /** Any filter in the list matches */
+    or?: DeviceFilter[];
+    /** The filter does not match */
+    not?: DeviceFilter;
+    /**
+     * TXT keys (case-insensitive) and their values: a matcher, true
+     * (the key is present) or false (the key is absent)
+     */
+    txt?: { [key: string]: FilterMatcher | boolean };
+    /** Port number, or an inclusive range */
+    port?: number | { min?: number; max?: number };
+    /** "tcp" or "udp" */
+    protocol?: string;
+    /** Service type (e.g., "http") */
+    type?: string;
+    /** Instance label: a glob with "*" and "?", or a regex matcher */
+    instance?: string | RegExp | { regex: string; flags?: string };
+    /** Address or CIDR (e.g., "192.168.1.0/24"), or a list of them */
+    address?: string | string[];
+    modelName?: FilterMatcher;
+    familyName?: FilterMatcher;
+    manufacturer?: FilterMatcher;
+}
+
 /**
  * Parameters for the discover() method
  */
@@ -18,6 +138,14 @@ export interface DiscoverParams {
      */
     name: string | string[];
 
+    /**
+     * Subtype (RFC 6763 §7.1). Only the instances of the subtype are
+     * discovered, by querying e.g. "_printer._sub._http._tcp.local".
+     * The leading "_" may be omitted.
+     * @example "_printer"
+     */
+    subtype?: string;
+
     /**
      * Query type (e.g., "PTR", "A", "AAAA", "SRV", "TXT").
      * Default is "*" (ANY).
@@ -47,8 +175,29 @@ export interface DiscoverParams {
      * Filter for discovered devices.
      * - String: matches against fqdn, address, modelName, or familyName
      * - Function: custom filter returning true to include device
+     * - Object: declarative conditions (see DeviceFilter)
+     */
+    filter?: string | ((device: DiscoveredDevice) => boolean) | DeviceFilter;
+
+    /**
+     * If true, the first query asks for unicast responses (the QU bit,
+     * RFC 6762 §5.4). The following queries ask for multicast responses.
+     * @default false
+     */
+    unicastResponse?: boolean;
+
+    /**
+     * If true, the queries are sent from an ephemeral port and only the
+     * unicast answers to them are collected (RFC 6762 §6.7). Port 5353
+     * is not bound. Defaults to the `legacy` of the constructor options.
+     */
+    legacy?: boolean;
+
+    /**
+     * If aborted, the discovery stops and the Promise is rejected with an
+     * AbortError whose `devices` are the devices found so far.
      */
-    filter?: string | ((device: DiscoveredDevice) => boolean);
+    signal?: AbortSignal;
 
     /**
      * If true, also discovers services running on the local machine.
@@ -67,6 +216,11 @@ export interface ServiceInfo {
     protocol: string;
     /** Service type (e.g., "http", "https") */
     type: string;
+    /**
+     * Subtypes the instance was found under (e.g., "printer" for
+     * "_printer._sub._http._tcp.local")
+     */
+    subtypes: string[];
 }
 
 /**
@@ -105,6 +259,8 @@ export interface DnsRecord {
     class: string;
     /** Cache flush flag */
     flash?: boolean;
+    /** Unicast-response (QU) bit of a question (RFC 6762 §5.4) */
+    qu?: boolean;
     /** Time to live in seconds */
     ttl?: number;
     /**
@@ -118,8 +274,11 @@ export interface DnsRecord {
      * - Other: hex string
      */
     rdata?: string | Record<string, string> | SrvRdata | HinfoRdata;
-    /** Raw TXT record data as Buffer (when available) */
-    rdata_buffer?: Record<string, Buffer>;
+    /**
+     * Raw TXT record data as Buffer (when available). A boolean attribute
+     * (a key without "=") is `null`; its value in `rdata` is "".
+     */
+    rdata_buffer?: Record<string, Buffer | null>;
 }
 
 /**
@@ -172,40 +331,537 @@ export interface DnsPacket {
     authorities: DnsRecord[];
     /** Additional records */
     additionals: DnsRecord[];
-    /** Source IP address of the packet */
+    /** Source IP address (IPv4 or IPv6) of the packet */
     address?: string;
+    /**
+     * Network interface the packet arrived on (e.g., "eth0"), or null
+     * if the source address is not on the subnet of any interface
+     */
+    interface?: string | null;
+}
+
+/**
+ * Address of a discovered device
+ */
+export interface DeviceAddress {
+    /** IPv4 or IPv6 address (from the A or AAAA record) */
+    address: string;
+    /** Address family */
+    family: 4 | 6;
+    /** Network interface the record arrived on (e.g., "eth0"), or null */
+    interface: string | null;
+    /**
+     * Scope ID of the interface for an IPv6 link-local address, null
+     * otherwise
+     */
+    scopeid: number | null;
 }
 
 /**
  * Device discovered via mDNS/DNS-SD
  */
 export interface DiscoveredDevice {
-    /** IPv4 address of the device */
+    /**
+     * IP address of the device: the first IPv4 address in `addresses`,
+     * or the source address of the response.
+     */
     address: string | null;
+    /**
+     * Every address of the host named by the SRV record (of every A and
+     * AAAA record without an SRV record), the IPv4 addresses first
+     */
+    addresses: DeviceAddress[];
     /** Fully Qualified Domain Name */
     fqdn: string | null;
     /** Model name (e.g., "Apple TV", "Chromecast") */
     modelName: string | null;
     /** Family/friendly name */
     familyName: string | null;
+    /** Manufacturer (e.g., "Apple", "Sonos") */
+    manufacturer: string | null;
     /** Service information (port, protocol, type) */
     service: ServiceInfo | null;
-    /** Raw mDNS packet */
-    packet: DnsPacket;
+    /** Network interface the device answered on (e.g., "eth0") */
+    interface: string | null;
+    /**
+     * Raw mDNS packets the device was built from. The device holds the
+     * union of their records; a packet whose records have all been
+     * replaced by later ones is dropped. Of a response carrying several
+     * instances, only the records of this instance are kept.
+     */
+    packets: DnsPacket[];
+}
+
+/**
+ * Query for DnsSdCache.getRecords()
+ */
+export interface CacheQuery {
+    /** Record name (case-insensitive) */
+    name?: string;
+    /** Record type (e.g., "PTR"). "*" matches any type. */
+    type?: string;
+    /** Record data */
+    rdata?: DnsRecord['rdata'];
+}
+
+/**
+ * Entry returned by DnsSdCache.dump()
+ */
+export interface CacheEntry {
+    /** Domain name */
+    name: string;
+    /** Record type */
+    type: string;
+    /** Record class */
+    class: string;
+    /** Record data */
+    rdata: DnsRecord['rdata'];
+    /** TTL in seconds when the record was received, cut down to one day */
+    ttl: number;
+    /** Remaining TTL in seconds */
+    remaining: number;
+    /** When the record was (last) received */
+    received: Date;
+    /** When the record will be removed */
+    expires: Date;
+    /** Source IP address of the packet which carried the record */
+    address: string | null;
+    /** Network interface the packet arrived on */
+    interface: string | null;
+}
+
+/**
+ * Records of a device passed to a fingerprint plugin
+ */
+export interface FingerprintInfo {
+    /** Instance name (e.g., "Kitchen._airplay._tcp.local") */
+    fqdn: string | null;
+    /** Instance label (e.g., "Kitchen") */
+    instance: string | null;
+    /** Service information */
+    service: ServiceInfo | null;
+    /** Host name in the SRV record */
+    host: string | null;
+    /** TXT data of the instance (empty if there is none) */
+    txt: { [key: string]: any };
+    /** Records of the device by type (e.g., `records.TXT`) */
+    records: { [type: string]: DnsRecord[] };
+}
+
+/**
+ * Fields a fingerprint plugin knows about a device
+ */
+export interface Fingerprint {
+    modelName?: string | null;
+    familyName?: string | null;
+    manufacturer?: string | null;
+}
+
+/**
+ * Fingerprint plugin: returns what it knows about the device, or null
+ */
+export type FingerprintPlugin = (info: FingerprintInfo) => Fingerprint | null | undefined;
+
+/**
+ * Registry of the fingerprint plugins which identify discovered devices.
+ *
+ * The plugins are called in order and each field is taken from the first
+ * plugin returning it. The built-in plugins are "apple-tv", "googlecast",
+ * "philips-hue", "canon", "sonos", "airplay", "homekit", "printer",
+ * "apple-host" and "instance-name".
+ */
+export interface DnsSdFingerprints {
+    /**
+     * Adds a plugin, called before the other plugins. A plugin with the
+     * same name is replaced.
+     */
+    add(name: string, fn: FingerprintPlugin): void;
+
+    /**
+     * Removes a plugin, built-in or not.
+     * @returns true if the plugin was registered
+     */
+    remove(name: string): boolean;
+
+    /** Returns the names of the plugins in the order they are called */
+    list(): string[];
+
+    /** Identifies a device by its records */
+    identify(info: FingerprintInfo): Required<Fingerprint>;
+}
+
+/**
+ * mDNS record cache (RFC 6762 §10).
+ *
+ * Records expire when their TTL runs out. Goodbye records (TTL=0) remove
+ * a record one second later, and records with the cache-flush bit make
+ * older records with the same name, type and class expire one second later.
+ * TTLs are cut down to one day, and the cache holds up to 4096 records: the
+ * record which would expire first makes room for a new one.
+ */
+export interface DnsSdCache extends EventEmitter {
+    /** Number of records in the cache */
+    readonly size: number;
+
+    /**
+     * Returns the matching records. The `ttl` of each record is the
+     * remaining TTL in seconds.
+     */
+    getRecords(query?: CacheQuery): DnsRecord[];
+
+    /**
+     * Returns every entry in the cache.
+     */
+    dump(): CacheEntry[];
+
+    /**
+     * Removes all records without `expired` events.
+     */
+    clear(): void;
+
+    /** Emitted when a record was added to the cache */
+    on(event: 'added', listener: (record: DnsRecord) => void): this;
+    /** Emitted when a record was removed from the cache */
+    on(event: 'expired', listener: (record: DnsRecord) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Parameters for the discoverServiceTypes() method
+ */
+export interface ServiceTypeParams {
+    /**
+     * Duration of discovery in seconds. Defaults to the `wait` of the
+     * constructor options.
+     */
+    wait?: number;
+
+    /**
+     * If true, also discovers service types on the local machine.
+     * @default false
+     */
+    localhost?: boolean;
+
+    /**
+     * If true, the services of each type are discovered as well.
+     * @default false
+     */
+    browse?: boolean;
+
+    /**
+     * Same as the `legacy` of discover().
+     */
+    legacy?: boolean;
+
+    /**
+     * If aborted, the discovery stops and the Promise is rejected with an
+     * AbortError whose `serviceTypes` are the service types found so far.
+     */
+    signal?: AbortSignal;
+}
+
+/**
+ * Service type found by the discoverServiceTypes() method
+ */
+export interface ServiceType {
+    /** Service type (e.g., "_http._tcp.local") */
+    name: string;
+    /** Protocol (e.g., "tcp") */
+    protocol: string;
+    /** Type (e.g., "http") */
+    type: string;
+    /** Devices of the type found by discover() with `key` "fqdn" (only if `browse` is true) */
+    devices?: DiscoveredDevice[];
+}
+
+/**
+ * Parameters for the resolve() method
+ */
+export interface ResolveParams {
+    /**
+     * Time limit in seconds. Defaults to the `wait` of the constructor options.
+     */
+    wait?: number;
+
+    /**
+     * Same as the `legacy` of discover().
+     */
+    legacy?: boolean;
+
+    /**
+     * If aborted, the resolution stops and the Promise is rejected with an
+     * AbortError whose `service` is the result known so far.
+     */
+    signal?: AbortSignal;
+}
+
+/**
+ * Service instance resolved by the resolve() method
+ */
+export interface ResolvedService {
+    /** FQDN of the instance */
+    fqdn: string;
+    /** Target host name of the SRV record */
+    host: string;
+    /** Port of the SRV record */
+    port: number;
+    /** IPv4 and IPv6 addresses of the host */
+    addresses: string[];
+    /** Decoded TXT record, or null if it was not received */
+    txt: Record<string, string> | null;
+}
+
+/**
+ * Options of the lookup() method, same as those of dns.lookup()
+ */
+export interface LookupOptions {
+    /**
+     * Address family: 0 (both), 4, 6, "IPv4" or "IPv6".
+     * @default 0
+     */
+    family?: number | 'IPv4' | 'IPv6';
+
+    /**
+     * If true, all addresses are passed to the callback.
+     * @default false
+     */
+    all?: boolean;
+
+    /** Accepted for compatibility with dns.lookup() */
+    hints?: number;
+}
+
+/**
+ * Address passed to the lookup() callback when `all` is true
+ */
+export interface LookupAddress {
+    address: string;
+    family: number;
+}
+
+/**
+ * Parameters for the createBrowser() method
+ */
+export interface BrowserParams {
+    /**
+     * Service name(s) to browse.
+     * @example "_http._tcp.local"
+     */
+    name: string | string[];
+
+    /**
+     * Subtype to browse (see DiscoverParams.subtype).
+     * @example "_printer"
+     */
+    subtype?: string;
+
+    /**
+     * Query type (e.g., "PTR", "A", "AAAA", "SRV", "TXT").
+     * Default is "*" (ANY).
+     */
+    type?: string;
+
+    /**
+     * Key which identifies a service.
+     * - "fqdn": FQDN (service instance) based browsing (default)
+     * - "address": IP address based browsing
+     */
+    key?: 'address' | 'fqdn';
+
+    /**
+     * Filter for browsed services. Same as the `filter` of discover().
+     */
+    filter?: string | ((device: DiscoveredDevice) => boolean) | DeviceFilter;
+
+    /**
+     * If true, also browses services running on the local machine.
+     * Default is false.
+     */
+    localhost?: boolean;
+
+    /**
+     * Same as the `unicastResponse` of discover().
+     */
+    unicastResponse?: boolean;
+}
+
+/**
+ * Long-lived service browser returned by createBrowser().
+ *
+ * @example
+ * ```typescript
+ * const browser = dnssd.createBrowser({ name: '_ipp._tcp.local' });
+ * browser.on('serviceUp', (device) => console.log('up', device.fqdn));
+ * browser.on('serviceDown', (device) => console.log('down', device.fqdn));
+ * await browser.start();
+ * ```
+ */
+export interface DnsSdBrowser extends EventEmitter {
+    /** True while the browser is started */
+    readonly running: boolean;
+
+    /**
+     * Opens the socket (if necessary) and starts browsing.
+     */
+    start(): Promise<void>;
+
+    /**
+     * Stops browsing. Known services are forgotten without `serviceDown` events.
+     */
+    stop(): Promise<void>;
+
+    /**
+     * Returns the services currently known.
+     */
+    getServices(): DiscoveredDevice[];
+
+    /** Emitted when a new service was found */
+    on(event: 'serviceUp', listener: (device: DiscoveredDevice) => void): this;
+    /** Emitted when the records of a known service have changed */
+    on(event: 'serviceUpdated', listener: (device: DiscoveredDevice) => void): this;
+    /** Emitted when a service sent a goodbye or its records expired */
+    on(event: 'serviceDown', listener: (device: DiscoveredDevice) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Parameters for startMonitoring(). A packet matches if every given
+ * condition matches.
+ */
+export interface MonitoringParams {
+    /**
+     * Names of the questions and the records (case-insensitive). "*" and
+     * "?" are wildcards (e.g., "*._http._tcp.local").
+     */
+    names?: string | string[];
+    /**
+     * Types of the questions and the records (e.g., "PTR"). If `names` is
+     * given as well, a question or a record must match both.
+     */
+    types?: string | string[];
+    /** Only queries or only responses. By default, both are monitored. */
+    direction?: 'query' | 'response';
+    /** Addresses or CIDRs of the senders (e.g., "192.168.1.0/24") */
+    sources?: string | string[];
+    /**
+     * Path of a capture file or a writable stream. The matching datagrams
+     * received and sent on the socket are written in the pcapng format,
+     * with synthetic Ethernet, IP and UDP headers. A file is closed when
+     * the monitor stops; a stream is not ended.
+     */
+    capture?: string | NodeJS.WritableStream;
+}
+
+/**
+ * Monitor returned by startMonitoring(). It emits the received packets
+ * which match its filter.
+ *
+ * @example
+ * ```typescript
+ * const monitor = await dnssd.startMonitoring({ names: '*._ipp._tcp.local', direction: 'response' });
+ * monitor.on('packet', (packet) => console.log(packet.address));
+ * await monitor.stop();
+ * ```
+ */
+export interface DnsSdMonitor extends EventEmitter {
+    /** True until the monitor is stopped */
+    readonly running: boolean;
+
+    /**
+     * Stops the monitor. The socket is closed if nothing else uses it.
+     */
+    stop(): Promise<void>;
+
+    /** Emitted for each received packet matching the filter */
+    on(event: 'packet', listener: (packet: DnsPacket) => void): this;
+    /**
+     * Emitted when writing the capture failed. Capture errors are dropped
+     * while this event is not listened to.
+     */
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Error rejecting discover(), discoverServiceTypes() and resolve() when
+ * their `signal` is aborted
+ */
+export interface DnsSdAbortError extends Error {
+    name: 'AbortError';
+    code: 'ABORT_ERR';
+    /** `reason` of the signal */
+    cause?: unknown;
+    /** discover(): devices found so far */
+    devices?: DiscoveredDevice[];
+    /** discoverServiceTypes(): service types found so far */
+    serviceTypes?: ServiceType[];
+    /** resolve(): the result known so far */
+    service?: ResolvedService;
+}
+
+/**
+ * Network interface address reported by the `interfacesChanged` event
+ */
+export interface NetifAddress {
+    /** Interface name (e.g., "wlan0") */
+    name: string;
+    /** "IPv4" or "IPv6" */
+    family: 'IPv4' | 'IPv6';
+    /** Address of the interface */
+    address: string;
+}
+
+/**
+ * Payload of the `interfacesChanged` event
+ */
+export interface NetifChange {
+    /** Addresses which appeared */
+    added: NetifAddress[];
+    /** Addresses which vanished */
+    removed: NetifAddress[];
 }
 
 /**
  * DNS-SD (mDNS) service discovery module
  */
-interface DnsSd {
+export interface DnsSd extends EventEmitter {
     /**
      * Callback function for monitoring mode.
-     * Called when an mDNS packet is received.
+     * Called when an mDNS packet matching any running monitor is received.
+     *
+     * @deprecated Kept for compatibility. Listen to the `packet` event
+     * instead, which allows several listeners.
      */
     ondata: (packet: DnsPacket) => void;
 
+    /**
+     * Cache of the records received while the socket is open.
+     *
+     * @example
+     * ```typescript
+     * const ptrs = dnssd.cache.getRecords({ name: '_http._tcp.local', type: 'PTR' });
+     * console.table(dnssd.cache.dump());
+     * ```
+     */
+    readonly cache: DnsSdCache;
+
+    /**
+     * Registry of the fingerprint plugins which set the `modelName`,
+     * `familyName` and `manufacturer` of discovered devices.
+     *
+     * @example
+     * ```typescript
+     * dnssd.fingerprints.add('acme', (info) => {
+     *     if (info.service?.type !== 'acme-cam') return null;
+     *     return { modelName: info.txt.model, manufacturer: 'ACME' };
+     * });
+     * ```
+     */
+    readonly fingerprints: DnsSdFingerprints;
+
     /**
      * Discover devices/services on the local network using mDNS/DNS-SD.
+     * Concurrent calls run as independent sessions sharing the socket.
      *
      * @param params - Discovery parameters
      * @returns Promise resolving to array of discovered devices
@@ -222,24 +878,169 @@ interface DnsSd {
     discover(params: DiscoverParams): Promise<DiscoveredDevice[]>;
 
     /**
-     * Start monitoring all mDNS traffic on the network.
-     * Packets will be delivered via the ondata callback.
+     * Discover devices like discover(), yielding each device as soon as
+     * it is found and again when a later packet adds to its data. The
+     * iteration ends when `wait` runs out. Leaving the loop early stops
+     * the discovery and releases the socket.
+     *
+     * @param params - Discovery parameters
+     * @throws {Error} At once, when the parameters are invalid
      *
      * @example
      * ```typescript
-     * dnssd.ondata = (packet) => {
-     *     console.log('Received packet from:', packet.address);
-     * };
-     * await dnssd.startMonitoring();
+     * for await (const device of dnssd.browse({ name: '_http._tcp.local', key: 'fqdn' })) {
+     *     console.log(device.fqdn, device.address);
+     * }
      * ```
      */
-    startMonitoring(): Promise<void>;
+    browse(params: DiscoverParams): AsyncGenerator<DiscoveredDevice, void, undefined>;
 
     /**
-     * Stop monitoring mDNS traffic.
+     * Discover the service types advertised on the network by the
+     * meta-query "_services._dns-sd._udp.local" (RFC 6763 §9).
+     *
+     * @param params - Parameters
+     * @returns Promise resolving to the service types sorted by name
+     *
+     * @example
+     * ```typescript
+     * const types = await dnssd.discoverServiceTypes({ browse: true });
+     * for (const t of types) {
+     *     console.log(t.name, t.devices?.length);
+     * }
+     * ```
+     */
+    discoverServiceTypes(params?: ServiceTypeParams): Promise<ServiceType[]>;
+
+    /**
+     * Create a long-lived service browser which keeps the socket open and
+     * emits `serviceUp`, `serviceUpdated` and `serviceDown` events.
+     *
+     * @param params - Browser parameters
+     * @returns A browser which is not started yet
+     *
+     * @example
+     * ```typescript
+     * const browser = dnssd.createBrowser({ name: '_googlecast._tcp.local' });
+     * browser.on('serviceUp', (device) => console.log(device.fqdn));
+     * await browser.start();
+     * ```
+     */
+    createBrowser(params: BrowserParams): DnsSdBrowser;
+
+    /**
+     * Resolve a service instance into its host, port, addresses and TXT
+     * record. The records in the cache are used first and the missing
+     * ones are queried. When the time runs out, the result known so far
+     * is returned if the SRV record was received, otherwise the Promise
+     * is rejected.
+     *
+     * @param fqdn - FQDN of the instance
+     * @param params - Resolve parameters
+     *
+     * @example
+     * ```typescript
+     * const service = await dnssd.resolve('My Printer._ipp._tcp.local');
+     * console.log(service.host, service.port, service.addresses);
+     * ```
+     */
+    resolve(fqdn: string, params?: ResolveParams): Promise<ResolvedService>;
+
+    /**
+     * Compatible with dns.lookup(). A ".local" host name is resolved by A
+     * and AAAA queries over mDNS, any other name is passed to
+     * dns.lookup(). The method is bound to the object, so it can be
+     * passed as the `lookup` option of http.request(), net.connect(), etc.
+     *
+     * @example
+     * ```typescript
+     * http.get({ host: 'printer.local', port: 80, lookup: dnssd.lookup }, (res) => {
+     *     console.log(res.statusCode);
+     * });
+     * ```
+     */
+    lookup(hostname: string, callback: (err: NodeJS.ErrnoException | null, address: string, family: number) => void): void;
+    lookup(hostname: string, options: number | (LookupOptions & { all?: false }), callback: (err: NodeJS.ErrnoException | null, address: string, family: number) => void): void;
+    lookup(hostname: string, options: LookupOptions & { all: true }, callback: (err: NodeJS.ErrnoException | null, addresses: LookupAddress[]) => void): void;
+    lookup(hostname: string, options: LookupOptions, callback: (err: NodeJS.ErrnoException | null, address: string | LookupAddress[], family?: number) => void): void;
+
+    /**
+     * Start monitoring the mDNS traffic on the network. The packets
+     * matching the filter are delivered via the `packet` event of the
+     * returned monitor (and the ondata callback). Several monitors with
+     * different filters can run at the same time.
+     *
+     * @example
+     * ```typescript
+     * const monitor = await dnssd.startMonitoring({ types: 'PTR', direction: 'query' });
+     * monitor.on('packet', (packet) => {
+     *     console.log('Received query from:', packet.address);
+     * });
+     * ```
+     */
+    startMonitoring(params?: MonitoringParams): Promise<DnsSdMonitor>;
+
+    /**
+     * Stop all the monitors.
      */
     stopMonitoring(): Promise<void>;
+
+    /**
+     * Emitted when a used interface address appeared or vanished while
+     * the socket is open. The multicast group has been joined or left
+     * on it already.
+     */
+    on(event: 'interfacesChanged', listener: (change: NetifChange) => void): this;
+    /**
+     * Emitted for each packet received while the socket is open.
+     */
+    on(event: 'packet', listener: (packet: DnsPacket) => void): this;
+    /**
+     * Emitted for each query received while the socket is open.
+     */
+    on(event: 'query', listener: (packet: DnsPacket) => void): this;
+    /**
+     * Emitted for each response received while the socket is open.
+     */
+    on(event: 'response', listener: (packet: DnsPacket) => void): this;
+    /**
+     * Emitted for each record (answer, authority and additional) of a
+     * received response.
+     */
+    on(event: 'record', listener: (record: DnsRecord, packet: DnsPacket) => void): this;
+    /**
+     * Emitted when a socket error occurs after the socket was bound.
+     * Socket errors are dropped while this event is not listened to.
+     */
+    on(event: 'error', listener: (error: Error) => void): this;
+    /**
+     * Emitted when the socket has been opened.
+     */
+    on(event: 'listening', listener: () => void): this;
+    /**
+     * Emitted when the socket has been closed.
+     */
+    on(event: 'close', listener: () => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
 }
 
+/**
+ * Constructor of the DnsSd class
+ */
+interface DnsSdConstructor {
+    /**
+     * Create an instance with its own settings, sockets and record cache.
+     *
+     * @example
+     * ```typescript
+     * import { DnsSd } from '@fonestardev/node-dns-sd';
+     * const dnssd = new DnsSd({ port: 15353 });
+     * ```
+     */
+    new (options?: DnsSdOptions): DnsSd;
+}
+
+export declare const DnsSd: DnsSdConstructor;
+
 declare const dnssd: DnsSd;
 export default dnssd;
@@ -7,32 +7,268 @@
 'use strict';
 const mDgram = require('dgram');
 const mOs = require('os');
+const mNet = require('net');
+const mDns = require('dns');
+const mEvents = require('events');
 const mDnsSdParser = require('./dns-sd-parser.js');
 const mDnsSdComposer = require('./dns-sd-composer.js');
+const mDnsSdFilter = require('./dns-sd-filter.js');
+const DnsSdBrowser = require('./dns-sd-browser.js');
+const DnsSdCache = require('./dns-sd-cache.js');
+const DnsSdFingerprints = require('./dns-sd-fingerprints.js');
+const DnsSdResolver = require('./dns-sd-resolver.js');
+const DnsSdHostResolver = require('./dns-sd-host-resolver.js');
+const DnsSdMonitor = require('./dns-sd-monitor.js');
+const DnsSdLegacyQuerier = require('./dns-sd-legacy-querier.js');
+const DnsSdNetifWatcher = require('./dns-sd-netif-watcher.js');
+const DnsSdQueryScheduler = require('./dns-sd-query-scheduler.js');
 
-class DnsSd {
+class DnsSd extends mEvents.EventEmitter {
     /* ------------------------------------------------------------------
-    * Constructor: DnsSd()
+    * Constructor: DnsSd([options])
+    * - options    | Object  | Optional |
+    *   - multicastAddress  | String  | Optional | IPv4 multicast group.
+    *                       |         |          | The default value is "224.0.0.251".
+    *   - multicastAddress6 | String  | Optional | IPv6 multicast group.
+    *                       |         |          | The default value is "ff02::fb".
+    *   - port              | Integer | Optional | UDP port. The default value is 5353.
+    *   - bindAddress       | String  | Optional | IPv4 address the socket is bound to.
+    *                       |         |          | By default, the socket is bound to
+    *                       |         |          | all addresses.
+    *   - multicastTTL      | Integer | Optional | TTL (hop limit) of the multicast
+    *                       |         |          | packets (1 - 255). The default value
+    *                       |         |          | is 255 (RFC 6762 §11).
+    *   - loopback          | Boolean | Optional | If `false`, the packets sent are not
+    *                       |         |          | looped back to the local machine.
+    *                       |         |          | The default value is `true`.
+    *   - wait              | Integer | Optional | Default `wait` of discover() (sec).
+    *                       |         |          | The default value is 3.
+    *   - legacy            | Boolean | Optional | Default `legacy` of discover() and
+    *                       |         |          | resolve(), and the mode of lookup().
+    *                       |         |          | The default value is `false`.
+    *   - interfaces        | Object  | Optional | Network interfaces to use. Each
+    *                       |         |          | item is an interface name (e.g.,
+    *                       |         |          | "eth0"), an address or a CIDR
+    *                       |         |          | (e.g., "192.168.1.0/24").
+    *     - include         | Array   | Optional | Only the matching interface
+    *                       |         |          | addresses are used. By default,
+    *                       |         |          | all addresses are used.
+    *     - exclude         | Array   | Optional | The matching interface addresses
+    *                       |         |          | are not used.
+    *   - linkLocal         | Boolean | Optional | If `true`, IPv4 link-local addresses
+    *                       |         |          | (169.254.0.0/16) are used as well.
+    *                       |         |          | The default value is `false`.
+    *
+    * Event:
+    *   - interfacesChanged | { added, removed } | While the socket is open,
+    *     the interfaces are watched. When an address appears or vanishes,
+    *     the multicast group is joined or left on it and this event is
+    *     emitted with the lists of the addresses ({ name, family, address }).
+    *   - packet    | packet         | A packet was received while the socket
+    *     is open (e.g., between startMonitoring() and stopMonitoring()).
+    *   - query     | packet         | The received packet is a query.
+    *   - response  | packet         | The received packet is a response.
+    *   - record    | record, packet | Emitted for each record of a response.
+    *   - error     | error          | A socket error occurred after the
+    *     socket was bound. It is emitted only if it is listened to.
+    *   - listening |                | The socket has been opened.
+    *   - close     |                | The socket has been closed.
     * ---------------------------------------------------------------- */
-    constructor() {
+    constructor(options) {
+        super();
+        const res = this._checkOptions(options);
+        if (res['error']) {
+            throw (res['error']);
+        }
+        const o = res['options'];
+
         // Public
         this.ondata = () => { };
+        this.cache = new DnsSdCache();
+        this.fingerprints = new DnsSdFingerprints();
+        // Bound so that it can be passed as the `lookup` option of
+        // http.request(), net.connect(), etc.
+        this.lookup = this.lookup.bind(this);
 
         // Private
-        this._MULTICAST_ADDR = '224.0.0.251';
-        this._UDP_PORT = 5353;
-        this._DISCOVERY_WAIT_DEFAULT = 3; // sec
+        this._MULTICAST_ADDR = o['multicastAddress'];
+        this._MULTICAST_ADDR6 = o['multicastAddress6'];
+        this._UDP_PORT = o['port'];
+        this._BIND_ADDR = o['bindAddress'];
+        this._MULTICAST_TTL = o['multicastTTL'];
+        this._MULTICAST_LOOPBACK = o['loopback'];
+        this._DISCOVERY_WAIT_DEFAULT = o['wait']; // sec
+        this._LEGACY_DEFAULT = o['legacy'];
+        this._NETIF_INCLUDE = o['interfaces']['include']; // null means all
+        this._NETIF_EXCLUDE = o['interfaces']['exclude'];
+        this._LINK_LOCAL = o['linkLocal'];
+        this._DUPLICATE_QUESTION_INTERVAL = 1000; // msec
+        this._UNICAST_RESPONSE_WAIT = 1000; // msec
+        this._SERVICE_TYPE_ENUMERATION_NAME = '_services._dns-sd._udp.local';
 
+        this._netif_info_list = []; // Every address of the network interfaces
         this._netif_address_list = []; // List of network interface IP address
         this._joined_address_list = []; // Interfaces with active multicast membership
+        this._netif6_list = []; // List of IPv6-capable network interfaces
+        this._joined6_list = []; // IPv6 interfaces with active multicast membership
 
         this._udp = null;
-        this._discovered_devices = {};
-        this._is_discovering = false;
-        this._is_monitoring = false;
+        this._udp6 = null;
+        this._sessions = new Set(); // Running discovery sessions
+        this._browsers = [];
+        this._resolvers = new Set(); // Running resolve() calls
+        this._monitors = new Set(); // Running monitors
         this._is_listening = false;
-        this._allow_localhost = false;
-        this._onreceive = () => { };
+        this._listening_promise = null; // Pending _startListening()
+        this._closing_promise = null; // Pending close of the sockets
+        this._unicast_response_until = 0; // See _captureReceived()
+        this._recent_questions = new Map(); // Questions recently asked by other hosts
+        this._query_scheduler = new DnsSdQueryScheduler(this);
+        this._netif_watcher = new DnsSdNetifWatcher(() => {
+            return this._getNetifInfoList().filter((info) => {
+                return info['selected'];
+            }).map((info) => {
+                return { name: info['name'], family: info['family'], address: info['address'] };
+            });
+        });
+        this._netif_watcher.on('change', (change) => {
+            this._handleNetifChange(change).catch((error) => {
+                this._emitError(error);
+            });
+        });
+
+        this.cache.on('expired', (record) => {
+            for (const browser of this._browsers) {
+                browser._handleExpiredRecord(record);
+            }
+        });
+    }
+
+    _checkOptions(options) {
+        const o = {
+            multicastAddress: '224.0.0.251',
+            multicastAddress6: 'ff02::fb',
+            port: 5353,
+            bindAddress: null,
+            multicastTTL: 255,
+            loopback: true,
+            wait: 3,
+            legacy: false,
+            interfaces: { include: null, exclude: [] },
+            linkLocal: false
+        };
+        if (options === undefined) {
+            return { options: o };
+        }
+        if (typeof (options) !== 'object' || options === null) {
+            return { error: new Error('The `options` must be an object.') };
+        }
+
+        if ('multicastAddress' in options) {
+            const v = options['multicastAddress'];
+            if (typeof (v) !== 'string' || !mNet.isIPv4(v)) {
+                return { error: new Error('The `multicastAddress` must be an IPv4 address.') };
+            }
+            o['multicastAddress'] = v;
+        }
+
+        if ('multicastAddress6' in options) {
+            const v = options['multicastAddress6'];
+            if (typeof (v) !== 'string' || !mNet.isIPv6(v)) {
+                return { error: new Error('The `multicastAddress6` must be an IPv6 address.') };
+            }
+            o['multicastAddress6'] = v;
+        }
+
+        if ('port' in options) {
+            const v = options['port'];
+            if (typeof (v) !== 'number' || v % 1 !== 0 || v < 1 || v > 65535) {
+                return { error: new Error('The `port` must be an integer between 1 and 65535.') };
+            }
+            o['port'] = v;
+        }
+
+        if ('bindAddress' in options) {
+            const v = options['bindAddress'];
+            if (typeof (v) !== 'string' || !mNet.isIPv4(v)) {
+                return { error: new Error('The `bindAddress` must be an IPv4 address.') };
+            }
+            o['bindAddress'] = v;
+        }
+
+        if ('multicastTTL' in options) {
+            const v = options['multicastTTL'];
+            if (typeof (v) !== 'number' || v % 1 !== 0 || v < 1 || v > 255) {
+                return { error: new Error('The `multicastTTL` must be an integer between 1 and 255.') };
+            }
+            o['multicastTTL'] = v;
+        }
+
+        if ('loopback' in options) {
+            const v = options['loopback'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `loopback` must be a boolean.') };
+            }
+            o['loopback'] = v;
+        }
+
+        if ('wait' in options) {
+            const v = options['wait'];
+            if (typeof (v) !== 'number' || v <= 0 || v % 1 !== 0) {
+                return { error: new Error('The `wait` is invalid.') };
+            }
+            o['wait'] = v;
+        }
+
+        if ('legacy' in options) {
+            const v = options['legacy'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `legacy` must be a boolean.') };
+            }
+            o['legacy'] = v;
+        }
+
+        if ('interfaces' in options) {
+            const v = options['interfaces'];
+            if (typeof (v) !== 'object' || v === null || Array.isArray(v)) {
+                return { error: new Error('The `interfaces` must be an object.') };
+            }
+            for (const k of ['include', 'exclude']) {
+                if (!(k in v)) {
+                    continue;
+                }
+                const list = (typeof (v[k]) === 'string') ? [v[k]] : v[k];
+                if (!Array.isArray(list) || !list.every((item) => this._isNetifPattern(item))) {
+                    return { error: new Error('The `interfaces.' + k + '` must be a list of interface names, addresses or CIDRs.') };
+                }
+                o['interfaces'][k] = list.slice();
+            }
+        }
+
+        if ('linkLocal' in options) {
+            const v = options['linkLocal'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `linkLocal` must be a boolean.') };
+            }
+            o['linkLocal'] = v;
+        }
+
+        return { options: o };
+    }
+
+    _isNetifPattern(pattern) {
+        if (typeof (pattern) !== 'string' || pattern === '') {
+            return false;
+        }
+        if (!pattern.includes('/')) {
+            return true;
+        }
+        const [address, prefix] = pattern.split('/');
+        const family = mNet.isIP(address);
+        if (family === 0 || !/^\d+$/.test(prefix)) {
+            return false;
+        }
+        return parseInt(prefix, 10) <= ((family === 4) ? 32 : 128);
     }
 
     /* ------------------------------------------------------------------
@@ -40,6 +276,8 @@ class DnsSd {
     * - params   | Object    | Required |
     *   - name   | String or | Required | Servcie name.(e.g., "_googlecast._tcp.local")
     *            | Array     |          |
+    *   - subtype | String   | Optional | Subtype (e.g., "_printer"). Only the instances
+    *            |           |          | of the subtype are discovered (RFC 6763 §7.1).
     *   - type   | String    | Optional | Query Type (e.g., "PTR"). The default value is "*".
     *   - key    | String    | Optional | "address" (default) or "fqdn".
     *            |           |          | - "address": IP address based discovery
@@ -48,44 +286,622 @@ class DnsSd {
     *   - quick  | Boolean   | Optional | If `true`, this method returns immediately after
     *            |           |          | a device was found ignoring the value of the `wait`.
     *            |           |          | The default value is `false`.
-    *   - filter | String or | Optional | If specified as a string, this method discovers only
+    *   - filter | String,   | Optional | If specified as a string, this method discovers only
     *            | Function  |          | devices which the string is found in the `fqdn`,
-    *            |           |          | `address`, `modelName` or `familyName`.
+    *            | or Object |          | `address`, `modelName` or `familyName`.
     *            |           |          | If specified as a function, this method discovers
     *            |           |          | only devices for which the function returns `true`.
+    *            |           |          | If specified as an object, this method discovers
+    *            |           |          | only devices matching its conditions (see
+    *            |           |          | dns-sd-filter.js).
     *   - localhost | Boolean | Optional | If `true`, this method also discovers services
     *            |           |          | running on the local machine. The default value is `false`.
+    *   - unicastResponse | Boolean | Optional | If `true`, the first query asks for
+    *            |           |          | unicast responses (the QU bit, RFC 6762 §5.4).
+    *            |           |          | The default value is `false`.
+    *   - legacy | Boolean   | Optional | If `true`, the queries are sent from an
+    *            |           |          | ephemeral port and the unicast answers to
+    *            |           |          | legacy queriers are collected (RFC 6762 §6.7).
+    *            |           |          | Port 5353 is not bound. The default value is
+    *            |           |          | the `legacy` of the constructor options.
+    *   - signal | AbortSignal | Optional | If aborted, the discovery stops and the
+    *            |           |          | Promise is rejected with an `AbortError`
+    *            |           |          | whose `devices` are the devices found so far.
+    *
+    * Several calls may run at the same time. Each call is an independent
+    * session sharing the socket, with its own names, filter, timer and
+    * result set.
     * ---------------------------------------------------------------- */
     async discover(params) {
-        if (this._is_discovering === true) {
-            throw (new Error('The discovery process is running.'));
+        // Check the parameters
+        const res = this._checkDiscoveryParameters(params);
+        if (res['error']) {
+            throw (res['error']);
+        }
+        const signal = res['params']['signal'];
+        if (signal && signal.aborted) {
+            throw (this._createAbortError(signal, { devices: [] }));
         }
 
-        // Check the parameters
+        // Update the list of network interface IP address
+        this._updateNetifList();
+
+        // The session is registered before the socket is opened so that
+        // another session finishing meanwhile does not close it
+        const session = this._createDiscoverySession(res['params']);
+        let device_list = [];
+        try {
+            await this._openDiscoverySession(session);
+            await this._startDiscovery(session);
+            device_list = Object.values(session['devices']);
+            await this._stopDiscovery(session);
+        } catch (error) {
+            await this._stopDiscovery(session);
+            throw (error);
+        }
+        if (session['aborted']) {
+            throw (this._createAbortError(signal, { devices: device_list }));
+        }
+        return device_list;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: browse(params)
+    * - params | Object | Required | Same as the `params` of discover()
+    *
+    * Returns an async iterator which yields each device as soon as it
+    * is found, and the device again when a later packet adds to or
+    * changes its data. The iteration ends when the `wait` runs out (or
+    * after the first device if `quick` is `true`). Leaving the loop
+    * early stops the discovery and releases the socket. If the `signal`
+    * is aborted, the iteration throws an `AbortError` whose `devices`
+    * are the devices found so far.
+    *
+    *   for await (const device of dnssd.browse({ name: '_http._tcp.local' })) {
+    *       console.log(device.fqdn);
+    *   }
+    *
+    * Invalid parameters are thrown at once.
+    * ---------------------------------------------------------------- */
+    browse(params) {
         const res = this._checkDiscoveryParameters(params);
         if (res['error']) {
             throw (res['error']);
         }
+        return this._browseDevices(res['params']);
+    }
+
+    async *_browseDevices(params) {
+        const signal = params['signal'];
+        if (signal && signal.aborted) {
+            throw (this._createAbortError(signal, { devices: [] }));
+        }
 
         // Update the list of network interface IP address
-        this._netif_address_list = this._getNetifAddressList();
+        this._updateNetifList();
+
+        const pending = []; // Devices to be yielded
+        const yielded = new Map(); // device key -> serialized device
+        let notify = null;
+        let finished = false;
+        let error = null;
+        const wakeUp = () => {
+            if (notify) {
+                notify();
+                notify = null;
+            }
+        };
+
+        const session = this._createDiscoverySession(params, (session, packet) => {
+            const prev_devices = Object.assign({}, session['devices']);
+            const found = this._collectDevice(session, packet);
+            for (const [k, device] of Object.entries(session['devices'])) {
+                if (prev_devices[k] === device) {
+                    continue;
+                }
+                const o = Object.assign({}, device);
+                delete o['packets'];
+                const serialized = JSON.stringify(o);
+                if (yielded.get(k) !== serialized) {
+                    yielded.set(k, serialized);
+                    pending.push(device);
+                }
+            }
+            wakeUp();
+            return found;
+        });
+
+        try {
+            await this._openDiscoverySession(session);
+            this._startDiscovery(session).then(() => {
+                finished = true;
+                wakeUp();
+            }, (e) => {
+                error = e;
+                finished = true;
+                wakeUp();
+            });
+            while (pending.length > 0 || !finished) {
+                if (pending.length > 0) {
+                    yield pending.shift();
+                } else {
+                    await new Promise((resolve) => {
+                        notify = resolve;
+                    });
+                }
+            }
+            if (error) {
+                throw (error);
+            }
+        } finally {
+            await this._stopDiscovery(session);
+        }
+        if (session['aborted']) {
+            throw (this._createAbortError(signal, { devices: Object.values(session['devices']) }));
+        }
+    }
+
+    // Creates an error like the one of the Node.js APIs aborted by an
+    // AbortSignal. The `props` (e.g., the partial results) are set to it.
+    _createAbortError(signal, props) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        error.code = 'ABORT_ERR';
+        if (signal.reason !== undefined) {
+            error.cause = signal.reason;
+        }
+        return Object.assign(error, props);
+    }
+
+    _isAbortSignal(signal) {
+        return (typeof (signal) === 'object' && signal !== null &&
+            typeof (signal.aborted) === 'boolean' && typeof (signal.addEventListener) === 'function');
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: createBrowser(params)
+    * - params   | Object    | Required |
+    *   - name   | String or | Required | Servcie name.(e.g., "_googlecast._tcp.local")
+    *            | Array     |          |
+    *   - subtype | String   | Optional | Same as the `subtype` of discover().
+    *   - type   | String    | Optional | Query Type (e.g., "PTR"). The default value is "*".
+    *   - key    | String    | Optional | "fqdn" (default) or "address".
+    *   - filter | String,   | Optional | Same as the `filter` of discover().
+    *            | Function  |          |
+    *            | or Object |          |
+    *   - localhost | Boolean | Optional | Same as the `localhost` of discover().
+    *   - unicastResponse | Boolean | Optional | Same as the `unicastResponse` of discover().
+    *
+    * Returns a DnsSdBrowser object. Call its `start()` method to begin
+    * browsing and listen to its `serviceUp`, `serviceUpdated` and
+    * `serviceDown` events.
+    * ---------------------------------------------------------------- */
+    createBrowser(params) {
+        const res = this._checkBrowserParameters(params);
+        if (res['error']) {
+            throw (res['error']);
+        }
+        return new DnsSdBrowser(this, res['params']);
+    }
+
+    _checkBrowserParameters(params) {
+        const res = this._checkDiscoveryParameters(params);
+        if (res['error']) {
+            return res;
+        }
+        const p = res['params'];
+        if (!p['key']) {
+            p['key'] = 'fqdn';
+        }
+        delete p['wait'];
+        delete p['quick'];
+        delete p['legacy'];
+        delete p['signal'];
+        return { params: p };
+    }
+
+    async _startBrowsing(browser) {
+        // Update the list of network interface IP address
+        this._updateNetifList();
 
-        const device_list = [];
+        this._browsers.push(browser);
         try {
             await this._startListening();
-            await this._startDiscovery(res['params']);
-            for (const device of Object.values(this._discovered_devices)) {
-                device_list.push(device);
+        } catch (error) {
+            this._browsers = this._browsers.filter((b) => {
+                return b !== browser;
+            });
+            await this._stopListening();
+            throw (error);
+        }
+        const params = browser._params;
+        for (const packet of this._createCachedPackets(params['name'], params['type'])) {
+            if (this._isAnswerPacket(packet, packet['address'], params['localhost'])) {
+                browser._handlePacket(packet);
+            }
+        }
+        this._query_scheduler.add(params['name'], params['type'], params['unicastResponse']);
+    }
+
+    async _stopBrowsing(browser) {
+        if (this._browsers.includes(browser)) {
+            this._query_scheduler.remove(browser._params['name'], browser._params['type']);
+        }
+        this._browsers = this._browsers.filter((b) => {
+            return b !== browser;
+        });
+        try {
+            await this._stopListening();
+        } catch (error) {
+            // Do nothing
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: discoverServiceTypes([params])
+    * - params      | Object  | Optional |
+    *   - wait      | Integer | Optional | Duration of monitoring. The default value
+    *               |         |          | is the `wait` of the constructor options.
+    *   - localhost | Boolean | Optional | If `true`, the service types on the local
+    *               |         |          | machine are also discovered. The default
+    *               |         |          | value is `false`.
+    *   - browse    | Boolean | Optional | If `true`, the services of each type are
+    *               |         |          | discovered as well. The default value is
+    *               |         |          | `false`.
+    *   - legacy    | Boolean | Optional | Same as the `legacy` of discover().
+    *   - signal    | AbortSignal | Optional | If aborted, the discovery stops and
+    *               |         |          | the Promise is rejected with an
+    *               |         |          | `AbortError` whose `serviceTypes` are
+    *               |         |          | the service types found so far.
+    *
+    * Discovers the service types advertised on the network by the
+    * meta-query "_services._dns-sd._udp.local" (RFC 6763 §9). Returns a
+    * Promise resolving to a list of objects sorted by the name:
+    *   - name     | String | Service type (e.g., "_http._tcp.local")
+    *   - protocol | String | e.g., "tcp"
+    *   - type     | String | e.g., "http"
+    *   - devices  | Array  | Only if `browse` is `true`: the devices found by
+    *              |        | discover() with `key` set to "fqdn"
+    * ---------------------------------------------------------------- */
+    async discoverServiceTypes(params) {
+        const res = this._checkServiceTypeParameters(params);
+        if (res['error']) {
+            throw (res['error']);
+        }
+        const p = res['params'];
+        const signal = p['signal'];
+        if (signal && signal.aborted) {
+            throw (this._createAbortError(signal, { serviceTypes: [] }));
+        }
+
+        // Update the list of network interface IP address
+        this._updateNetifList();
+
+        const session = this._createDiscoverySession({
+            name: [this._SERVICE_TYPE_ENUMERATION_NAME],
+            type: 'PTR',
+            wait: p['wait'],
+            quick: false,
+            localhost: p['localhost'],
+            legacy: p['legacy'],
+            signal: signal
+        }, this._collectServiceType.bind(this));
+        let name_list = [];
+        try {
+            await this._openDiscoverySession(session);
+            await this._startDiscovery(session);
+            name_list = Object.values(session['devices']);
+            await this._stopDiscovery(session);
+        } catch (error) {
+            await this._stopDiscovery(session);
+            throw (error);
+        }
+
+        name_list.sort();
+        const list = name_list.map((name) => {
+            const parts = name.split('.');
+            return {
+                name: name,
+                protocol: parts[1].replace(/^_/, ''),
+                type: parts[0].replace(/^_/, '')
+            };
+        });
+        if (session['aborted']) {
+            throw (this._createAbortError(signal, { serviceTypes: list }));
+        }
+        if (p['browse']) {
+            const device_lists = await Promise.all(list.map((o) => {
+                const params = {
+                    name: o['name'],
+                    key: 'fqdn',
+                    wait: p['wait'],
+                    localhost: p['localhost'],
+                    legacy: p['legacy']
+                };
+                if (signal) {
+                    params['signal'] = signal;
+                }
+                return this.discover(params).catch((error) => {
+                    // Keep the devices found so far
+                    if (error.code === 'ABORT_ERR' && error.devices) {
+                        return error.devices;
+                    }
+                    throw (error);
+                });
+            }));
+            list.forEach((o, i) => {
+                o['devices'] = device_lists[i];
+            });
+            if (signal && signal.aborted) {
+                throw (this._createAbortError(signal, { serviceTypes: list }));
+            }
+        }
+        return list;
+    }
+
+    _checkServiceTypeParameters(params) {
+        const p = {
+            wait: this._DISCOVERY_WAIT_DEFAULT,
+            localhost: false,
+            browse: false,
+            legacy: this._LEGACY_DEFAULT
+        };
+        if (params === undefined) {
+            return { params: p };
+        }
+        if (typeof (params) !== 'object' || params === null) {
+            return { error: new Error('The `params` must be an object.') };
+        }
+
+        if ('wait' in params) {
+            const v = params['wait'];
+            if (typeof (v) !== 'number' || v <= 0 || v % 1 !== 0) {
+                return { error: new Error('The `wait` is invalid.') };
+            }
+            p['wait'] = v;
+        }
+
+        if ('localhost' in params) {
+            const v = params['localhost'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `localhost` must be a boolean.') };
+            }
+            p['localhost'] = v;
+        }
+
+        if ('browse' in params) {
+            const v = params['browse'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `browse` must be a boolean.') };
+            }
+            p['browse'] = v;
+        }
+
+        if ('legacy' in params) {
+            const v = params['legacy'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `legacy` must be a boolean.') };
+            }
+            p['legacy'] = v;
+        }
+
+        if ('signal' in params) {
+            const v = params['signal'];
+            if (!this._isAbortSignal(v)) {
+                return { error: new Error('The `signal` must be an AbortSignal.') };
+            }
+            p['signal'] = v;
+        }
+
+        return { params: p };
+    }
+
+    // Adds the service types listed in the PTR records answering the
+    // meta-query to the result set of the session. A service type is
+    // made of two labels and the domain (e.g., "_http._tcp.local").
+    // Returns `true` if a service type was found.
+    _collectServiceType(session, packet) {
+        const meta = this._SERVICE_TYPE_ENUMERATION_NAME;
+        let found = false;
+        for (const r of [].concat(packet['answers'], packet['additionals'])) {
+            if (r['type'] !== 'PTR' || r['name'].toLowerCase() !== meta || r['ttl'] === 0) {
+                continue;
+            }
+            const name = r['rdata'];
+            if (typeof (name) !== 'string' || !/^_[^.]+\._(tcp|udp)\./i.test(name)) {
+                continue;
+            }
+            session['devices'][name.toLowerCase()] = name;
+            found = true;
+        }
+        return found;
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: resolve(fqdn[, params])
+    * - fqdn     | String  | Required | FQDN of a service instance
+    *            |         |          | (e.g., "My Printer._ipp._tcp.local")
+    * - params   | Object  | Optional |
+    *   - wait   | Integer | Optional | Time limit (sec). The default value is
+    *            |         |          | the `wait` of the constructor options.
+    *   - legacy | Boolean | Optional | Same as the `legacy` of discover().
+    *   - signal | AbortSignal | Optional | If aborted, the resolution stops and
+    *            |         |          | the Promise is rejected with an `AbortError`
+    *            |         |          | whose `service` is the result known so far.
+    *
+    * Returns a Promise resolving to an object:
+    *   - fqdn      | String | FQDN of the instance
+    *   - host      | String | Target host name of the SRV record
+    *   - port      | Number | Port of the SRV record
+    *   - addresses | Array  | IPv4 and IPv6 addresses of the host
+    *   - txt       | Object | Decoded TXT record (`null` if not received)
+    *
+    * The records in the cache are used first. The missing SRV, TXT, A
+    * and AAAA records are queried until the host, port, addresses and
+    * TXT record are known. When the time runs out, the result known so
+    * far is returned if the SRV record was received, otherwise the
+    * Promise is rejected.
+    * ---------------------------------------------------------------- */
+    async resolve(fqdn, params) {
+        const res = this._checkResolveParameters(fqdn, params);
+        if (res['error']) {
+            throw (res['error']);
+        }
+        const resolver = new DnsSdResolver(this, res['params']);
+        return resolver.resolve();
+    }
+
+    _checkResolveParameters(fqdn, params) {
+        if (typeof (fqdn) !== 'string' || fqdn === '') {
+            return { error: new Error('The `fqdn` must be a non-empty string.') };
+        }
+        const p = { fqdn: fqdn, wait: this._DISCOVERY_WAIT_DEFAULT, legacy: this._LEGACY_DEFAULT };
+        if (params === undefined) {
+            return { params: p };
+        }
+        if (typeof (params) !== 'object' || params === null) {
+            return { error: new Error('The `params` must be an object.') };
+        }
+        if ('wait' in params) {
+            const v = params['wait'];
+            if (typeof (v) !== 'number' || v <= 0 || v % 1 !== 0) {
+                return { error: new Error('The `wait` is invalid.') };
+            }
+            p['wait'] = v;
+        }
+        if ('legacy' in params) {
+            const v = params['legacy'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `legacy` must be a boolean.') };
+            }
+            p['legacy'] = v;
+        }
+        if ('signal' in params) {
+            const v = params['signal'];
+            if (!this._isAbortSignal(v)) {
+                return { error: new Error('The `signal` must be an AbortSignal.') };
             }
-            await this._stopDiscovery();
-            return device_list;
+            p['signal'] = v;
+        }
+        return { params: p };
+    }
+
+    async _startResolving(resolver) {
+        // Update the list of network interface IP address
+        this._updateNetifList();
+
+        this._resolvers.add(resolver);
+        try {
+            await this._startListening();
         } catch (error) {
-            await this._stopDiscovery();
+            this._resolvers.delete(resolver);
+            await this._stopListening();
             throw (error);
         }
     }
 
-    _createDeviceObject(packet) {
+    async _stopResolving(resolver) {
+        this._resolvers.delete(resolver);
+        try {
+            await this._stopListening();
+        } catch (error) {
+            // Do nothing
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * Method: lookup(hostname[, options], callback)
+    * - hostname   | String   | Required | Host name (e.g., "printer.local")
+    * - options    | Integer  | Optional | Address family (0, 4 or 6), or:
+    *              | or Object|          |
+    *   - family   | Integer  | Optional | 0 (default), 4, 6, "IPv4" or "IPv6"
+    *   - all      | Boolean  | Optional | If `true`, all addresses are passed
+    *              |          |          | to the callback. The default is `false`.
+    * - callback   | Function | Required | Same as the callback of dns.lookup():
+    *              |          |          | (err, address, family), or
+    *              |          |          | (err, [{ address, family }]) if `all`.
+    *
+    * Compatible with dns.lookup(). A ".local" host name is resolved by
+    * A and AAAA queries over mDNS, any other name is passed to
+    * dns.lookup(). If no address is found within the `wait` of the
+    * constructor options, the callback gets an ENOTFOUND error. The IPv4
+    * addresses come first. If the `legacy` of the constructor options is
+    * `true`, the queries are legacy queries (see discover()).
+    * ---------------------------------------------------------------- */
+    lookup(hostname, options, callback) {
+        if (typeof (options) === 'function') {
+            callback = options;
+            options = {};
+        }
+        if (typeof (callback) !== 'function') {
+            throw (new TypeError('The `callback` must be a function.'));
+        }
+        const res = this._checkLookupParameters(hostname, options);
+        if (res['error']) {
+            throw (res['error']);
+        }
+        const p = res['params'];
+        if (!/\.local\.?$/i.test(hostname)) {
+            mDns.lookup(hostname, { family: p['family'], all: p['all'] }, callback);
+            return;
+        }
+
+        const resolver = new DnsSdHostResolver(this, {
+            hostname: hostname.replace(/\.$/, ''),
+            family: p['family'],
+            wait: this._DISCOVERY_WAIT_DEFAULT,
+            legacy: this._LEGACY_DEFAULT
+        });
+        // The callback is called out of the promise chain, so that an
+        // exception thrown by it is not taken as a lookup error
+        resolver.resolve().then((result) => {
+            const list = result['addresses'];
+            process.nextTick(() => {
+                if (p['all']) {
+                    callback(null, list);
+                } else {
+                    callback(null, list[0]['address'], list[0]['family']);
+                }
+            });
+        }, (error) => {
+            process.nextTick(() => {
+                callback(error);
+            });
+        });
+    }
+
+    _checkLookupParameters(hostname, options) {
+        if (typeof (hostname) !== 'string' || hostname === '') {
+            return { error: new TypeError('The `hostname` must be a non-empty string.') };
+        }
+        const p = { family: 0, all: false };
+        if (options === undefined || options === null) {
+            return { params: p };
+        }
+        if (typeof (options) === 'number') {
+            options = { family: options };
+        }
+        if (typeof (options) !== 'object') {
+            return { error: new TypeError('The `options` must be an integer or an object.') };
+        }
+        if ('family' in options && options['family'] !== undefined) {
+            const v = options['family'];
+            const family = { 'IPv4': 4, 'IPv6': 6 }[v] || v;
+            if (![0, 4, 6].includes(family)) {
+                return { error: new TypeError('The `family` must be one of 0, 4, 6, "IPv4" and "IPv6".') };
+            }
+            p['family'] = family;
+        }
+        if ('all' in options && options['all'] !== undefined) {
+            p['all'] = options['all'] ? true : false;
+        }
+        return { params: p };
+    }
+
+    // The `sources` is a Map from each record to the packet it arrived
+    // in, given when the packet is the union of several packets (see
+    // _mergeRecords()).
+    _createDeviceObject(packet, sources) {
         const o = {};
 
         const trecs = {};
@@ -100,85 +916,144 @@ class DnsSd {
         });
 
         o['address'] = null;
-        if (trecs['A']) {
-            o['address'] = trecs['A'][0]['rdata'];
-        }
-        if (!o['address']) {
-            o['address'] = packet['address'];
-        }
-
+        o['addresses'] = [];
         o['fqdn'] = null;
         if (trecs['PTR']) {
             let rec = trecs['PTR'][0];
             o['fqdn'] = rec['rdata'];
         }
 
-        o['modelName'] = null;
-        o['familyName'] = null;
-        if (trecs['TXT'] && trecs['TXT'][0] && trecs['TXT'][0]['rdata']) {
-            const r = trecs['TXT'][0];
-            const d = r['rdata'] || {};
-            const name = r['name'] || '';
-            if (/Apple TV/.test(name)) {
-                o['modelName'] = 'Apple TV';
-                if (trecs['TXT']) {
-                    for (let i = 0; i < trecs['TXT'].length; i++) {
-                        const r = trecs['TXT'][i];
-                        if ((/_device-info/).test(r['name']) && r['rdata'] && r['rdata']['model']) {
-                            o['modelName'] = 'Apple TV ' + r['rdata']['model'];
-                            break;
-                        }
-                    }
-                }
-            } else if (/_googlecast/.test(name)) {
-                o['modelName'] = d['md'] || null;
-                o['familyName'] = d['fn'] || null;
-            } else if (/Philips hue/.test(name)) {
-                o['modelName'] = 'Philips hue';
-                if (d['md']) {
-                    o['modelName'] += ' ' + d['md'];
-                }
-            } else if (/Canon/.test(name)) {
-                o['modelName'] = d['ty'] || null;
-            }
-        }
-        if (!o['modelName']) {
-            if (trecs['A'] && trecs['A'][0]) {
-                const r = trecs['A'][0];
-                const name = r['name'];
-                if (/Apple\-TV/.test(name)) {
-                    o['modelName'] = 'Apple TV';
-                } else if (/iPad/.test(name)) {
-                    o['modelName'] = 'iPad';
-                }
-            }
+        // The SRV record of the instance, which names the host
+        let srv = null;
+        if (trecs['SRV']) {
+            srv = trecs['SRV'].find((r) => {
+                return o['fqdn'] && r['name'].toLowerCase() === o['fqdn'].toLowerCase();
+            }) || trecs['SRV'][0];
         }
 
-        if (!o['modelName']) {
-            if (o['fqdn']) {
-                const hostname = (o['fqdn'].split('.')).shift();
-                if (hostname && / /.test(hostname)) {
-                    o['modelName'] = hostname;
-                }
-            }
+        o['addresses'] = this._createAddressList(trecs, srv, packet, sources);
+        const ipv4 = o['addresses'].find((a) => a['family'] === 4);
+        if (ipv4) {
+            o['address'] = ipv4['address'];
+        }
+        if (!o['address']) {
+            o['address'] = packet['address'];
         }
 
+        o['modelName'] = null;
+        o['familyName'] = null;
+        o['manufacturer'] = null;
         o['service'] = null;
-        if (trecs['SRV']) {
-            const rec = trecs['SRV'][0];
-            let name_parts = rec['name'].split('.');
-            name_parts.reverse();
+        if (srv) {
+            const rec = srv;
+            const parsed = this._parseServiceName(rec['name']);
             o['service'] = {
                 port: rec['rdata']['port'],
-                protocol: name_parts[1].replace(/^_/, ''),
-                type: name_parts[2].replace(/^_/, '')
+                protocol: parsed['protocol'],
+                type: parsed['type'],
+                subtypes: this._listSubtypes(trecs, rec['name'])
             };
         }
 
-        o['packet'] = packet;
+        // The TXT data of the instance
+        let txt = null;
+        if (trecs['TXT']) {
+            txt = trecs['TXT'].find((r) => {
+                return o['fqdn'] && r['name'].toLowerCase() === o['fqdn'].toLowerCase();
+            }) || trecs['TXT'][0];
+        }
+        const fingerprint = this.fingerprints.identify({
+            fqdn: o['fqdn'],
+            instance: o['fqdn'] ? o['fqdn'].replace(/\._[^.]+\._(tcp|udp)\..*$/i, '') : null,
+            service: o['service'],
+            host: (srv && srv['rdata']) ? srv['rdata']['target'] : null,
+            txt: (txt && txt['rdata']) ? txt['rdata'] : {},
+            records: trecs
+        });
+        o['modelName'] = fingerprint['modelName'];
+        o['familyName'] = fingerprint['familyName'];
+        o['manufacturer'] = fingerprint['manufacturer'];
+
+        o['interface'] = packet['interface'] || null;
+        o['packets'] = [packet];
         return o;
     }
 
+    // Returns the service type and protocol of an instance or service
+    // name: { type: "http", protocol: "tcp" } for "Web._http._tcp.local"
+    // and "_printer._sub._http._tcp.local" (RFC 6763 §4.1, §7.1)
+    _parseServiceName(name) {
+        const m = name.match(/(?:^|\.)_([^.]+)\._(tcp|udp)(?:\.|$)/i);
+        if (m) {
+            return { type: m[1], protocol: m[2] };
+        }
+        // Not a DNS-SD name: the two labels before the last one
+        const parts = name.split('.').reverse();
+        return {
+            type: (parts[2] || '').replace(/^_/, ''),
+            protocol: (parts[1] || '').replace(/^_/, '')
+        };
+    }
+
+    // Returns the subtypes (e.g., "printer") of the PTR records
+    // "_printer._sub._http._tcp.local" pointing to the instance
+    _listSubtypes(trecs, fqdn) {
+        const list = [];
+        for (const r of (trecs['PTR'] || [])) {
+            if (typeof (r['rdata']) !== 'string' || r['rdata'].toLowerCase() !== fqdn.toLowerCase()) {
+                continue;
+            }
+            const m = r['name'].match(/^_?([^.]+)\._sub\./i);
+            if (m && !list.includes(m[1])) {
+                list.push(m[1]);
+            }
+        }
+        return list;
+    }
+
+    // Returns the name to browse the subtype of the service type:
+    // "_printer._sub._http._tcp.local" (RFC 6763 §7.1)
+    _createSubtypeName(subtype, name) {
+        return subtype + '._sub.' + name.replace(/^.*\._sub\./i, '');
+    }
+
+    // Returns the addresses of the host which the SRV record names:
+    // [{ address, family, interface, scopeid }], the IPv4 addresses first.
+    // Without an SRV record, the addresses of every A and AAAA record are
+    // returned. The `interface` is that of the packet the record arrived
+    // in, and the `scopeid` is the scope ID of the interface for an IPv6
+    // link-local address (`null` otherwise).
+    _createAddressList(trecs, srv, packet, sources) {
+        const host = (srv && srv['rdata'] && srv['rdata']['target']) ? srv['rdata']['target'].toLowerCase() : null;
+        const list = [];
+        for (const type of ['A', 'AAAA']) {
+            for (const r of (trecs[type] || [])) {
+                if (host !== null && r['name'].toLowerCase() !== host) {
+                    continue;
+                }
+                if (typeof (r['rdata']) !== 'string' || list.some((a) => a['address'] === r['rdata'])) {
+                    continue;
+                }
+                const source = (sources && sources.get(r)) || packet;
+                const netif = source['interface'] || null;
+                let scopeid = null;
+                if (type === 'AAAA' && netif && /^fe[89ab]/i.test(r['rdata'])) {
+                    const info = this._netif_info_list.find((o) => {
+                        return o['name'] === netif && o['family'] === 'IPv6';
+                    });
+                    scopeid = info ? info['scopeid'] : null;
+                }
+                list.push({
+                    address: r['rdata'],
+                    family: (type === 'A') ? 4 : 6,
+                    interface: netif,
+                    scopeid: scopeid
+                });
+            }
+        }
+        return list;
+    }
+
     _checkDiscoveryParameters(params) {
         const p = {};
         if (params) {
@@ -223,6 +1098,15 @@ class DnsSd {
             return { error: new Error('The `name` is required.') };
         }
 
+        if ('subtype' in params) {
+            const v = params['subtype'];
+            if (typeof (v) !== 'string' || !/^_?[^._][^.]*$/.test(v)) {
+                return { error: new Error('The `subtype` must be a non-empty string without dots.') };
+            }
+            p['subtype'] = v.startsWith('_') ? v : '_' + v;
+            p['name'] = p['name'].map((name) => this._createSubtypeName(p['subtype'], name));
+        }
+
         if ('type' in params) {
             const v = params['type'];
             if (typeof (v) !== 'string' || !(/^[a-zA-Z0-9]{1,10}$/.test(v) || v === '*')) {
@@ -259,8 +1143,13 @@ class DnsSd {
 
         if (`filter` in params) {
             const v = params['filter'];
-            if (typeof (v) !== 'string' && typeof (v) !== 'function') {
-                return { error: new Error('The `filter` must be a string.') };
+            if (v !== null && typeof (v) === 'object') {
+                const error = mDnsSdFilter.check(v);
+                if (error) {
+                    return { error: new Error('The `filter` is invalid. ' + error) };
+                }
+            } else if (typeof (v) !== 'string' && typeof (v) !== 'function') {
+                return { error: new Error('The `filter` must be a string, a function or an object.') };
             }
             if (v) {
                 p['filter'] = v;
@@ -277,87 +1166,583 @@ class DnsSd {
             p['localhost'] = false;
         }
 
+        if ('unicastResponse' in params) {
+            const v = params['unicastResponse'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `unicastResponse` must be a boolean.') };
+            }
+            p['unicastResponse'] = v;
+        } else {
+            p['unicastResponse'] = false;
+        }
+
+        if ('legacy' in params) {
+            const v = params['legacy'];
+            if (typeof (v) !== 'boolean') {
+                return { error: new Error('The `legacy` must be a boolean.') };
+            }
+            p['legacy'] = v;
+        } else {
+            p['legacy'] = this._LEGACY_DEFAULT;
+        }
+
+        if ('signal' in params) {
+            const v = params['signal'];
+            if (!this._isAbortSignal(v)) {
+                return { error: new Error('The `signal` must be an AbortSignal.') };
+            }
+            p['signal'] = v;
+        }
+
         return { params: p };
     }
 
-    _startDiscovery(params) {
-        return new Promise((resolve, reject) => {
-            this._discovered_devices = {};
-            this._is_discovering = true;
-            this._allow_localhost = params['localhost'] || false;
-            const wait = (params && params['wait']) ? params['wait'] : this._DISCOVERY_WAIT_DEFAULT;
-
-            // Create a request packet
-            let buf = mDnsSdComposer.compose({
-                name: params['name'],
-                type: params['type']
+    // Creates a discovery session and registers it so that the received
+    // packets are delivered to it. A session holds its own parameters,
+    // timer and result set.
+    _createDiscoverySession(params, collect) {
+        const session = {
+            params: params,
+            devices: {}, // device key -> device
+            merges: {}, // device key -> records of the device (see _createMerge())
+            collect: collect || this._collectDevice.bind(this),
+            scheduler: this._query_scheduler,
+            timer: null,
+            onreceive: null,
+            finish: null, // Ends _startDiscovery()
+            querying: false,
+            aborted: false
+        };
+        // A legacy session does not use the shared socket
+        if (!params['legacy']) {
+            this._sessions.add(session);
+        }
+        return session;
+    }
+
+    // Opens the socket of the session: the shared socket on port 5353,
+    // or the sockets of a legacy querier on ephemeral ports
+    async _openDiscoverySession(session) {
+        const params = session['params'];
+        if (params['legacy']) {
+            session['scheduler'] = await this._openLegacyQuerier((packet) => {
+                if (session['onreceive'] && this._isAnswerPacket(packet, packet['address'], params['localhost'])) {
+                    session['onreceive'](packet);
+                }
             });
+        } else {
+            await this._startListening();
+        }
+    }
+
+    // Opens a legacy querier (see dns-sd-legacy-querier.js) which passes
+    // the answers to the `onpacket` function
+    async _openLegacyQuerier(onpacket) {
+        // Update the list of network interface IP address
+        this._updateNetifList();
+
+        const querier = new DnsSdLegacyQuerier(this);
+        querier.onpacket = onpacket;
+        try {
+            await querier.open();
+        } catch (error) {
+            await querier.close();
+            throw (error);
+        }
+        return querier;
+    }
+
+    _startDiscovery(session) {
+        return new Promise((resolve, reject) => {
+            const params = session['params'];
+            const wait = params['wait'] ? params['wait'] : this._DISCOVERY_WAIT_DEFAULT;
+
+            const signal = params['signal'];
+            const onabort = () => {
+                session['aborted'] = true;
+                finish();
+            };
+
+            const finish = () => {
+                if (session['timer']) {
+                    clearTimeout(session['timer']);
+                    session['timer'] = null;
+                }
+                if (signal) {
+                    signal.removeEventListener('abort', onabort);
+                }
+                session['onreceive'] = null;
+                session['finish'] = null;
+                resolve();
+            };
+            session['finish'] = finish;
+
+            // The signal may have been aborted while the socket was opened
+            if (signal) {
+                if (signal.aborted) {
+                    onabort();
+                    return;
+                }
+                signal.addEventListener('abort', onabort);
+            }
 
             // Timer
-            let wait_timer = null;
+            session['timer'] = setTimeout(finish, wait * 1000);
 
-            const clearTimer = () => {
-                if (wait_timer) {
-                    clearTimeout(wait_timer);
-                    wait_timer = null;
+            session['onreceive'] = (packet) => {
+                if (session['collect'](session, packet) && params['quick']) {
+                    finish();
                 }
-                this._onreceive = () => { };
             };
 
-            wait_timer = setTimeout(() => {
-                clearTimer();
-                resolve();
-            }, wait * 1000);
+            // Start with the answers in the cache
+            for (const packet of this._createCachedPackets(params['name'], params['type'])) {
+                if (session['onreceive'] && this._isAnswerPacket(packet, packet['address'], params['localhost'])) {
+                    session['onreceive'](packet);
+                }
+            }
 
-            const quick = params['quick'];
-            const key = params['key'] || 'address';
+            // Start querying
+            session['querying'] = true;
+            session['scheduler'].add(params['name'], params['type'], params['unicastResponse']);
+        });
+    }
 
-            this._onreceive = (addr, packet) => {
-                if (!this._isTargettedDevice(packet, params['name'])) {
-                    return;
+    // Adds the devices found in the packet to the result set of the
+    // session, one device per instance (see _splitPacket()). Returns
+    // `true` if a device was found.
+    _collectDevice(session, packet) {
+        let found = false;
+        for (const p of this._splitPacket(packet)) {
+            if (this._collectInstance(session, p)) {
+                found = true;
+            }
+        }
+        return found;
+    }
+
+    // Adds the device found in the packet of an instance to the result
+    // set of the session. A packet answering the query, or one carrying
+    // the other records of a device found before (e.g., the SRV, TXT and
+    // A records following the PTR record), updates the device built from
+    // all the packets of the device.
+    _collectInstance(session, packet) {
+        const params = session['params'];
+        const key_name = params['key'] || 'address';
+        const merges = session['merges'];
+        const known_key = this._findDeviceKey(merges, packet, key_name);
+        const targetted = this._isTargettedDevice(packet, params['name']);
+        if (known_key === null && !targetted) {
+            return false;
+        }
+
+        let merge = (known_key !== null) ? merges[known_key] : this._createMerge();
+        this._addToMerge(merge, packet);
+        let res = this._getMergeResult(merge);
+        let k = known_key;
+        if (targetted) {
+            k = this._getDeviceKey(res['packet'], key_name);
+            if (k === null) {
+                return false;
+            }
+        }
+        if (k !== known_key) {
+            if (known_key !== null) {
+                // The host name of a device keyed by its source address so far
+                delete merges[known_key];
+                delete session['devices'][known_key];
+            }
+            if (merges[k]) {
+                const prev = merges[k];
+                for (const p of merge['packets']) {
+                    this._addToMerge(prev, p);
                 }
-                const device = this._createDeviceObject(packet);
-                if (!this._evaluateDeviceFilter(device, params['filter'])) {
-                    return;
+                merge = prev;
+                res = this._getMergeResult(merge);
+            }
+            merges[k] = merge;
+        }
+
+        const device = this._createDeviceObject(res['packet'], res['sources']);
+        device['packets'] = res['packets'];
+        if (!this._evaluateDeviceFilter(device, params['filter'])) {
+            delete session['devices'][k];
+            return false;
+        }
+        session['devices'][k] = device;
+        return true;
+    }
+
+    // Returns the key of the device found before which the packet refers
+    // to by the name of an instance, or of a host if the `key` is
+    // "address". Returns `null` if there is no such device.
+    _findDeviceKey(merges, packet, key_name) {
+        const names = new Set();
+        for (const r of this._listPacketRecords(packet)) {
+            names.add(r['name'].toLowerCase());
+        }
+        for (const [k, merge] of Object.entries(merges)) {
+            for (const { record: r } of merge['entries']) {
+                const related = [];
+                if (r['type'] === 'PTR' && typeof (r['rdata']) === 'string') {
+                    related.push(r['rdata']);
                 }
-                if (key === 'fqdn') {
-                    const fqdn = device['fqdn'];
-                    this._discovered_devices[fqdn] = device;
-                } else {
-                    this._discovered_devices[addr] = device;
+                if (key_name === 'address') {
+                    if (r['type'] === 'SRV' && r['rdata'] && r['rdata']['target']) {
+                        related.push(r['rdata']['target']);
+                    } else if (r['type'] === 'A' || r['type'] === 'AAAA') {
+                        related.push(r['name']);
+                    }
                 }
-                if (quick) {
-                    clearTimer();
-                    resolve();
+                if (related.some((name) => names.has(name.toLowerCase()))) {
+                    return k;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Splits a response carrying the PTR answers of several instances
+    // (e.g., a printer with several queues) into one packet per instance.
+    // The packet of an instance has the records of the instance, those
+    // of its host (the SRV target) and those of no instance in the
+    // packet. A packet with one instance at most is returned as is.
+    _splitPacket(packet) {
+        const sections = ['answers', 'authorities', 'additionals'];
+        const instances = []; // Lower-case instance names
+        for (const r of packet['answers']) {
+            if (r['type'] === 'PTR' && typeof (r['rdata']) === 'string' && !instances.includes(r['rdata'].toLowerCase())) {
+                instances.push(r['rdata'].toLowerCase());
+            }
+        }
+        if (instances.length <= 1) {
+            return [packet];
+        }
+
+        const records = this._listPacketRecords(packet);
+        // The names of the records of each instance
+        const owned_names = instances.map((fqdn) => {
+            const names = new Set([fqdn]);
+            for (const r of records) {
+                if (r['type'] === 'SRV' && r['name'].toLowerCase() === fqdn && r['rdata'] && r['rdata']['target']) {
+                    names.add(r['rdata']['target'].toLowerCase());
+                }
+            }
+            return names;
+        });
+        const belongsTo = (r, i) => {
+            if (r['type'] === 'PTR' && typeof (r['rdata']) === 'string' && instances.includes(r['rdata'].toLowerCase())) {
+                return r['rdata'].toLowerCase() === instances[i];
+            }
+            return owned_names[i].has(r['name'].toLowerCase());
+        };
+
+        return instances.map((fqdn, i) => {
+            const p = Object.assign({}, packet);
+            p['header'] = Object.assign({}, packet['header']);
+            for (const k of sections) {
+                p[k] = packet[k].filter((r) => {
+                    return belongsTo(r, i) || !instances.some((_, j) => belongsTo(r, j));
+                });
+                p['header'][k] = p[k].length;
+            }
+            return p;
+        });
+    }
+
+    _listPacketRecords(packet) {
+        return [].concat(packet['answers'] || [], packet['authorities'] || [], packet['additionals'] || []);
+    }
+
+    // Returns the union of the records in the packets of a device as one
+    // packet, the packets which still contribute records to it and the
+    // packet each record arrived in (see _addToMerge()).
+    _mergeRecords(packets) {
+        const merge = this._createMerge();
+        for (const packet of packets) {
+            this._addToMerge(merge, packet);
+        }
+        return this._getMergeResult(merge);
+    }
+
+    // Creates the state of a merge the packets of a device are added to
+    // one by one, so a packet received later is merged without going
+    // through the packets received before
+    _createMerge() {
+        return {
+            entries: [], // [{ packet, section, record }]
+            packets: [], // The packets which contribute records
+            last: null,
+            source: null // The last packet received over IPv4
+        };
+    }
+
+    // Adds the records of the packet to the merge. A record with the
+    // cache-flush bit replaces the records with the same name and type
+    // received before, other records only replace an identical record
+    // (RFC 6762 §10.2).
+    _addToMerge(merge, packet) {
+        const records = this._listPacketRecords(packet);
+        merge['entries'] = merge['entries'].filter((e) => {
+            const o = e['record'];
+            return !records.some((r) => {
+                if (o['name'].toLowerCase() !== r['name'].toLowerCase() || o['type'] !== r['type']) {
+                    return false;
                 }
+                return r['flash'] || JSON.stringify(o['rdata']) === JSON.stringify(r['rdata']);
+            });
+        });
+        for (const k of ['answers', 'authorities', 'additionals']) {
+            for (const r of (packet[k] || [])) {
+                merge['entries'].push({ packet: packet, section: k, record: r });
+            }
+        }
+        const contributing = new Set(merge['entries'].map((e) => e['packet']));
+        merge['packets'] = merge['packets'].concat([packet]).filter((p) => contributing.has(p));
+        merge['last'] = packet;
+        if (mNet.isIPv4(packet['address'] || '')) {
+            merge['source'] = packet;
+        }
+    }
+
+    // Returns the result of the merge as _mergeRecords() does. The source
+    // address is taken from the last packet received over IPv4, if any.
+    _getMergeResult(merge) {
+        const source = merge['source'] || merge['last'];
+        const merged = {
+            header: merge['last']['header'],
+            questions: [],
+            address: source['address'],
+            interface: source['interface'] || null
+        };
+        for (const k of ['answers', 'authorities', 'additionals']) {
+            merged[k] = merge['entries'].filter((e) => e['section'] === k).map((e) => e['record']);
+        }
+        return {
+            packet: merged,
+            packets: merge['packets'].slice(),
+            sources: new Map(merge['entries'].map((e) => [e['record'], e['packet']]))
+        };
+    }
+
+    // Creates the device object from the union of the records in the
+    // packets of the device (see _mergeRecords()). The packets are kept
+    // in `packets`.
+    _createMergedDeviceObject(packets) {
+        const res = this._mergeRecords(packets);
+        const device = this._createDeviceObject(res['packet'], res['sources']);
+        device['packets'] = res['packets'];
+        return device;
+    }
+
+    // Creates response packets from the cached records answering the
+    // questions, one packet per record with the related records in the
+    // additional section. A responder does not send again the answers
+    // listed in the Known-Answer section of our queries (RFC 6762 §7.1),
+    // so a new discovery or browser starts with the cached ones.
+    _createCachedPackets(name_list, type) {
+        const now = Date.now();
+        const entries = this.cache.dump().filter((e) => {
+            return e['expires'].getTime() > now;
+        });
+        const find = (name, types) => {
+            return entries.filter((e) => {
+                return e['name'].toLowerCase() === name.toLowerCase() && types.includes(e['type']);
+            });
+        };
+        const createRecord = (e) => {
+            return {
+                name: e['name'],
+                type: e['type'],
+                class: e['class'],
+                flash: false,
+                ttl: e['remaining'],
+                rdata: e['rdata']
             };
+        };
 
-            // Send a packet
-            this._sendQueryPacket(buf);
+        const names = name_list.map((name) => {
+            return name.toLowerCase();
         });
+        const packets = [];
+        for (const e of entries) {
+            if (!names.includes(e['name'].toLowerCase())) {
+                continue;
+            }
+            if (type && type !== '*' && e['type'] !== type) {
+                continue;
+            }
+            let additionals = [];
+            if (e['type'] === 'PTR' && typeof (e['rdata']) === 'string') {
+                additionals = find(e['rdata'], ['SRV', 'TXT']);
+            }
+            for (const srv of [e].concat(additionals)) {
+                if (srv['type'] === 'SRV' && srv['rdata'] && srv['rdata']['target']) {
+                    additionals = additionals.concat(find(srv['rdata']['target'], ['A', 'AAAA']));
+                }
+            }
+            packets.push({
+                header: {
+                    id: 0, qr: 1, op: 0, aa: 1, tc: 0, rd: 0, ra: 0, z: 0, ad: 0, cd: 0, rc: 0,
+                    questions: 0, answers: 1, authorities: 0, additionals: additionals.length
+                },
+                questions: [],
+                answers: [createRecord(e)],
+                authorities: [],
+                additionals: additionals.map(createRecord),
+                address: e['address'],
+                interface: e['interface']
+            });
+        }
+        return packets;
+    }
+
+    // Returns the key of a discovered device. A responder answers over
+    // IPv4 and IPv6 with different source addresses, so the address
+    // based key is the host name of the responder when it is known.
+    _getDeviceKey(packet, key) {
+        if (key === 'fqdn') {
+            const ptr = this._listPacketRecords(packet).find((r) => r['type'] === 'PTR');
+            return ptr ? ptr['rdata'] : null;
+        }
+        const hostname = this._getResponderHostname(packet);
+        return hostname ? hostname.toLowerCase() : packet['address'];
+    }
+
+    _getResponderHostname(packet) {
+        const records = [].concat(packet['answers'], packet['authorities'], packet['additionals']);
+        for (const r of records) {
+            if (r['type'] === 'SRV' && r['rdata'] && r['rdata']['target']) {
+                return r['rdata']['target'];
+            }
+        }
+        for (const r of records) {
+            if (r['type'] === 'A' || r['type'] === 'AAAA') {
+                return r['name'];
+            }
+        }
+        return null;
     }
 
-    async _sendQueryPacket(buf) {
+    // Sends a query packet on every interface. Called by the query
+    // scheduler whenever the questions are due.
+    async _sendQueryPacket(params) {
+        if (params['unicastResponse']) {
+            this._unicast_response_until = Date.now() + this._UNICAST_RESPONSE_WAIT;
+        }
         for (const netif_address of this._netif_address_list) {
-            for (let i = 0; i < 3; i++) {
-                this._udp.setMulticastInterface(netif_address);
-                await this._wait(100);
+            if (!this._udp) {
+                break;
+            }
+            // The packets are composed for each interface because the
+            // questions of other hosts may change meanwhile
+            const bufs = this._composeQueryPackets(params);
+            if (!bufs) {
+                continue;
+            }
+            this._udp.setMulticastInterface(netif_address);
+            const netif = this._findNetif(netif_address);
+            for (const buf of bufs) {
                 await this._udpSend(buf, this._UDP_PORT, this._MULTICAST_ADDR);
-                if (this._is_discovering === false) {
-                    break;
-                }
-                await this._wait(100);
+                this._captureSent(buf, netif_address, this._MULTICAST_ADDR, netif ? netif['name'] : null);
             }
-
-            if (this._is_discovering === false) {
+        }
+        for (const netif of this._netif6_list) {
+            if (!this._udp6) {
                 break;
             }
+            const bufs = this._composeQueryPackets(params);
+            if (!bufs) {
+                continue;
+            }
+            this._udp6.setMulticastInterface(this._createScopedAddress('::', netif));
+            for (const buf of bufs) {
+                await this._udpSend(buf, this._UDP_PORT, this._MULTICAST_ADDR6, this._udp6);
+                this._captureSent(buf, this._getNetif6Source(netif), this._MULTICAST_ADDR6, netif['name']);
+            }
+        }
+    }
+
+    // Composes the query packets with the known answers in the cache
+    // (RFC 6762 §7.1). Known answers which do not fit in one packet
+    // follow in more packets with the TC bit (RFC 6762 §7.2). A question
+    // which another host has just asked is left out (RFC 6762 §7.3),
+    // unless we ask for unicast responses which the other host would not
+    // share. Returns `null` if no question is left.
+    _composeQueryPackets(params) {
+        const type = params['type'] || '*';
+        const unicast = params['unicastResponse'] ? true : false;
+        const name_list = [];
+        let answers = [];
+        for (const name of params['name']) {
+            const known = this.cache.getKnownAnswers({ name: name, type: type }).filter((r) => {
+                return mDnsSdComposer.isEncodable(r);
+            });
+            if (!unicast && this._isDuplicateQuestion(name, type, known)) {
+                continue;
+            }
+            name_list.push(name);
+            answers = answers.concat(known);
         }
+        if (name_list.length === 0) {
+            return null;
+        }
+        return mDnsSdComposer.composeList({
+            name: name_list,
+            type: params['type'],
+            answers: answers,
+            unicastResponse: unicast
+        });
+    }
+
+    // RFC 6762 §7.3: A question asked by another host within the last
+    // second is treated as our own if the Known-Answer section of that
+    // query has no record which we would not put in ours.
+    _isDuplicateQuestion(name, type, known) {
+        const q = this._recent_questions.get(this._createQuestionKey(name, type));
+        if (!q || Date.now() - q['time'] > this._DUPLICATE_QUESTION_INTERVAL) {
+            return false;
+        }
+        const own = new Set(known.map((r) => this._createAnswerKey(r)));
+        for (const key of q['answers']) {
+            if (!own.has(key)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _recordQuestions(p) {
+        const now = Date.now();
+        for (const [key, q] of this._recent_questions) {
+            if (now - q['time'] > this._DUPLICATE_QUESTION_INTERVAL) {
+                this._recent_questions.delete(key);
+            }
+        }
+        const answers = p['answers'].map((r) => this._createAnswerKey(r));
+        for (const q of p['questions']) {
+            // Only a multicast-response (QM) question stands for ours
+            if (q['qu']) {
+                continue;
+            }
+            this._recent_questions.set(this._createQuestionKey(q['name'], q['type']), {
+                time: now,
+                answers: answers
+            });
+        }
+    }
+
+    _createQuestionKey(name, type) {
+        return JSON.stringify([name.toLowerCase(), type || '*']);
     }
 
-    _udpSend(buf, port, addr) {
+    _createAnswerKey(r) {
+        return JSON.stringify([r['name'].toLowerCase(), r['type'], r['rdata']]);
+    }
+
+    _udpSend(buf, port, addr, udp = this._udp) {
         return new Promise((resolve, reject) => {
-            this._udp.send(buf, 0, buf.length, port, addr, (error) => {
+            udp.send(buf, 0, buf.length, port, addr, (error) => {
                 if (error) {
                     reject(error);
                 } else {
@@ -367,14 +1752,6 @@ class DnsSd {
         });
     }
 
-    _wait(msec) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve();
-            }, msec);
-        });
-    }
-
     _isTargettedDevice(packet, name_list) {
         let hit = false;
         for (const ans of packet['answers']) {
@@ -393,6 +1770,8 @@ class DnsSd {
                 return this._evaluateDeviceFilterString(device, filter);
             } else if (filter_type === 'function') {
                 return this._evaluateDeviceFilterFunction(device, filter);
+            } else if (filter_type === 'object') {
+                return mDnsSdFilter.match(filter, device, this._getDeviceTxt(device));
             } else {
                 return false;
             }
@@ -417,6 +1796,18 @@ class DnsSd {
         return false;
     }
 
+    // Returns the TXT data of the instance of the device ({} if unknown)
+    _getDeviceTxt(device) {
+        if (!device['packets']) {
+            return {};
+        }
+        const packet = this._mergeRecords(device['packets'])['packet'];
+        const fqdn = (device['fqdn'] || '').toLowerCase();
+        const list = this._listPacketRecords(packet).filter((r) => r['type'] === 'TXT' && r['rdata']);
+        const txt = list.find((r) => r['name'].toLowerCase() === fqdn) || list[0];
+        return txt ? txt['rdata'] : {};
+    }
+
     _evaluateDeviceFilterFunction(device, filter) {
         let res = false;
         try {
@@ -426,10 +1817,21 @@ class DnsSd {
         return res;
     }
 
-    async _stopDiscovery() {
-        this._discovered_devices = {};
-        this._is_discovering = false;
-        this._allow_localhost = false;
+    async _stopDiscovery(session) {
+        const params = session['params'];
+        if (session['querying']) {
+            session['scheduler'].remove(params['name'], params['type']);
+            session['querying'] = false;
+        }
+        if (session['finish']) {
+            session['finish']();
+        }
+        session['onreceive'] = null;
+        if (session['scheduler'] !== this._query_scheduler) {
+            await session['scheduler'].close();
+            session['scheduler'] = this._query_scheduler;
+        }
+        this._sessions.delete(session);
         try {
             await this._stopListening();
         } catch (error) {
@@ -464,59 +1866,378 @@ class DnsSd {
         this._joined_address_list = [];
     }
 
-    _getNetifAddressList() {
+    _addMembership6() {
+        for (const netif of this._netif6_list) {
+            if (this._joined6_list.includes(netif['name'])) {
+                continue;
+            }
+            try {
+                this._udp6.addMembership(this._MULTICAST_ADDR6, this._createScopedAddress('::', netif));
+                this._joined6_list.push(netif['name']);
+            } catch (e) {
+                if (e.code !== 'EADDRINUSE') {
+                    console.log(`Catching error on addMembership: ${JSON.stringify(e)}`);
+                }
+            }
+        }
+    }
+
+    _dropMembership6() {
+        for (const name of this._joined6_list) {
+            const netif = this._netif6_list.find((n) => n['name'] === name) || { name: name, scopeid: 0 };
+            try {
+                this._udp6.dropMembership(this._MULTICAST_ADDR6, this._createScopedAddress('::', netif));
+            } catch (e) {
+                console.log(`Catching error on dropMembership: ${JSON.stringify(e)}`);
+            }
+        }
+        this._joined6_list = [];
+    }
+
+    // Joins the multicast group on the new interfaces and leaves it on
+    // the vanished ones. Leaving fails if the address is gone already.
+    _updateMembership() {
+        for (const netif_address of this._joined_address_list) {
+            if (this._netif_address_list.includes(netif_address)) {
+                continue;
+            }
+            try {
+                this._udp.dropMembership(this._MULTICAST_ADDR, netif_address);
+            } catch (e) { }
+        }
+        this._joined_address_list = this._joined_address_list.filter((netif_address) => {
+            return this._netif_address_list.includes(netif_address);
+        });
+        this._addMembership();
+
+        if (!this._udp6) {
+            return;
+        }
+        const names = this._netif6_list.map((netif) => netif['name']);
+        for (const name of this._joined6_list) {
+            if (names.includes(name)) {
+                continue;
+            }
+            try {
+                this._udp6.dropMembership(this._MULTICAST_ADDR6, this._createScopedAddress('::', { name: name, scopeid: 0 }));
+            } catch (e) { }
+        }
+        this._joined6_list = this._joined6_list.filter((name) => {
+            return names.includes(name);
+        });
+        this._addMembership6();
+    }
+
+    async _handleNetifChange(change) {
+        this._updateNetifList();
+        if (this._is_listening && !this._closing_promise) {
+            this._updateMembership();
+            if (!this._udp6 && this._netif6_list.length > 0) {
+                await this._startListening6();
+                if (!this._is_listening) {
+                    await this._stopListening6();
+                }
+            }
+        }
+        // Ask again on the new links
+        if (change['added'].length > 0) {
+            this._query_scheduler.restart();
+        }
+        this.emit('interfacesChanged', change);
+    }
+
+    // Creates an address with a zone index (e.g., "::%eth0"). Windows
+    // identifies the interface by its number.
+    _createScopedAddress(address, netif) {
+        const zone = (process.platform === 'win32') ? netif['scopeid'] : netif['name'];
+        return `${address}%${zone}`;
+    }
+
+    _updateNetifList() {
+        this._netif_info_list = this._getNetifInfoList();
+        this._netif_address_list = this._getNetifAddressList();
+        this._netif6_list = this._getNetif6List();
+    }
+
+    // Any address of this machine is local, even one of an interface
+    // which is not used
+    _isLocalAddress(address) {
+        if (!address) {
+            return false;
+        }
+        const addr = address.replace(/%.*$/, '').toLowerCase();
+        if (this._netif_address_list.includes(addr)) {
+            return true;
+        }
+        for (const netif of this._netif6_list) {
+            if (netif['addresses'].includes(addr)) {
+                return true;
+            }
+        }
+        return this._netif_info_list.some((info) => info['address'] === addr);
+    }
+
+    // Returns the interface address which a packet from the address
+    // arrived on: the interface address itself, an address of the
+    // interface in the zone index (IPv6) or the one on whose subnet the
+    // address is. Returns `null` if it is not known.
+    _findNetif(address) {
+        if (!address) {
+            return null;
+        }
+        const [addr, zone] = address.toLowerCase().split('%');
+        const family = mNet.isIPv4(addr) ? 'IPv4' : 'IPv6';
+        const tests = [
+            (info) => info['address'] === addr,
+            (info) => zone !== undefined && family === 'IPv6' &&
+                (info['name'].toLowerCase() === zone || String(info['scopeid']) === zone),
+            (info) => info['cidr'] !== null && this._isInSubnet(addr, info['cidr'])
+        ];
+        for (const test of tests) {
+            const list = this._netif_info_list.filter((info) => {
+                return info['family'] === family && test(info);
+            });
+            if (list.length > 0) {
+                return list.find((info) => info['selected']) || list[0];
+            }
+        }
+        return null;
+    }
+
+    _isInSubnet(address, cidr) {
+        const [network, prefix] = cidr.split('/');
+        const family = mNet.isIP(network);
+        if (family === 0 || family !== mNet.isIP(address)) {
+            return false;
+        }
+        const type = (family === 4) ? 'ipv4' : 'ipv6';
+        const block_list = new mNet.BlockList();
+        block_list.addSubnet(network, parseInt(prefix, 10), type);
+        return block_list.check(address, type);
+    }
+
+    // Returns every non-internal address of the network interfaces:
+    // [{ name, family, address, netmask, cidr, scopeid, selected }].
+    // The `selected` is `true` if the address is used, according to the
+    // `interfaces` and `linkLocal` options.
+    _getNetifInfoList() {
         const list = [];
         const netifs = mOs.networkInterfaces();
-        for (const iflist of Object.values(netifs)) {
+        for (const [name, iflist] of Object.entries(netifs)) {
             for (const info of iflist) {
-                // Exclude a loopback address
-                if (info.internal) {
-                    continue;
-                }
-                // Exclude a non-IPv4 address
-                if (info.family !== 'IPv4') {
-                    continue;
-                }
-                // Exclude a link-local address
-                if (info.address.startsWith('169.254.')) {
+                if (info.internal || (info.family !== 'IPv4' && info.family !== 'IPv6')) {
                     continue;
                 }
+                const o = {
+                    name: name,
+                    family: info.family,
+                    address: info.address.toLowerCase(),
+                    netmask: info.netmask,
+                    cidr: info.cidr || null,
+                    scopeid: info.scopeid || 0,
+                    selected: false
+                };
+                o['selected'] = this._isSelectedNetif(o);
+                list.push(o);
+            }
+        }
+        return list;
+    }
+
+    _isSelectedNetif(info) {
+        // Exclude an IPv4 link-local address unless requested
+        if (info['family'] === 'IPv4' && info['address'].startsWith('169.254.') && !this._LINK_LOCAL) {
+            return false;
+        }
+        if (this._NETIF_INCLUDE && !this._matchNetif(info, this._NETIF_INCLUDE)) {
+            return false;
+        }
+        if (this._matchNetif(info, this._NETIF_EXCLUDE)) {
+            return false;
+        }
+        return true;
+    }
+
+    // Returns `true` if any of the interface names, addresses or CIDRs
+    // matches the interface address
+    _matchNetif(info, patterns) {
+        return patterns.some((pattern) => {
+            if (pattern.includes('/')) {
+                return this._isInSubnet(info['address'], pattern);
+            } else if (mNet.isIP(pattern)) {
+                return pattern.toLowerCase() === info['address'];
+            } else {
+                return pattern === info['name'];
+            }
+        });
+    }
+
+    // Returns the IPv6-capable network interfaces:
+    // [{ name, scopeid, addresses }]. The `scopeid` is the interface
+    // index taken from the link-local address.
+    _getNetif6List() {
+        const list = [];
+        for (const info of this._getNetifInfoList()) {
+            if (info['family'] !== 'IPv6' || !info['selected']) {
+                continue;
+            }
+            let netif = list.find((n) => n['name'] === info['name']);
+            if (!netif) {
+                netif = { name: info['name'], scopeid: 0, addresses: [] };
+                list.push(netif);
+            }
+            if (info['scopeid']) {
+                netif['scopeid'] = info['scopeid'];
+            }
+            netif['addresses'].push(info['address']);
+        }
+        return list;
+    }
 
-                list.push(info.address);
+    _getNetifAddressList() {
+        const list = [];
+        for (const info of this._getNetifInfoList()) {
+            if (info['family'] === 'IPv4' && info['selected']) {
+                list.push(info['address']);
             }
         }
         return list;
     }
 
     /* ------------------------------------------------------------------
-    * Method: startMonitoring()
+    * Method: startMonitoring([params])
+    * - params      | Object    | Optional |
+    *   - names     | String or | Optional | Names of the questions and the
+    *               | Array     |          | records (e.g., "_http._tcp.local").
+    *               |           |          | "*" and "?" are wildcards (e.g.,
+    *               |           |          | "*._http._tcp.local").
+    *   - types     | String or | Optional | Types of the questions and the
+    *               | Array     |          | records (e.g., "PTR").
+    *   - direction | String    | Optional | "query" or "response". By default,
+    *               |           |          | both are monitored.
+    *   - sources   | String or | Optional | Addresses or CIDRs of the senders
+    *               | Array     |          | (e.g., "192.168.1.0/24").
+    *   - capture   | String or | Optional | Path of a capture file or a writable
+    *               | Writable  |          | stream. The matching datagrams
+    *               |           |          | received and sent on the socket are
+    *               |           |          | written in the pcapng format.
+    *
+    * A packet matches if every given condition matches. If both `names`
+    * and `types` are given, a question or a record must match both.
+    *
+    * Returns a Promise resolving to a DnsSdMonitor object which emits the
+    * matching packets as `packet` events. Call its `stop()` method to
+    * stop it. The `ondata` property receives the packets matching any
+    * running monitor.
     * ---------------------------------------------------------------- */
-    async startMonitoring() {
-        if (this._is_monitoring === true) {
-            return;
+    async startMonitoring(params) {
+        const res = this._checkMonitoringParameters(params);
+        if (res['error']) {
+            throw (res['error']);
         }
+        const monitor = new DnsSdMonitor(this, res['params']);
+        await monitor._openCapture();
 
         // Update the list of network interface IP address
-        this._netif_address_list = this._getNetifAddressList();
+        this._updateNetifList();
 
+        this._monitors.add(monitor);
         try {
             await this._startListening();
-            this._is_monitoring = true;
         } catch (error) {
-            this._is_monitoring = false;
+            this._monitors.delete(monitor);
+            await monitor._closeCapture();
             await this._stopListening();
             throw (error);
         }
+        monitor._is_running = true;
+        return monitor;
+    }
+
+    _checkMonitoringParameters(params) {
+        const p = {};
+        if (params === undefined || params === null) {
+            return { params: p };
+        } else if (typeof (params) !== 'object' || Array.isArray(params)) {
+            return { error: new Error('The argument `params` is invalid.') };
+        }
+
+        if ('names' in params) {
+            const v = params['names'];
+            const list = Array.isArray(v) ? v : [v];
+            if (list.length === 0 || !list.every((name) => typeof (name) === 'string' && name !== '')) {
+                return { error: new Error('The `names` must be a non-empty string or an Array object including non-empty strings.') };
+            }
+            p['names'] = list.map((name) => name.replace(/\.$/, ''));
+        }
+
+        if ('types' in params) {
+            const v = params['types'];
+            const list = Array.isArray(v) ? v : [v];
+            if (list.length === 0 || !list.every((type) => typeof (type) === 'string' && /^[a-zA-Z0-9]{1,10}$/.test(type))) {
+                return { error: new Error('The `types` must be a record type or an Array object including record types.') };
+            }
+            p['types'] = list.map((type) => type.toUpperCase());
+        }
+
+        if ('direction' in params) {
+            const v = params['direction'];
+            if (typeof (v) !== 'string' || !/^(query|response)$/.test(v)) {
+                return { error: new Error('The `direction` must be "query" or "response".') };
+            }
+            p['direction'] = v;
+        }
+
+        if ('sources' in params) {
+            const v = params['sources'];
+            const list = Array.isArray(v) ? v : [v];
+            if (mDnsSdFilter.check({ address: list }) !== null) {
+                return { error: new Error('The `sources` must be an address, a CIDR or an Array object including them.') };
+            }
+            p['sources'] = list;
+        }
+
+        if ('capture' in params) {
+            const v = params['capture'];
+            const is_path = (typeof (v) === 'string' && v !== '');
+            const is_stream = (v !== null && typeof (v) === 'object' && typeof (v['write']) === 'function');
+            if (!is_path && !is_stream) {
+                return { error: new Error('The `capture` must be a file path or a writable stream.') };
+            }
+            p['capture'] = v;
+        }
+
+        return { params: p };
     }
 
     /* ------------------------------------------------------------------
     * Method: stopMonitoring()
+    *   Stops all the monitors.
     * ---------------------------------------------------------------- */
     async stopMonitoring() {
-        this._is_monitoring = false;
+        const monitors = Array.from(this._monitors);
+        this._monitors.clear();
+        for (const monitor of monitors) {
+            monitor._is_running = false;
+            await monitor._closeCapture();
+        }
 
         // Update the list of network interface IP address
-        this._netif_address_list = this._getNetifAddressList();
+        this._updateNetifList();
+
+        try {
+            await this._stopListening();
+        } catch (error) {
+            // Do nothing
+        }
+    }
+
+    // Called by DnsSdMonitor.stop()
+    async _stopMonitor(monitor) {
+        this._monitors.delete(monitor);
+
+        // Update the list of network interface IP address
+        this._updateNetifList();
 
         try {
             await this._stopListening();
@@ -526,6 +2247,25 @@ class DnsSd {
     }
 
     _startListening() {
+        // Concurrent callers share the socket being opened
+        if (this._listening_promise) {
+            return this._listening_promise;
+        }
+        // A socket being closed is opened again once it has been closed
+        const promise = this._waitForClose().then(() => {
+            return this._openSocket();
+        });
+        const clear = () => {
+            if (this._listening_promise === promise) {
+                this._listening_promise = null;
+            }
+        };
+        promise.then(clear, clear);
+        this._listening_promise = promise;
+        return promise;
+    }
+
+    _openSocket() {
         return new Promise((resolve, reject) => {
             if (this._is_listening === true) {
                 resolve();
@@ -545,38 +2285,164 @@ class DnsSd {
             });
 
             this._udp.once('listening', () => {
-                //this._udp.setMulticastLoopback(false);
+                this._setMulticastOptions(this._udp);
                 this._addMembership();
                 this._is_listening = true;
-                setTimeout(() => {
-                    resolve();
-                }, 100);
+                this._netif_watcher.start();
+                this._startListening6().then(() => {
+                    setTimeout(() => {
+                        this.emit('listening');
+                        resolve();
+                    }, 100);
+                });
             });
 
             this._udp.on('message', (buf, rinfo) => {
                 this._receivePacket(buf, rinfo);
             });
 
-            this._udp.bind({ port: this._UDP_PORT }, () => {
+            const bind_params = { port: this._UDP_PORT };
+            if (this._BIND_ADDR) {
+                bind_params['address'] = this._BIND_ADDR;
+            }
+            this._udp.bind(bind_params, () => {
                 this._udp.removeAllListeners('error');
+                this._udp.on('error', (error) => {
+                    this._emitError(error);
+                });
             });
         });
     }
 
-    _stopListening() {
-        return new Promise((resolve, reject) => {
+    _setMulticastOptions(udp) {
+        try {
+            udp.setMulticastTTL(this._MULTICAST_TTL);
+            udp.setMulticastLoopback(this._MULTICAST_LOOPBACK);
+        } catch (e) { }
+    }
+
+    // Opens the IPv6 socket and joins the IPv6 group on each IPv6-capable
+    // interface. IPv6 is optional: if the socket can not be bound, only
+    // IPv4 is used and the returned promise resolves anyway.
+    _startListening6() {
+        return new Promise((resolve) => {
+            if (this._netif6_list.length === 0) {
+                resolve();
+                return;
+            }
+            let udp = null;
+            try {
+                udp = mDgram.createSocket({
+                    type: 'udp6',
+                    reuseAddr: true,
+                    ipv6Only: true
+                });
+            } catch (e) {
+                resolve();
+                return;
+            }
+
+            udp.once('error', () => {
+                try {
+                    udp.close();
+                } catch (e) { }
+                resolve();
+            });
+
+            udp.on('message', (buf, rinfo) => {
+                this._receivePacket(buf, rinfo);
+            });
+
+            udp.bind({ port: this._UDP_PORT }, () => {
+                udp.removeAllListeners('error');
+                udp.on('error', (error) => {
+                    this._emitError(error);
+                });
+                this._udp6 = udp;
+                this._setMulticastOptions(udp);
+                this._addMembership6();
+                resolve();
+            });
+        });
+    }
+
+    _stopListening6() {
+        return new Promise((resolve) => {
+            if (!this._udp6) {
+                resolve();
+                return;
+            }
+            this._dropMembership6();
+            const udp = this._udp6;
+            this._udp6 = null;
+            udp.removeAllListeners('message');
+            udp.removeAllListeners('error');
+            udp.close(() => {
+                resolve();
+            });
+        });
+    }
+
+    async _waitForClose() {
+        while (this._closing_promise) {
+            await this._closing_promise;
+        }
+    }
+
+    _hasSocketUsers() {
+        return this._sessions.size > 0 || this._resolvers.size > 0 || this._monitors.size > 0 || this._browsers.length > 0;
+    }
+
+    // Closes the sockets if nothing uses them any more
+    async _stopListening() {
+        // Let the socket being opened settle first
+        if (this._listening_promise) {
+            try {
+                await this._listening_promise;
+            } catch (error) {
+                // The opener gets the error
+            }
+        }
+        if (this._hasSocketUsers()) {
+            return;
+        }
+        if (this._closing_promise) {
+            await this._waitForClose();
+            return;
+        }
+        const promise = this._closeSocket();
+        this._closing_promise = promise;
+        try {
+            await promise;
+        } finally {
+            this._closing_promise = null;
+        }
+        // A user which came while the sockets were closing opens them
+        // again in _startListening(). Make sure of it.
+        if (this._hasSocketUsers() && !this._is_listening && !this._listening_promise) {
+            this._startListening().catch((error) => {
+                this._emitError(error);
+            });
+        }
+    }
+
+    _closeSocket() {
+        return new Promise((resolve) => {
+            this._netif_watcher.stop();
             this._dropMembership();
-            if (this._is_discovering || this._is_monitoring) {
+            const cleanObj = () => {
+                const closed = this._is_listening;
+                if (this._udp) {
+                    this._udp.unref();
+                    this._udp = null;
+                }
+                this._is_listening = false;
+                if (closed) {
+                    this.emit('close');
+                }
                 resolve();
-            } else {
-                const cleanObj = () => {
-                    if (this._udp) {
-                        this._udp.unref();
-                        this._udp = null;
-                    }
-                    this._is_listening = false;
-                    resolve();
-                };
+            };
+            this._stopListening6().then(() => {
                 if (this._udp) {
                     this._udp.removeAllListeners('message');
                     this._udp.removeAllListeners('error');
@@ -587,30 +2453,160 @@ class DnsSd {
                 } else {
                     cleanObj();
                 }
-            }
+            });
         });
     }
 
     _receivePacket(buf, rinfo) {
         const p = mDnsSdParser.parse(buf);
         if (!p) {
+            this._captureReceived(buf, null, rinfo);
+            return;
+        }
+        if (!this._attributePacket(p, rinfo.address)) {
             return;
         }
-        p['address'] = rinfo.address;
-        if (this._is_discovering) {
-            if (this._isAnswerPacket(p, rinfo.address)) {
-                this._onreceive(rinfo.address, p);
+        this._captureReceived(buf, p, rinfo);
+        if (p['header']['qr'] === 1 && p['header']['op'] === 0) {
+            this.cache.addPacket(p);
+            for (const resolver of this._resolvers) {
+                resolver._handlePacket(p);
+            }
+        } else if (p['header']['qr'] === 0 && !this._isLocalAddress(rinfo.address)) {
+            this._recordQuestions(p);
+        }
+        for (const session of this._sessions) {
+            if (session['onreceive'] && this._isAnswerPacket(p, rinfo.address, session['params']['localhost'])) {
+                session['onreceive'](p);
+            }
+        }
+        for (const browser of this._browsers) {
+            if (this._isAnswerPacket(p, rinfo.address, browser._params['localhost'])) {
+                browser._handlePacket(p);
+            }
+        }
+        this._emitPacketEvents(p);
+        let matched = false;
+        for (const monitor of this._monitors) {
+            if (monitor._handlePacket(p)) {
+                matched = true;
             }
         }
-        if (this._is_monitoring) {
+        // The `ondata` property is kept for compatibility. It receives the
+        // packets matched by any monitor.
+        if (matched) {
             if (typeof (this.ondata) === 'function') {
                 this.ondata(p);
             }
         }
     }
 
-    _isAnswerPacket(p, address) {
-        if (!this._allow_localhost && this._netif_address_list.includes(address)) {
+    // Emits the `packet` event, then the `query` event, or the `response`
+    // event and a `record` event per record
+    _emitPacketEvents(p) {
+        this.emit('packet', p);
+        if (p['header']['qr'] === 0) {
+            this.emit('query', p);
+        } else {
+            this.emit('response', p);
+            for (const r of this._listPacketRecords(p)) {
+                this.emit('record', r, p);
+            }
+        }
+    }
+
+    // Passes a received datagram to the monitors writing a capture. The
+    // socket does not tell the address a datagram was sent to, so the
+    // `destination` ({ address, port }) is the multicast group unless it
+    // is given. While a response to our query with the QU bit may come by
+    // unicast, the destination address of a response is left out (`null`).
+    _captureReceived(buf, p, rinfo, destination) {
+        if (!this._isCapturing()) {
+            return;
+        }
+        const netif = this._findNetif(rinfo.address);
+        if (netif && !netif['selected']) {
+            return;
+        }
+        if (!destination) {
+            const ipv6 = mNet.isIPv6(rinfo.address.replace(/%.*$/, ''));
+            const unicast = (!p || p['header']['qr'] === 1) && Date.now() < this._unicast_response_until;
+            destination = {
+                address: unicast ? null : (ipv6 ? this._MULTICAST_ADDR6 : this._MULTICAST_ADDR),
+                port: this._UDP_PORT
+            };
+        }
+        this._captureDatagram(p, {
+            data: buf,
+            direction: 'inbound',
+            source: { address: rinfo.address, port: rinfo.port },
+            destination: destination,
+            interface: netif ? netif['name'] : null
+        });
+    }
+
+    // Passes a sent datagram to the monitors writing a capture. The
+    // `source` address is `null` if unknown.
+    _captureSent(buf, source, destination, ifname, source_port = this._UDP_PORT) {
+        if (!this._isCapturing()) {
+            return;
+        }
+        const p = mDnsSdParser.parse(buf);
+        if (p) {
+            p['address'] = source;
+            p['interface'] = ifname;
+        }
+        this._captureDatagram(p, {
+            data: buf,
+            direction: 'outbound',
+            source: { address: source, port: source_port },
+            destination: { address: destination, port: this._UDP_PORT },
+            interface: ifname
+        });
+    }
+
+    // The address the datagrams sent on the IPv6 interface come from
+    _getNetif6Source(netif) {
+        return netif['addresses'].find((a) => /^fe80:/i.test(a)) || netif['addresses'][0] || '::';
+    }
+
+    _captureDatagram(p, datagram) {
+        for (const monitor of this._monitors) {
+            monitor._captureDatagram(p, datagram);
+        }
+    }
+
+    _isCapturing() {
+        for (const monitor of this._monitors) {
+            if (monitor._capture) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // A socket error is emitted only if the `error` event is listened to,
+    // otherwise it would be thrown
+    _emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    // Sets the source address and the interface of the packet. Returns
+    // `false` if the packet arrived on an interface which is not used.
+    _attributePacket(p, address) {
+        const netif = this._findNetif(address);
+        if (netif && !netif['selected']) {
+            return false;
+        }
+        p['address'] = address;
+        p['interface'] = netif ? netif['name'] : null;
+        return true;
+    }
+
+    _isAnswerPacket(p, address, allow_localhost) {
+        if (!allow_localhost && this._isLocalAddress(address)) {
             return false;
         }
         if (!(p['header']['qr'] === 1 && p['header']['op'] === 0)) {
@@ -621,3 +2617,4 @@ class DnsSd {
 }
 
 module.exports = new DnsSd();
+module.exports.DnsSd = DnsSd;
@@ -5,7 +5,7 @@
  * Coverage areas:
  *   - Constructor input validation
  *   - addTxt / removeTxt API
- *   - Packet binary structure (header, PTR, SRV, TXT, A)
+ *   - Packet binary structure (header, PTR, SRV, TXT, A, subtype PTRs)
  *   - goodbye TTL=0 packet
  *   - Name encoding (_encodeName)
  *   - Security: prototype pollution, port boundaries, injection
@@ -589,6 +589,58 @@ describe('DnsSdAnnouncer', function () {
     });
 
     // -----------------------------------------------------------------------
+    describe('Packet – subtype PTR records (answers)', function () {
+        let buf;
+
+        before(function () {
+            buf = makeAnnouncer({ subtypes: ['_printer', 'scanner'] })._buildPacket();
+        });
+
+        function answers() {
+            const list = [];
+            let offset = 12;
+            for (let i = 0; i < buf.readUInt16BE(6); i++) {
+                const rec = decodeRecord(buf, offset);
+                list.push(rec);
+                offset += rec.totalBytes;
+            }
+            return list;
+        }
+
+        it('should have ANCOUNT = 1 + the number of subtypes', function () {
+            assert.strictEqual(buf.readUInt16BE(6), 3);
+            assert.strictEqual(buf.readUInt16BE(10), 3);
+        });
+
+        it('should point each subtype name to the instance FQDN', function () {
+            const recs = answers().slice(1);
+            assert.deepStrictEqual(recs.map((r) => r.name), [
+                '_printer._sub._http._tcp.local',
+                '_scanner._sub._http._tcp.local'
+            ]);
+            for (const rec of recs) {
+                assert.strictEqual(rec.type, TYPE_PTR);
+                assert.strictEqual(rec.cls, CLASS_IN);
+                assert.strictEqual(rec.ttl, TTL_SERVICE);
+                assert.strictEqual(decodeName(rec.rdata, 0).name, 'Test Service._http._tcp.local');
+            }
+        });
+
+        it('should send the subtype PTR records with TTL=0 in a goodbye', function () {
+            const goodbye = makeAnnouncer({ subtypes: ['_printer'] })._buildPacket({ ttlOverride: 0 });
+            const p = decodeRecord(goodbye, 12).totalBytes;
+            const rec = decodeRecord(goodbye, 12 + p);
+            assert.strictEqual(rec.name, '_printer._sub._http._tcp.local');
+            assert.strictEqual(rec.ttl, 0);
+        });
+
+        it('should throw on invalid subtypes', function () {
+            assert.throws(() => makeAnnouncer({ subtypes: '_printer' }), /subtypes/);
+            assert.throws(() => makeAnnouncer({ subtypes: [''] }), /subtypes/);
+            assert.throws(() => makeAnnouncer({ subtypes: ['_a.b'] }), /subtypes/);
+        });
+    });
+
     describe('goodbye() packet – all TTLs must be 0', function () {
         let buf;
 
@@ -677,6 +729,73 @@ describe('DnsSdAnnouncer', function () {
         });
     });
 
+    // -----------------------------------------------------------------------
+    describe('Interface changes', function () {
+        const WLAN0 = { name: 'wlan0', family: 'IPv4', address: '10.0.0.7' };
+
+        function withInterfaceSocket(a) {
+            const sent = withMockSocket(a);
+            const interfaces = [];
+            a._udp.setMulticastInterface = (addr) => interfaces.push(addr);
+            return { sent, interfaces };
+        }
+
+        it('should announce the service again on a new address', async function () {
+            const a = makeAnnouncer();
+            const { sent, interfaces } = withInterfaceSocket(a);
+            await a.announce();
+            const events = [];
+            a.on('interfacesChanged', (change) => events.push(change));
+            await a._handleNetifChange({ added: [WLAN0], removed: [] });
+            a._clearReannounceTimer();
+            assert.strictEqual(sent.length, 2);
+            assert.deepStrictEqual(interfaces, ['10.0.0.7', '0.0.0.0']);
+            // The A record carries the address of the new link
+            const buf = sent[1].buf;
+            let offset = 12;
+            for (let i = 0; i < 3; i++) {
+                offset += decodeRecord(buf, offset).totalBytes;
+            }
+            assert.deepStrictEqual([...decodeRecord(buf, offset).rdata], [10, 0, 0, 7]);
+            assert.deepStrictEqual(events, [{ added: [WLAN0], removed: [] }]);
+        });
+
+        it('should repeat the announcement after one second', async function () {
+            this.timeout(3000);
+            const a = makeAnnouncer();
+            const { sent } = withInterfaceSocket(a);
+            await a.announce();
+            await a._handleNetifChange({ added: [WLAN0], removed: [] });
+            await new Promise((resolve) => setTimeout(resolve, 1100));
+            assert.strictEqual(sent.length, 3);
+        });
+
+        it('should not announce a service which has not been announced', async function () {
+            const a = makeAnnouncer();
+            const { sent } = withInterfaceSocket(a);
+            let emitted = false;
+            a.on('interfacesChanged', () => { emitted = true; });
+            await a._handleNetifChange({ added: [WLAN0], removed: [] });
+            await a.announce();
+            await a.goodbye();
+            await a._handleNetifChange({ added: [WLAN0], removed: [] });
+            assert.strictEqual(sent.length, 2);
+            assert.strictEqual(emitted, true);
+        });
+
+        it('should emit the error thrown while handling a change', async function () {
+            const a = makeAnnouncer();
+            a.on('interfacesChanged', () => {
+                throw new Error('listener failed');
+            });
+            const errors = [];
+            a.on('error', (error) => errors.push(error.message));
+            a._watcher.emit('change', { added: [WLAN0], removed: [] });
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(errors, ['listener failed']);
+        });
+    });
+
     // -----------------------------------------------------------------------
     describe('destroy()', function () {
 
@@ -0,0 +1,246 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-browser.test.js
+ * Unit tests for DnsSdBrowser
+ *
+ * Packets are fed directly to the record cache and the browser, no
+ * socket is opened.
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const DnsSdBrowser = require('../lib/dns-sd-browser.js');
+const { record, response, announcement, createDnsSd, feed } = require('./helpers.js');
+
+function printer(params = {}) {
+    return announcement(Object.assign({
+        service: '_ipp._tcp.local', instance: 'Printer', host: 'printer.local', port: 631, txt: { ty: 'Laser' }
+    }, params));
+}
+
+function collect(browser) {
+    const events = [];
+    ['serviceUp', 'serviceUpdated', 'serviceDown'].forEach((name) => {
+        browser.on(name, (device) => events.push({ name, device }));
+    });
+    return events;
+}
+
+// ===========================================================================
+describe('DnsSdBrowser', function () {
+    let dnssd = null;
+
+    // The browser gets the packets given to feed() without start()
+    function makeBrowser(params = {}) {
+        const browser = dnssd.createBrowser(Object.assign({ name: '_ipp._tcp.local' }, params));
+        dnssd._browsers.push(browser);
+        return browser;
+    }
+
+    beforeEach(function () {
+        dnssd = createDnsSd();
+    });
+
+    afterEach(function () {
+        dnssd._query_scheduler.stop();
+        dnssd.cache.clear();
+    });
+
+    describe('createBrowser()', function () {
+        it('should return a DnsSdBrowser', function () {
+            const browser = makeBrowser();
+            assert.ok(browser instanceof DnsSdBrowser);
+            assert.strictEqual(browser.running, false);
+        });
+
+        it('should throw on missing name', function () {
+            assert.throws(() => dnssd.createBrowser({}), /name/);
+        });
+
+        it('should default key to "fqdn"', function () {
+            assert.strictEqual(makeBrowser()._params.key, 'fqdn');
+        });
+
+        it('should accept key="address"', function () {
+            assert.strictEqual(makeBrowser({ key: 'address' })._params.key, 'address');
+        });
+    });
+
+    describe('serviceUp', function () {
+        it('should emit serviceUp for a new service', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].name, 'serviceUp');
+            assert.strictEqual(events[0].device.fqdn, 'Printer._ipp._tcp.local');
+            assert.strictEqual(events[0].device.service.port, 631);
+        });
+
+        it('should not emit twice for a repeated announcement', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            feed(dnssd, printer());
+            assert.strictEqual(events.length, 1);
+        });
+
+        it('should ignore packets for other service names', function () {
+            const browser = makeBrowser({ name: '_http._tcp.local' });
+            const events = collect(browser);
+            feed(dnssd, printer());
+            assert.strictEqual(events.length, 0);
+        });
+
+        it('should apply the filter', function () {
+            const browser = makeBrowser({ filter: 'Scanner' });
+            const events = collect(browser);
+            feed(dnssd, printer());
+            assert.strictEqual(events.length, 0);
+        });
+
+        it('should ignore a goodbye for an unknown service', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer({ ttl: 0 }));
+            assert.strictEqual(events.length, 0);
+            assert.deepStrictEqual(browser.getServices(), []);
+        });
+
+        it('should list the known services', function () {
+            const browser = makeBrowser();
+            feed(dnssd, printer({ instance: 'A' }));
+            feed(dnssd, printer({ instance: 'B' }));
+            const fqdns = browser.getServices().map((d) => d.fqdn).sort();
+            assert.deepStrictEqual(fqdns, ['A._ipp._tcp.local', 'B._ipp._tcp.local']);
+        });
+
+        it('should emit serviceUp for each instance in one response', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            const a = printer({ instance: 'Queue A', port: 631 });
+            const b = printer({ instance: 'Queue B', port: 632 });
+            feed(dnssd, response(a.answers.concat(b.answers), {
+                additionals: a.additionals.concat(b.additionals)
+            }));
+            assert.deepStrictEqual(events.map((e) => [e.name, e.device.fqdn, e.device.service.port]), [
+                ['serviceUp', 'Queue A._ipp._tcp.local', 631],
+                ['serviceUp', 'Queue B._ipp._tcp.local', 632]
+            ]);
+        });
+    });
+
+    describe('Cached Answers', function () {
+        it('should emit serviceUp for the services in the cache on start()', async function () {
+            dnssd.cache.addPacket(printer());
+            const browser = dnssd.createBrowser({ name: '_ipp._tcp.local' });
+            const events = collect(browser);
+            await browser.start();
+            await browser.stop();
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp']);
+            assert.strictEqual(events[0].device.fqdn, 'Printer._ipp._tcp.local');
+            assert.strictEqual(events[0].device.service.port, 631);
+        });
+    });
+
+    describe('serviceUpdated', function () {
+        it('should emit serviceUpdated when the TXT record changes', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            feed(dnssd, printer({ port: 8631 }));
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp', 'serviceUpdated']);
+            assert.strictEqual(events[1].device.service.port, 8631);
+        });
+
+        it('should apply a cache-flush TXT record sent without the PTR record', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer({ txt: { note: 'Laser' } }));
+            feed(dnssd, response([record('Printer._ipp._tcp.local', 'TXT', { note: 'Laser', ty: 'Color' }, 4500, true)]));
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp', 'serviceUpdated']);
+            const device = events[1].device;
+            assert.strictEqual(device.fqdn, 'Printer._ipp._tcp.local');
+            const merged = dnssd._mergeRecords(device.packets).packet;
+            const txt = merged.answers.concat(merged.additionals).filter((r) => r.type === 'TXT');
+            assert.strictEqual(txt.length, 1);
+            assert.deepStrictEqual(txt[0].rdata, { note: 'Laser', ty: 'Color' });
+        });
+
+        it('should match the instance name case-insensitively', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            feed(dnssd, response([record('PRINTER._ipp._tcp.local', 'TXT', { ty: 'Color' }, 4500, true)]));
+            feed(dnssd, response([record('_ipp._tcp.local', 'PTR', 'PRINTER._ipp._tcp.local', 0)]));
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp', 'serviceUpdated']);
+        });
+
+        it('should not match another instance of the same host', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer({ instance: 'Queue A' }));
+            feed(dnssd, response([record('Queue B._ipp._tcp.local', 'TXT', { ty: 'Color' }, 4500, true)]));
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp']);
+        });
+    });
+
+    describe('serviceDown', function () {
+        it('should emit serviceDown one second after a goodbye', function (done) {
+            this.timeout(3000);
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            const start = Date.now();
+            browser.on('serviceDown', (device) => {
+                assert.ok(Date.now() - start >= 900);
+                assert.strictEqual(device.fqdn, 'Printer._ipp._tcp.local');
+                assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp', 'serviceDown']);
+                assert.deepStrictEqual(browser.getServices(), []);
+                done();
+            });
+            feed(dnssd, printer({ ttl: 0 }));
+        });
+
+        it('should emit serviceDown when the records expire', function (done) {
+            this.timeout(3000);
+            const browser = makeBrowser();
+            feed(dnssd, printer({ ttl: 1 }));
+            browser.on('serviceDown', (device) => {
+                assert.strictEqual(device.fqdn, 'Printer._ipp._tcp.local');
+                done();
+            });
+        });
+
+        it('should not emit serviceDown while the SRV record is in the cache', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            const ptr = record('_ipp._tcp.local', 'PTR', 'Printer._ipp._tcp.local');
+            dnssd.cache._entries.delete(dnssd.cache._createKey(ptr));
+            browser._handleExpiredRecord(ptr);
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp']);
+        });
+
+        it('should match the expired record to the service regardless of case', function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            const ptr = record('_ipp._tcp.local', 'PTR', 'Printer._ipp._tcp.local');
+            const srv = record('Printer._ipp._tcp.local', 'SRV', { priority: 0, weight: 0, port: 631, target: 'printer.local' });
+            dnssd.cache._entries.delete(dnssd.cache._createKey(ptr));
+            dnssd.cache._entries.delete(dnssd.cache._createKey(srv));
+            browser._handleExpiredRecord(record('_ipp._tcp.local', 'PTR', 'PRINTER._ipp._tcp.local'));
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp', 'serviceDown']);
+        });
+
+        it('should not emit serviceDown after stop()', async function () {
+            const browser = makeBrowser();
+            const events = collect(browser);
+            feed(dnssd, printer());
+            browser._is_running = true;
+            await browser.stop();
+            assert.deepStrictEqual(browser.getServices(), []);
+            assert.deepStrictEqual(events.map((e) => e.name), ['serviceUp']);
+        });
+    });
+});
@@ -0,0 +1,281 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-cache.test.js
+ * Unit tests for the record cache (RFC 6762 §10)
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const DnsSdCache = require('../lib/dns-sd-cache.js');
+const { record, response } = require('./helpers.js');
+
+/** Pretend the entries were received `msec` milliseconds earlier. */
+function age(cache, msec) {
+    for (const entry of cache._entries.values()) {
+        entry.received -= msec;
+    }
+}
+
+describe('DnsSdCache', function () {
+    let cache;
+
+    beforeEach(function () {
+        cache = new DnsSdCache();
+    });
+
+    afterEach(function () {
+        cache.clear();
+    });
+
+    describe('addPacket()', function () {
+        it('should store the records of a response', function () {
+            cache.addPacket(response([
+                record('_http._tcp.local', 'PTR', 'A._http._tcp.local'),
+                record('a.local', 'A', '192.168.1.50')
+            ]));
+            assert.strictEqual(cache.size, 2);
+        });
+
+        it('should ignore query packets', function () {
+            const p = response([record('a.local', 'A', '192.168.1.50')]);
+            p.header.qr = 0;
+            cache.addPacket(p);
+            assert.strictEqual(cache.size, 0);
+        });
+
+        it('should key records by name, type, class and rdata', function () {
+            cache.addPacket(response([
+                record('_http._tcp.local', 'PTR', 'A._http._tcp.local'),
+                record('_http._tcp.local', 'PTR', 'B._http._tcp.local'),
+                record('_http._tcp.local', 'PTR', 'A._http._tcp.local')
+            ]));
+            assert.strictEqual(cache.size, 2);
+        });
+
+        it('should treat names case-insensitively', function () {
+            cache.addPacket(response([record('A.local', 'A', '192.168.1.50')]));
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50')]));
+            assert.strictEqual(cache.size, 1);
+        });
+
+        it('should emit "added" only for new records', function () {
+            const added = [];
+            cache.on('added', (r) => added.push(r));
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50')]));
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50')]));
+            assert.strictEqual(added.length, 1);
+        });
+
+        it('should not store a goodbye for an unknown record', function () {
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 0)]));
+            assert.strictEqual(cache.size, 0);
+        });
+    });
+
+    describe('getRecords()', function () {
+        beforeEach(function () {
+            cache.addPacket(response([
+                record('_http._tcp.local', 'PTR', 'A._http._tcp.local', 4500),
+                record('A._http._tcp.local', 'SRV', { priority: 0, weight: 0, port: 80, target: 'a.local' }),
+                record('a.local', 'A', '192.168.1.50')
+            ]));
+        });
+
+        it('should return all records without a query', function () {
+            assert.strictEqual(cache.getRecords().length, 3);
+        });
+
+        it('should filter by name and type', function () {
+            const list = cache.getRecords({ name: '_HTTP._tcp.local', type: 'PTR' });
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0].rdata, 'A._http._tcp.local');
+        });
+
+        it('should filter by rdata', function () {
+            const list = cache.getRecords({ rdata: '192.168.1.50' });
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0].type, 'A');
+        });
+
+        it('should report the remaining TTL', function () {
+            age(cache, 0);
+            for (const entry of cache._entries.values()) {
+                entry.expires -= 20000;
+            }
+            const list = cache.getRecords({ type: 'PTR' });
+            assert.strictEqual(list[0].ttl, 4480);
+        });
+    });
+
+    describe('getKnownAnswers()', function () {
+        beforeEach(function () {
+            cache.addPacket(response([
+                record('_http._tcp.local', 'PTR', 'A._http._tcp.local', 100),
+                record('_http._tcp.local', 'PTR', 'B._http._tcp.local', 100),
+                record('a.local', 'A', '192.168.1.50', 100)
+            ]));
+        });
+
+        it('should return the records answering the question', function () {
+            const list = cache.getKnownAnswers({ name: '_http._tcp.local', type: 'PTR' });
+            assert.strictEqual(list.length, 2);
+        });
+
+        it('should treat a missing type as ANY', function () {
+            assert.strictEqual(cache.getKnownAnswers({ name: 'a.local' }).length, 1);
+        });
+
+        it('should leave out records below half of their TTL (RFC 6762 §7.1)', function () {
+            for (const entry of cache._entries.values()) {
+                if (entry.record.rdata === 'B._http._tcp.local') {
+                    entry.expires -= 60000;
+                }
+            }
+            const list = cache.getKnownAnswers({ name: '_http._tcp.local', type: 'PTR' });
+            assert.deepStrictEqual(list.map((r) => r.rdata), ['A._http._tcp.local']);
+        });
+    });
+
+    describe('dump()', function () {
+        it('should list every entry with its timing information', function () {
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 120)]));
+            const list = cache.dump();
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0].name, 'a.local');
+            assert.strictEqual(list[0].ttl, 120);
+            assert.strictEqual(list[0].remaining, 120);
+            assert.strictEqual(list[0].address, '192.168.1.50');
+            assert.ok(list[0].received instanceof Date);
+            assert.ok(list[0].expires instanceof Date);
+        });
+
+        it('should keep the interface the packet arrived on', function () {
+            cache.addPacket(Object.assign(response([record('a.local', 'A', '192.168.1.50')]), { interface: 'eth0' }));
+            cache.addPacket(response([record('b.local', 'A', '192.168.1.51')]));
+            const list = cache.dump();
+            assert.strictEqual(list[0].interface, 'eth0');
+            assert.strictEqual(list[1].interface, null);
+        });
+    });
+
+    describe('Expiry', function () {
+        it('should expire a record when its TTL runs out', function (done) {
+            this.timeout(3000);
+            cache.on('expired', (r) => {
+                assert.strictEqual(r.name, 'a.local');
+                assert.strictEqual(cache.size, 0);
+                done();
+            });
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 1)]));
+        });
+
+        it('should remove a record one second after a goodbye (TTL=0)', function (done) {
+            this.timeout(3000);
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 120)]));
+            const start = Date.now();
+            cache.on('expired', () => {
+                assert.ok(Date.now() - start >= 900);
+                assert.strictEqual(cache.size, 0);
+                done();
+            });
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 0)]));
+            assert.strictEqual(cache.size, 1);
+        });
+
+        it('should expire the records in the order of their expiry time', function (done) {
+            this.timeout(3000);
+            const names = [];
+            cache.on('expired', (r) => {
+                names.push(r.name);
+                if (names.length === 3) {
+                    assert.deepStrictEqual(names, ['b.local', 'a.local', 'c.local']);
+                    assert.strictEqual(cache.size, 1);
+                    done();
+                }
+            });
+            cache.addPacket(response([
+                record('a.local', 'A', '192.168.1.50', 120),
+                record('b.local', 'A', '192.168.1.51', 1),
+                record('c.local', 'A', '192.168.1.52', 120),
+                record('d.local', 'A', '192.168.1.53', 120)
+            ]));
+            // Goodbyes for a.local then c.local
+            setTimeout(() => {
+                cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 0)]));
+            }, 20);
+            setTimeout(() => {
+                cache.addPacket(response([record('c.local', 'A', '192.168.1.52', 0)]));
+            }, 50);
+        });
+
+        it('should cut a TTL down to one day', function () {
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 0xffffffff)]));
+            const entry = cache.dump()[0];
+            assert.strictEqual(entry.ttl, 86400);
+            assert.strictEqual(entry.remaining, 86400);
+            assert.strictEqual(cache.getKnownAnswers({ name: 'a.local', type: 'A' }).length, 1);
+        });
+
+        it('should make room by removing the record which expires first', function () {
+            const expired = [];
+            cache.on('expired', (r) => expired.push(r.name));
+            const records = [];
+            for (let i = 0; i < 4096; i++) {
+                records.push(record('h' + i + '.local', 'A', '192.168.1.50', (i === 100) ? 60 : 120));
+            }
+            cache.addPacket(response(records));
+            assert.strictEqual(cache.size, 4096);
+            cache.addPacket(response([record('new.local', 'A', '192.168.1.60')]));
+            assert.strictEqual(cache.size, 4096);
+            assert.deepStrictEqual(expired, ['h100.local']);
+            assert.strictEqual(cache.getRecords({ name: 'new.local' }).length, 1);
+        });
+
+        it('should not emit "expired" on clear()', function () {
+            let fired = false;
+            cache.on('expired', () => { fired = true; });
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50')]));
+            cache.clear();
+            assert.strictEqual(cache.size, 0);
+            assert.strictEqual(fired, false);
+        });
+    });
+
+    describe('Cache-flush (RFC 6762 §10.2)', function () {
+        it('should expire older records of the same set one second later', function () {
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 120, true)]));
+            age(cache, 2000);
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.60', 120, true)]));
+            const old = cache.dump().find((e) => e.rdata === '192.168.1.50');
+            const cur = cache.dump().find((e) => e.rdata === '192.168.1.60');
+            assert.ok(old.remaining <= 1);
+            assert.strictEqual(cur.remaining, 120);
+        });
+
+        it('should keep records received within the last second', function () {
+            // A responder may split a record set over several packets
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.50', 120, true)]));
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.60', 120, true)]));
+            for (const e of cache.dump()) {
+                assert.strictEqual(e.remaining, 120);
+            }
+        });
+
+        it('should not flush records of other types', function () {
+            cache.addPacket(response([record('a.local', 'AAAA', 'fe80:0000:0000:0000:0000:0000:0000:0001', 120, true)]));
+            age(cache, 2000);
+            cache.addPacket(response([record('a.local', 'A', '192.168.1.60', 120, true)]));
+            for (const e of cache.dump()) {
+                assert.strictEqual(e.remaining, 120);
+            }
+        });
+
+        it('should not flush without the cache-flush bit', function () {
+            cache.addPacket(response([record('_http._tcp.local', 'PTR', 'A._http._tcp.local')]));
+            age(cache, 2000);
+            cache.addPacket(response([record('_http._tcp.local', 'PTR', 'B._http._tcp.local')]));
+            for (const e of cache.dump()) {
+                assert.strictEqual(e.remaining, 120);
+            }
+        });
+    });
+});
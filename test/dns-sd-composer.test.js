@@ -169,6 +169,22 @@ describe('DnsSdComposer', function () {
             const classCode = buf.readUInt16BE(26);
             assert.strictEqual(classCode, 1); // IN class
         });
+
+        it('should set the query ID (RFC 6762 §6.7)', function () {
+            const buf = composer.compose({
+                name: ['test.local'],
+                id: 0x1234
+            });
+            assert.strictEqual(buf.readUInt16BE(0), 0x1234);
+        });
+
+        it('should set the QU bit if unicastResponse is true (RFC 6762 §5.4)', function () {
+            const buf = composer.compose({
+                name: ['test.local'],
+                unicastResponse: true
+            });
+            assert.strictEqual(buf.readUInt16BE(26), 0x8001);
+        });
     });
 
     describe('UTF-8 Handling', function () {
@@ -189,4 +205,119 @@ describe('DnsSdComposer', function () {
             assert.strictEqual(buf.readUInt8(12), 5);
         });
     });
+
+    describe('Known-Answer Section (RFC 6762 §7.1)', function () {
+        const parser = require('../lib/dns-sd-parser.js');
+
+        const answers = [
+            { name: '_http._tcp.local', type: 'PTR', class: 'IN', ttl: 4000, rdata: 'My Server._http._tcp.local' },
+            { name: 'My Server._http._tcp.local', type: 'SRV', class: 'IN', ttl: 100, rdata: { priority: 0, weight: 0, port: 8080, target: 'server.local' } },
+            { name: 'My Server._http._tcp.local', type: 'TXT', class: 'IN', ttl: 4000, rdata: { path: '/' } },
+            { name: 'server.local', type: 'A', class: 'IN', ttl: 100, rdata: '192.168.1.10' },
+            { name: 'server.local', type: 'AAAA', class: 'IN', ttl: 100, rdata: 'fe80:0000:0000:0000:0000:0000:0000:0001' }
+        ];
+
+        it('should set ANCOUNT to the number of known answers', function () {
+            const buf = composer.compose({ name: ['_http._tcp.local'], type: 'PTR', answers: answers });
+            assert.strictEqual(buf.readUInt16BE(4), 1);
+            assert.strictEqual(buf.readUInt16BE(6), answers.length);
+        });
+
+        it('should encode records which the parser reads back', function () {
+            const buf = composer.compose({ name: ['_http._tcp.local'], type: 'PTR', answers: answers });
+            const p = parser.parse(buf);
+            assert.ok(p);
+            assert.strictEqual(p.questions[0].name, '_http._tcp.local');
+            assert.strictEqual(p.answers.length, answers.length);
+            for (let i = 0; i < answers.length; i++) {
+                assert.strictEqual(p.answers[i].name, answers[i].name);
+                assert.strictEqual(p.answers[i].type, answers[i].type);
+                assert.strictEqual(p.answers[i].ttl, answers[i].ttl);
+                assert.deepStrictEqual(p.answers[i].rdata, answers[i].rdata);
+            }
+        });
+
+        it('should not set the cache-flush bit on known answers', function () {
+            const buf = composer.compose({ name: ['_http._tcp.local'], answers: answers.slice(3, 4) });
+            const p = parser.parse(buf);
+            assert.strictEqual(p.answers[0].flash, false);
+        });
+
+        it('should use rdata_buffer for the TXT values when available', function () {
+            const txt = {
+                name: 'x._http._tcp.local', type: 'TXT', class: 'IN', ttl: 100,
+                rdata: { bin: '\ufffd' },
+                rdata_buffer: { bin: Buffer.from([0xff]) }
+            };
+            const buf = composer.compose({ name: ['_http._tcp.local'], answers: [txt] });
+            const p = parser.parse(buf);
+            assert.deepStrictEqual(p.answers[0].rdata_buffer.bin, Buffer.from([0xff]));
+        });
+
+        it('should encode a boolean TXT attribute as the key without "=" (RFC 6763 §6.4)', function () {
+            const txt = {
+                name: 'x._http._tcp.local', type: 'TXT', class: 'IN', ttl: 100,
+                rdata: { color: '', duplex: true, empty: '' },
+                rdata_buffer: { color: null, empty: Buffer.alloc(0) }
+            };
+            const buf = composer.compose({ name: ['_http._tcp.local'], answers: [txt] });
+            const rdata = buf.subarray(buf.length - 20);
+            assert.deepStrictEqual(rdata, Buffer.from('\x05color\x06duplex\x06empty=', 'latin1'));
+            const p = parser.parse(buf);
+            assert.deepStrictEqual(p.answers[0].rdata, { color: '', duplex: '', empty: '' });
+            assert.strictEqual(p.answers[0].rdata_buffer.color, null);
+            assert.deepStrictEqual(p.answers[0].rdata_buffer.empty, Buffer.alloc(0));
+        });
+
+        it('should throw on a TXT attribute longer than 255 bytes (RFC 6763 §6.1)', function () {
+            const txt = { name: 'x._http._tcp.local', type: 'TXT', class: 'IN', ttl: 100, rdata: { k: 'v'.repeat(254) } };
+            assert.throws(() => {
+                composer.compose({ name: ['_http._tcp.local'], answers: [txt] });
+            }, /255/);
+            txt.rdata.k = 'v'.repeat(253);
+            assert.ok(composer.compose({ name: ['_http._tcp.local'], answers: [txt] }));
+        });
+
+        it('should omit known answers which do not fit in one packet', function () {
+            const many = [];
+            for (let i = 0; i < 100; i++) {
+                many.push({ name: '_http._tcp.local', type: 'PTR', class: 'IN', ttl: 4000, rdata: `Server ${i}._http._tcp.local` });
+            }
+            const buf = composer.compose({ name: ['_http._tcp.local'], answers: many });
+            assert.ok(buf.length <= 1472);
+            assert.ok(buf.readUInt16BE(6) < many.length);
+            assert.ok(parser.parse(buf));
+        });
+
+        it('should send the known answers which do not fit in more packets with the TC bit (RFC 6762 §7.2)', function () {
+            const many = [];
+            for (let i = 0; i < 100; i++) {
+                many.push({ name: '_http._tcp.local', type: 'PTR', class: 'IN', ttl: 4000, rdata: `Server ${i}._http._tcp.local` });
+            }
+            const bufs = composer.composeList({ name: ['_http._tcp.local'], type: 'PTR', answers: many });
+            assert.ok(bufs.length > 1);
+            assert.deepStrictEqual(bufs[0], composer.compose({ name: ['_http._tcp.local'], type: 'PTR', answers: many }).fill(0x02, 2, 3));
+            const rdata = [];
+            bufs.forEach((buf, i) => {
+                assert.ok(buf.length <= 1472);
+                const p = parser.parse(buf);
+                assert.strictEqual(p.header.tc, (i < bufs.length - 1) ? 1 : 0);
+                assert.strictEqual(p.questions.length, (i === 0) ? 1 : 0);
+                p.answers.forEach((r) => rdata.push(r.rdata));
+            });
+            assert.deepStrictEqual(rdata, many.map((r) => r.rdata));
+        });
+
+        it('should compose one packet without the TC bit if the known answers fit', function () {
+            const bufs = composer.composeList({ name: ['_http._tcp.local'], type: 'PTR', answers: answers });
+            assert.strictEqual(bufs.length, 1);
+            assert.deepStrictEqual(bufs[0], composer.compose({ name: ['_http._tcp.local'], type: 'PTR', answers: answers }));
+        });
+
+        it('should throw on an unknown record type', function () {
+            assert.throws(() => {
+                composer.compose({ name: ['test.local'], answers: [{ name: 'test.local', type: 'FOO', ttl: 1, rdata: '' }] });
+            }, /unknown/i);
+        });
+    });
 });
@@ -0,0 +1,131 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-filter.test.js
+ * Unit tests for the filter objects
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const mDnsSdFilter = require('../lib/dns-sd-filter.js');
+
+const device = {
+    address: '192.168.1.50',
+    addresses: [
+        { address: '192.168.1.50', family: 4, interface: 'eth0', scopeid: null },
+        { address: 'fe80:0000:0000:0000:0000:0000:0000:0050', family: 6, interface: 'eth0', scopeid: 2 }
+    ],
+    fqdn: 'Office Printer._ipp._tcp.local',
+    modelName: 'LaserJet 400',
+    familyName: null,
+    manufacturer: 'HP',
+    service: { port: 631, protocol: 'tcp', type: 'ipp', subtypes: [] },
+    interface: 'eth0',
+    packets: []
+};
+
+const txt = { ty: 'HP LaserJet 400', pdl: 'application/pdf,image/urf', Color: 'T' };
+
+function match(filter) {
+    assert.strictEqual(mDnsSdFilter.check(filter), null);
+    return mDnsSdFilter.match(filter, device, txt);
+}
+
+describe('DnsSdFilter', function () {
+    describe('match()', function () {
+        it('should match everything with an empty filter', function () {
+            assert.strictEqual(match({}), true);
+        });
+
+        it('should match the TXT keys case-insensitively and the values exactly', function () {
+            assert.strictEqual(match({ txt: { color: 'T' } }), true);
+            assert.strictEqual(match({ txt: { Color: 't' } }), false);
+            assert.strictEqual(match({ txt: { missing: 'T' } }), false);
+        });
+
+        it('should match the TXT values by regex', function () {
+            assert.strictEqual(match({ txt: { pdl: { regex: 'PDF', flags: 'i' } } }), true);
+            assert.strictEqual(match({ txt: { pdl: /pwg-raster/ } }), false);
+        });
+
+        it('should match the presence and the absence of TXT keys', function () {
+            assert.strictEqual(match({ txt: { ty: true, duplex: false } }), true);
+            assert.strictEqual(match({ txt: { ty: false } }), false);
+        });
+
+        it('should match a port or a port range', function () {
+            assert.strictEqual(match({ port: 631 }), true);
+            assert.strictEqual(match({ port: { min: 600, max: 700 } }), true);
+            assert.strictEqual(match({ port: { min: 632 } }), false);
+        });
+
+        it('should match the protocol and the service type case-insensitively', function () {
+            assert.strictEqual(match({ protocol: 'TCP', type: '_IPP' }), true);
+            assert.strictEqual(match({ protocol: 'udp' }), false);
+        });
+
+        it('should match the instance label by glob', function () {
+            assert.strictEqual(match({ instance: 'office*' }), true);
+            assert.strictEqual(match({ instance: 'Office Printe?' }), true);
+            assert.strictEqual(match({ instance: 'Office' }), false);
+            assert.strictEqual(match({ instance: '*.*' }), false);
+        });
+
+        it('should compare only the ASCII letters case-insensitively', function () {
+            const d = Object.assign({}, device, { fqdn: 'Ärzte._http._tcp.local' });
+            assert.strictEqual(mDnsSdFilter.match({ instance: 'ärzte' }, d, {}), false);
+            assert.strictEqual(mDnsSdFilter.match({ instance: 'ÄRZTE' }, d, {}), true);
+        });
+
+        it('should match the addresses by CIDR', function () {
+            assert.strictEqual(match({ address: '192.168.1.0/24' }), true);
+            assert.strictEqual(match({ address: ['10.0.0.0/8', 'fe80::/10'] }), true);
+            assert.strictEqual(match({ address: '192.168.1.51' }), false);
+        });
+
+        it('should match the model name', function () {
+            assert.strictEqual(match({ modelName: 'LaserJet 400' }), true);
+            assert.strictEqual(match({ modelName: { regex: '^laserjet', flags: 'i' }, manufacturer: 'HP' }), true);
+            assert.strictEqual(match({ familyName: 'Office' }), false);
+        });
+
+        it('should combine the filters with and, or and not', function () {
+            assert.strictEqual(match({ or: [{ port: 80 }, { port: 631 }] }), true);
+            assert.strictEqual(match({ and: [{ port: 631 }, { not: { txt: { Color: 'T' } } }] }), false);
+            assert.strictEqual(match({ not: { address: '10.0.0.0/8' }, type: 'ipp' }), true);
+        });
+
+        it('should not match the service conditions of a device without a service', function () {
+            const d = Object.assign({}, device, { service: null });
+            assert.strictEqual(mDnsSdFilter.match({ port: 631 }, d, {}), false);
+            assert.strictEqual(mDnsSdFilter.match({ not: { port: 631 } }, d, {}), true);
+        });
+
+        it('should work with a filter parsed from JSON', function () {
+            const filter = JSON.parse('{"type":"ipp","txt":{"pdl":{"regex":"pdf"}},"port":{"min":1,"max":1024}}');
+            assert.strictEqual(match(filter), true);
+        });
+    });
+
+    describe('check()', function () {
+        const invalid = [
+            [[], /object/],
+            [{ unknown: 1 }, /unknown/],
+            [{ and: [] }, /and/],
+            [{ or: [{ port: 'x' }] }, /port/],
+            [{ not: 'x' }, /object/],
+            [{ txt: 'x' }, /txt/],
+            [{ txt: { a: 1 } }, /txt\.a/],
+            [{ port: 70000 }, /port/],
+            [{ port: { from: 1 } }, /port/],
+            [{ protocol: '' }, /protocol/],
+            [{ instance: 1 }, /instance/],
+            [{ modelName: { regex: '(' } }, /invalid regex/],
+            [{ address: '192.168.1.0/33' }, /address/],
+            [{ address: 'printer.local' }, /address/]
+        ];
+        for (const [filter, re] of invalid) {
+            it('should reject ' + JSON.stringify(filter), function () {
+                assert.match(mDnsSdFilter.check(filter), re);
+            });
+        }
+    });
+});
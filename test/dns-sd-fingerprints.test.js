@@ -0,0 +1,134 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-fingerprints.test.js
+ * Unit tests for the fingerprint plugin registry
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const { DnsSd } = require('../lib/dns-sd.js');
+const DnsSdFingerprints = require('../lib/dns-sd-fingerprints.js');
+const { record, announcement } = require('./helpers.js');
+
+function identify(dnssd, packet) {
+    const o = dnssd._createDeviceObject(packet);
+    return { modelName: o.modelName, familyName: o.familyName, manufacturer: o.manufacturer };
+}
+
+describe('DnsSdFingerprints', function () {
+    let dnssd;
+
+    beforeEach(function () {
+        dnssd = new DnsSd();
+    });
+
+    describe('Registry', function () {
+        it('should list the built-in plugins', function () {
+            assert.deepStrictEqual(new DnsSdFingerprints().list(), [
+                'apple-tv', 'googlecast', 'philips-hue', 'canon', 'sonos',
+                'airplay', 'homekit', 'printer', 'apple-host', 'instance-name'
+            ]);
+        });
+
+        it('should call an added plugin before the built-in ones', function () {
+            dnssd.fingerprints.add('acme', (info) => {
+                return (info.service.type === 'googlecast') ? { modelName: 'ACME Cast' } : null;
+            });
+            assert.strictEqual(dnssd.fingerprints.list()[0], 'acme');
+            const res = identify(dnssd, announcement({ service: '_googlecast._tcp.local', instance: 'TV', txt: { md: 'Chromecast', fn: 'Living Room' } }));
+            assert.deepStrictEqual(res, { modelName: 'ACME Cast', familyName: 'Living Room', manufacturer: 'Google' });
+        });
+
+        it('should replace a plugin with the same name', function () {
+            dnssd.fingerprints.add('acme', () => ({ modelName: 'A' }));
+            dnssd.fingerprints.add('acme', () => ({ modelName: 'B' }));
+            assert.strictEqual(dnssd.fingerprints.list().filter((name) => name === 'acme').length, 1);
+            assert.strictEqual(identify(dnssd, announcement({ service: '_http._tcp.local', instance: 'Web', txt: {} })).modelName, 'B');
+        });
+
+        it('should remove a built-in plugin', function () {
+            assert.strictEqual(dnssd.fingerprints.remove('googlecast'), true);
+            assert.strictEqual(dnssd.fingerprints.remove('googlecast'), false);
+            const res = identify(dnssd, announcement({ service: '_googlecast._tcp.local', instance: 'TV', txt: { md: 'Chromecast', fn: 'Living Room' } }));
+            assert.strictEqual(res.modelName, null);
+        });
+
+        it('should skip a plugin which throws', function () {
+            dnssd.fingerprints.add('broken', () => {
+                throw new Error('broken');
+            });
+            const res = identify(dnssd, announcement({ service: '_googlecast._tcp.local', instance: 'TV', txt: { md: 'Chromecast' } }));
+            assert.strictEqual(res.modelName, 'Chromecast');
+        });
+
+        it('should ignore the fields which are not non-empty strings', function () {
+            dnssd.fingerprints.add('acme', () => ({ modelName: '', familyName: 1, manufacturer: 'ACME', address: 'x' }));
+            const res = dnssd.fingerprints.identify({ fqdn: null, instance: null, service: null, host: null, txt: {}, records: {} });
+            assert.deepStrictEqual(res, { modelName: null, familyName: null, manufacturer: 'ACME' });
+        });
+
+        it('should reject an invalid plugin', function () {
+            assert.throws(() => dnssd.fingerprints.add('', () => null), /name/);
+            assert.throws(() => dnssd.fingerprints.add('acme', {}), /fn/);
+        });
+    });
+
+    describe('Built-in plugins', function () {
+        it('should identify a Chromecast', function () {
+            const res = identify(dnssd, announcement({ service: '_googlecast._tcp.local', instance: 'Chromecast-abc', txt: { md: 'Chromecast', fn: 'Living Room' } }));
+            assert.deepStrictEqual(res, { modelName: 'Chromecast', familyName: 'Living Room', manufacturer: 'Google' });
+        });
+
+        it('should identify an Apple TV by its device info', function () {
+            const packet = announcement({ service: '_airplay._tcp.local', instance: 'Apple TV', txt: { model: 'AppleTV6,2' } });
+            packet.additionals.unshift(record('Apple TV._device-info._tcp.local', 'TXT', { model: 'J105aAP' }));
+            packet.additionals.unshift(record('Apple TV._airplay._tcp.local', 'TXT', { model: 'AppleTV6,2' }));
+            const res = identify(dnssd, packet);
+            assert.deepStrictEqual(res, { modelName: 'Apple TV J105aAP', familyName: 'Apple TV', manufacturer: 'Apple' });
+        });
+
+        it('should identify a Philips hue bridge', function () {
+            const res = identify(dnssd, announcement({ service: '_hue._tcp.local', instance: 'Philips hue - 1A2B3C', txt: { md: 'BSB002' } }));
+            assert.deepStrictEqual(res, { modelName: 'Philips hue BSB002', familyName: null, manufacturer: 'Philips' });
+        });
+
+        it('should identify a Canon printer', function () {
+            const res = identify(dnssd, announcement({ service: '_ipp._tcp.local', instance: 'Canon MF643C', txt: { ty: 'Canon MF643C/MF641C' } }));
+            assert.deepStrictEqual(res, { modelName: 'Canon MF643C/MF641C', familyName: 'Canon MF643C', manufacturer: 'Canon' });
+        });
+
+        it('should identify a Sonos speaker', function () {
+            const res = identify(dnssd, announcement({ service: '_sonos._tcp.local', instance: 'RINCON_B8E9373A1B2C@Kitchen', txt: {} }));
+            assert.deepStrictEqual(res, { modelName: 'Sonos', familyName: 'Kitchen', manufacturer: 'Sonos' });
+        });
+
+        it('should identify an AirPlay receiver', function () {
+            const res = identify(dnssd, announcement({ service: '_airplay._tcp.local', instance: 'Kitchen', txt: { model: 'Five', manufacturer: 'Sonos' } }));
+            assert.deepStrictEqual(res, { modelName: 'Five', familyName: 'Kitchen', manufacturer: 'Sonos' });
+        });
+
+        it('should identify a RAOP receiver', function () {
+            const res = identify(dnssd, announcement({ service: '_raop._tcp.local', instance: 'A1B2C3D4E5F6@HomePod', txt: { am: 'AudioAccessory5,1' } }));
+            assert.deepStrictEqual(res, { modelName: 'AudioAccessory5,1', familyName: 'HomePod', manufacturer: 'Apple' });
+        });
+
+        it('should identify a HomeKit accessory', function () {
+            const res = identify(dnssd, announcement({ service: '_hap._tcp.local', instance: 'Desk Lamp', txt: { md: 'Eve Light Strip', ci: '5' } }));
+            assert.deepStrictEqual(res, { modelName: 'Eve Light Strip', familyName: 'Desk Lamp', manufacturer: null });
+        });
+
+        it('should identify an IPP printer', function () {
+            const res = identify(dnssd, announcement({ service: '_ipp._tcp.local', instance: 'Office', txt: { product: '(HP LaserJet 400)', usb_MFG: 'HP' } }));
+            assert.deepStrictEqual(res, { modelName: 'HP LaserJet 400', familyName: 'Office', manufacturer: 'HP' });
+        });
+
+        it('should identify an Apple TV by its host name', function () {
+            const res = identify(dnssd, announcement({ service: '_http._tcp.local', instance: 'web', txt: {}, host: 'Apple-TV.local' }));
+            assert.deepStrictEqual(res, { modelName: 'Apple TV', familyName: null, manufacturer: 'Apple' });
+        });
+
+        it('should take an instance label with spaces as the model name', function () {
+            const res = identify(dnssd, announcement({ service: '_http._tcp.local', instance: 'My Device', txt: {} }));
+            assert.deepStrictEqual(res, { modelName: 'My Device', familyName: null, manufacturer: null });
+        });
+    });
+});
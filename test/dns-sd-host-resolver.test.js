@@ -0,0 +1,162 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-host-resolver.test.js
+ * Unit tests for DnsSd.lookup() and DnsSdHostResolver
+ *
+ * Packets are fed directly to the record cache and the resolvers, no
+ * socket is opened.
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const { record, response, createDnsSd, feed, listQuestions } = require('./helpers.js');
+
+const A = record('printer.local', 'A', '192.168.1.50', 120, true);
+const AAAA = record('printer.local', 'AAAA', 'fd00::50', 120, true);
+
+function lookup(dnssd, hostname, options) {
+    return new Promise((resolve) => {
+        dnssd.lookup(hostname, options, (error, address, family) => {
+            resolve({ error, address, family });
+        });
+    });
+}
+
+// ===========================================================================
+describe('DnsSdHostResolver', function () {
+    let dnssd = null;
+
+    beforeEach(function () {
+        dnssd = createDnsSd({ wait: 1 });
+    });
+
+    afterEach(function () {
+        dnssd._query_scheduler.stop();
+        dnssd.cache.clear();
+    });
+
+    describe('Parameter Validation', function () {
+        it('should throw without a callback', function () {
+            assert.throws(() => dnssd.lookup('printer.local', {}), TypeError);
+        });
+
+        it('should throw on an invalid hostname', function () {
+            assert.throws(() => dnssd.lookup('', () => { }), /hostname/);
+            assert.throws(() => dnssd.lookup(1, () => { }), /hostname/);
+        });
+
+        it('should throw on an invalid family', function () {
+            assert.throws(() => dnssd.lookup('printer.local', 5, () => { }), /family/);
+            assert.throws(() => dnssd.lookup('printer.local', { family: 'IPv5' }, () => { }), /family/);
+        });
+
+        it('should accept the family as a number or a string', function () {
+            assert.strictEqual(dnssd._checkLookupParameters('a.local', 6).params.family, 6);
+            assert.strictEqual(dnssd._checkLookupParameters('a.local', { family: 'IPv4' }).params.family, 4);
+            assert.deepStrictEqual(dnssd._checkLookupParameters('a.local').params, { family: 0, all: false });
+        });
+    });
+
+    describe('lookup()', function () {
+        it('should be usable without the object', async function () {
+            feed(dnssd, response([A]));
+            const fn = dnssd.lookup;
+            const res = await lookup({ lookup: fn }, 'printer.local', {});
+            assert.strictEqual(res.address, '192.168.1.50');
+        });
+
+        it('should accept the callback as the second argument', function (done) {
+            feed(dnssd, response([A]));
+            dnssd.lookup('printer.local', (error, address, family) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(address, '192.168.1.50');
+                assert.strictEqual(family, 4);
+                done();
+            });
+        });
+
+        it('should prefer the IPv4 address', async function () {
+            feed(dnssd, response([AAAA, A]));
+            const res = await lookup(dnssd, 'Printer.local.', {});
+            assert.strictEqual(res.address, '192.168.1.50');
+            assert.strictEqual(res.family, 4);
+        });
+
+        it('should return the address of the requested family', async function () {
+            feed(dnssd, response([A, AAAA]));
+            const res = await lookup(dnssd, 'printer.local', { family: 6 });
+            assert.strictEqual(res.address, 'fd00::50');
+            assert.strictEqual(res.family, 6);
+        });
+
+        it('should return all addresses', async function () {
+            feed(dnssd, response([A, AAAA]));
+            const res = await lookup(dnssd, 'printer.local', { all: true });
+            assert.deepStrictEqual(res.address, [
+                { address: '192.168.1.50', family: 4 },
+                { address: 'fd00::50', family: 6 }
+            ]);
+        });
+
+        it('should query the addresses which are not cached', async function () {
+            const promise = lookup(dnssd, 'printer.local', { family: 4 });
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(listQuestions(dnssd), ['printer.local A']);
+            feed(dnssd, response([A]));
+            const res = await promise;
+            assert.strictEqual(res.address, '192.168.1.50');
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+            assert.strictEqual(dnssd._resolvers.size, 0);
+        });
+
+        it('should pass an ENOTFOUND error when no address is found', async function () {
+            this.timeout(3000);
+            const res = await lookup(dnssd, 'printer.local', {});
+            assert.strictEqual(res.error.code, 'ENOTFOUND');
+            assert.strictEqual(res.error.hostname, 'printer.local');
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+        });
+
+        it('should compress an IPv6 address and add the zone of a link-local one', async function () {
+            dnssd._updateNetifList = () => { };
+            dnssd._netif_info_list = [{ name: 'eth0', family: 'IPv6', address: 'fe80::2', scopeid: 2 }];
+            const packet = response([
+                record('printer.local', 'AAAA', 'fe80:0000:0000:0000:0000:0000:0000:0050', 120, true),
+                record('printer.local', 'AAAA', 'fd00:0000:0000:0000:0000:0000:0000:0050', 120, true)
+            ], { address: 'fe80::50%eth0' });
+            packet.interface = 'eth0';
+            dnssd.cache.addPacket(packet);
+            const res = await lookup(dnssd, 'printer.local', { all: true });
+            const zone = (process.platform === 'win32') ? '2' : 'eth0';
+            assert.deepStrictEqual(res.address, [
+                { address: 'fe80::50%' + zone, family: 6 },
+                { address: 'fd00::50', family: 6 }
+            ]);
+        });
+
+        it('should call the callback once even if it throws', function (done) {
+            feed(dnssd, response([A]));
+            const listeners = process.listeners('uncaughtException');
+            process.removeAllListeners('uncaughtException');
+            let calls = 0;
+            process.once('uncaughtException', (error) => {
+                listeners.forEach((fn) => process.on('uncaughtException', fn));
+                assert.strictEqual(error.message, 'thrown by the callback');
+                setImmediate(() => {
+                    assert.strictEqual(calls, 1);
+                    done();
+                });
+            });
+            dnssd.lookup('printer.local', () => {
+                calls++;
+                throw new Error('thrown by the callback');
+            });
+        });
+
+        it('should pass other host names to dns.lookup()', async function () {
+            const res = await lookup(dnssd, '127.0.0.1', { all: true });
+            assert.strictEqual(res.error, null);
+            assert.deepStrictEqual(res.address, [{ address: '127.0.0.1', family: 4 }]);
+            assert.strictEqual(dnssd._resolvers.size, 0);
+        });
+    });
+});
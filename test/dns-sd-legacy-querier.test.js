@@ -0,0 +1,141 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-legacy-querier.test.js
+ * Unit tests for the legacy querier (RFC 6762 §6.7)
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const { DnsSd } = require('../lib/dns-sd.js');
+const DnsSdLegacyQuerier = require('../lib/dns-sd-legacy-querier.js');
+
+// test.local A 192.168.1.1 (TTL 10)
+function response(id) {
+    const buf = Buffer.from([
+        0x00, 0x00, 0x84, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00,
+        0x04, 0x74, 0x65, 0x73, 0x74, 0x05, 0x6c, 0x6f, 0x63, 0x61, 0x6c, 0x00,
+        0x00, 0x01, 0x00, 0x01, 0x00, 0x00, 0x00, 0x0a, 0x00, 0x04,
+        0xc0, 0xa8, 0x01, 0x01
+    ]);
+    buf.writeUInt16BE(id, 0);
+    return buf;
+}
+
+describe('DnsSdLegacyQuerier', function () {
+    let dnssd, querier;
+
+    beforeEach(function () {
+        dnssd = new DnsSd();
+        querier = new DnsSdLegacyQuerier(dnssd);
+        querier.sent = [];
+        querier._sendQueryPacket = (name_list, type) => {
+            querier.sent.push({ name: name_list, type: type });
+            return Promise.resolve();
+        };
+    });
+
+    afterEach(async function () {
+        await querier.close();
+        dnssd.cache.clear();
+    });
+
+    describe('Query ID', function () {
+        it('should use a non-zero query ID', function () {
+            assert.ok(querier._id >= 1 && querier._id <= 0xffff);
+        });
+    });
+
+    describe('open() / close()', function () {
+        it('should bind an ephemeral port instead of 5353', async function () {
+            dnssd._netif6_list = [];
+            await querier.open();
+            const port = querier._udp.address().port;
+            assert.ok(port > 0);
+            assert.notStrictEqual(port, 5353);
+            assert.strictEqual(querier._udp6, null);
+            await querier.close();
+            assert.strictEqual(querier._udp, null);
+        });
+    });
+
+    describe('add() / remove()', function () {
+        it('should send the questions at once', function (done) {
+            querier.add(['_http._tcp.local'], 'PTR');
+            setTimeout(() => {
+                assert.deepStrictEqual(querier.sent, [{ name: ['_http._tcp.local'], type: 'PTR' }]);
+                done();
+            }, 20);
+        });
+
+        it('should double the interval after each query', function () {
+            querier.add(['_http._tcp.local'], 'PTR');
+            querier._tick();
+            assert.strictEqual(querier._interval, 2000);
+            querier._tick();
+            assert.strictEqual(querier._interval, 4000);
+            assert.strictEqual(querier.sent.length, 2);
+        });
+
+        it('should send one packet per question type', function () {
+            querier.add(['_http._tcp.local'], 'PTR');
+            querier.add(['host.local'], 'A');
+            querier._tick();
+            assert.deepStrictEqual(querier.sent.map((p) => p.type).sort(), ['A', 'PTR']);
+        });
+
+        it('should stop when every question is removed', function () {
+            querier.add(['_http._tcp.local'], 'PTR');
+            querier.add(['_http._tcp.local'], 'PTR');
+            querier.remove(['_http._tcp.local'], 'PTR');
+            assert.ok(querier._timer);
+            querier.remove(['_http._tcp.local'], 'PTR');
+            assert.strictEqual(querier._timer, null);
+            assert.strictEqual(querier._questions.size, 0);
+        });
+    });
+
+    describe('Answers', function () {
+        it('should take the answers with the query ID', function () {
+            const packets = [];
+            querier.onpacket = (p) => packets.push(p);
+            querier._receivePacket(response(querier._id), { address: '192.168.1.1' });
+            assert.strictEqual(packets.length, 1);
+            assert.strictEqual(packets[0].address, '192.168.1.1');
+            assert.strictEqual(dnssd.cache.getRecords({ name: 'test.local' }).length, 1);
+        });
+
+        it('should ignore the answers to other queries', function () {
+            const packets = [];
+            querier.onpacket = (p) => packets.push(p);
+            querier._receivePacket(response((querier._id % 0xffff) + 1), { address: '192.168.1.1' });
+            assert.strictEqual(packets.length, 0);
+            assert.strictEqual(dnssd.cache.size, 0);
+        });
+    });
+
+    describe('DnsSd legacy mode', function () {
+        it('should default `legacy` to the constructor option', function () {
+            const legacy = new DnsSd({ legacy: true });
+            assert.strictEqual(legacy._checkDiscoveryParameters({ name: 'a.local' }).params.legacy, true);
+            assert.strictEqual(legacy._checkResolveParameters('a._http._tcp.local').params.legacy, true);
+            assert.strictEqual(dnssd._checkDiscoveryParameters({ name: 'a.local' }).params.legacy, false);
+            assert.throws(() => new DnsSd({ legacy: 'yes' }), /legacy/);
+        });
+
+        it('should reject a non-boolean `legacy`', function () {
+            const res = dnssd._checkDiscoveryParameters({ name: 'a.local', legacy: 1 });
+            assert.match(res.error.message, /legacy/);
+        });
+
+        it('should keep a legacy session off the shared socket', function () {
+            const params = dnssd._checkDiscoveryParameters({ name: 'a.local', legacy: true }).params;
+            dnssd._createDiscoverySession(params);
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+
+        it('should not create a browser in legacy mode', function () {
+            const legacy = new DnsSd({ legacy: true });
+            const browser = legacy.createBrowser({ name: '_http._tcp.local' });
+            assert.strictEqual(browser._params.legacy, undefined);
+        });
+    });
+});
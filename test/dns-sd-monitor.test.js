@@ -0,0 +1,237 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-monitor.test.js
+ * Unit tests for the filtered monitors
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const mDnsSdComposer = require('../lib/dns-sd-composer.js');
+const DnsSdLegacyQuerier = require('../lib/dns-sd-legacy-querier.js');
+const DnsSdAnnouncer = require('../lib/dns-sd-announcer.js');
+const { Writable } = require('stream');
+const { query, announcement, createDnsSd } = require('./helpers.js');
+
+describe('DnsSdMonitor', function () {
+    let dnssd;
+
+    beforeEach(function () {
+        dnssd = createDnsSd();
+    });
+
+    async function start(params) {
+        const monitor = await dnssd.startMonitoring(params);
+        const packets = [];
+        monitor.on('packet', (packet) => packets.push(packet));
+        return { monitor, packets };
+    }
+
+    describe('startMonitoring()', function () {
+        it('should return a running monitor', async function () {
+            const { monitor } = await start();
+            assert.strictEqual(monitor.running, true);
+            assert.strictEqual(dnssd._monitors.size, 1);
+            await monitor.stop();
+            assert.strictEqual(monitor.running, false);
+            assert.strictEqual(dnssd._monitors.size, 0);
+        });
+
+        it('should stop all the monitors by stopMonitoring()', async function () {
+            const a = await start({ types: 'PTR' });
+            const b = await start({ direction: 'query' });
+            await dnssd.stopMonitoring();
+            assert.strictEqual(a.monitor.running, false);
+            assert.strictEqual(b.monitor.running, false);
+            assert.strictEqual(dnssd._monitors.size, 0);
+        });
+
+        it('should forget the monitor if the socket could not be opened', async function () {
+            dnssd._startListening = async () => {
+                throw new Error('EADDRINUSE');
+            };
+            await assert.rejects(dnssd.startMonitoring(), /EADDRINUSE/);
+            assert.strictEqual(dnssd._monitors.size, 0);
+        });
+
+        const invalid = [
+            ['x', /params/],
+            [{ names: [] }, /names/],
+            [{ names: ['_http._tcp.local', ''] }, /names/],
+            [{ types: 'A-AAA' }, /types/],
+            [{ direction: 'both' }, /direction/],
+            [{ sources: '192.168.1.0/33' }, /sources/],
+            [{ sources: ['printer.local'] }, /sources/],
+            [{ capture: '' }, /capture/],
+            [{ capture: {} }, /capture/]
+        ];
+        for (const [params, re] of invalid) {
+            it('should reject ' + JSON.stringify(params), async function () {
+                await assert.rejects(dnssd.startMonitoring(params), re);
+                assert.strictEqual(dnssd._monitors.size, 0);
+            });
+        }
+    });
+
+    describe('Filtering', function () {
+        it('should deliver every packet without a filter', async function () {
+            const { monitor, packets } = await start();
+            assert.strictEqual(monitor._handlePacket(announcement({ service: '_http._tcp.local', instance: 'Web' })), true);
+            assert.strictEqual(monitor._handlePacket(query('_ipp._tcp.local', 'PTR')), true);
+            assert.strictEqual(packets.length, 2);
+        });
+
+        it('should match the names case-insensitively', async function () {
+            const { monitor } = await start({ names: '_HTTP._tcp.local.' });
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_http._tcp.local', instance: 'Web' })), true);
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_ipp._tcp.local', instance: 'Printer' })), false);
+        });
+
+        it('should match the names by wildcard', async function () {
+            const { monitor } = await start({ names: ['*._ipp._tcp.local', '_googlecast.*'] });
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_ipp._tcp.local', instance: 'Printer' })), true);
+            assert.strictEqual(monitor._matchPacket(query('_googlecast._tcp.local', 'PTR')), true);
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_http._tcp.local', instance: 'Web' })), false);
+        });
+
+        it('should match the names and the types on the same entry', async function () {
+            const { monitor } = await start({ names: '*._http._tcp.local', types: ['srv', 'TXT'] });
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_http._tcp.local', instance: 'Web' })), true);
+            assert.strictEqual(monitor._matchPacket(query('Web._http._tcp.local', 'PTR')), false);
+            assert.strictEqual(monitor._matchPacket(query('host.local', 'SRV')), false);
+        });
+
+        it('should match the direction', async function () {
+            const { monitor } = await start({ direction: 'query' });
+            assert.strictEqual(monitor._matchPacket(query('_http._tcp.local', 'PTR')), true);
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_http._tcp.local', instance: 'Web' })), false);
+        });
+
+        it('should match the sources', async function () {
+            const { monitor } = await start({ sources: ['192.168.1.0/28', 'fe80::/10'] });
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_http._tcp.local', instance: 'Web', address: '192.168.1.5' })), true);
+            assert.strictEqual(monitor._matchPacket(query('_http._tcp.local', 'PTR', 'fe80::1%eth0')), true);
+            assert.strictEqual(monitor._matchPacket(announcement({ service: '_http._tcp.local', instance: 'Web', address: '192.168.1.50' })), false);
+        });
+
+        it('should give each monitor only the packets it asked for', async function () {
+            const queries = await start({ direction: 'query' });
+            const http = await start({ names: '_http._tcp.local', direction: 'query' });
+            const ondata = [];
+            dnssd.ondata = (packet) => ondata.push(packet);
+            const buf = (name) => mDnsSdComposer.compose({ name: [name], type: 'PTR' });
+            dnssd._receivePacket(buf('_http._tcp.local'), { address: '192.168.1.60' });
+            dnssd._receivePacket(buf('_ipp._tcp.local'), { address: '192.168.1.60' });
+            assert.strictEqual(queries.packets.length, 2);
+            assert.strictEqual(http.packets.length, 1);
+            assert.strictEqual(http.packets[0].questions[0].name, '_http._tcp.local');
+            assert.strictEqual(ondata.length, 2);
+        });
+
+        it('should not call ondata for the packets no monitor matched', async function () {
+            await start({ direction: 'response' });
+            const ondata = [];
+            dnssd.ondata = (packet) => ondata.push(packet);
+            dnssd._receivePacket(mDnsSdComposer.compose({ name: ['_http._tcp.local'], type: 'PTR' }), { address: '192.168.1.60' });
+            assert.strictEqual(ondata.length, 0);
+        });
+    });
+
+    describe('Capture', function () {
+        // Collects the datagrams given to the capture writer
+        async function capture(params) {
+            const sink = new Writable({
+                write(chunk, encoding, callback) {
+                    callback();
+                }
+            });
+            const monitor = await dnssd.startMonitoring(Object.assign({ capture: sink }, params));
+            const datagrams = [];
+            monitor._capture.writePacket = (datagram) => datagrams.push(datagram);
+            return { monitor, datagrams };
+        }
+
+        const buf = (name) => mDnsSdComposer.compose({ name: [name], type: 'PTR' });
+
+        it('should capture the received datagrams', async function () {
+            const { datagrams } = await capture();
+            dnssd._receivePacket(buf('_http._tcp.local'), { address: '192.168.1.60', port: 5353 });
+            dnssd._receivePacket(Buffer.from([0x01, 0x02]), { address: '192.168.1.60', port: 5353 });
+            assert.strictEqual(datagrams.length, 2);
+            assert.strictEqual(datagrams[0].direction, 'inbound');
+            assert.deepStrictEqual(datagrams[0].source, { address: '192.168.1.60', port: 5353 });
+            assert.deepStrictEqual(datagrams[0].destination, { address: '224.0.0.251', port: 5353 });
+            assert.deepStrictEqual(datagrams[1].data, Buffer.from([0x01, 0x02]));
+        });
+
+        it('should capture the sent datagrams', async function () {
+            const { datagrams } = await capture();
+            dnssd._captureSent(buf('_http._tcp.local'), 'fe80::1', 'ff02::fb', 'eth0');
+            assert.strictEqual(datagrams.length, 1);
+            assert.strictEqual(datagrams[0].direction, 'outbound');
+            assert.strictEqual(datagrams[0].interface, 'eth0');
+            assert.deepStrictEqual(datagrams[0].destination, { address: 'ff02::fb', port: 5353 });
+        });
+
+        it('should capture only the datagrams matching the filter', async function () {
+            const { datagrams } = await capture({ names: '_ipp._tcp.local' });
+            dnssd._receivePacket(buf('_http._tcp.local'), { address: '192.168.1.60', port: 5353 });
+            dnssd._receivePacket(buf('_ipp._tcp.local'), { address: '192.168.1.60', port: 5353 });
+            dnssd._receivePacket(Buffer.from([0x01, 0x02]), { address: '192.168.1.60', port: 5353 });
+            dnssd._captureSent(buf('_ipp._tcp.local'), '192.168.1.10', '224.0.0.251', 'eth0');
+            assert.deepStrictEqual(datagrams.map((d) => d.direction), ['inbound', 'outbound']);
+        });
+
+        it('should leave out the destination of a response while unicast responses are asked for', async function () {
+            const { datagrams } = await capture();
+            const answer = mDnsSdComposer.compose({ name: ['host.local'], type: 'A' });
+            answer[2] = 0x84; // QR=1
+            dnssd._unicast_response_until = Date.now() + 1000;
+            dnssd._receivePacket(answer, { address: '192.168.1.60', port: 5353 });
+            dnssd._receivePacket(buf('_http._tcp.local'), { address: '192.168.1.60', port: 5353 });
+            assert.deepStrictEqual(datagrams.map((d) => d.destination.address), [null, '224.0.0.251']);
+        });
+
+        it('should capture the datagrams of a legacy querier', async function () {
+            const { datagrams } = await capture();
+            dnssd._netif_address_list = ['192.168.1.10'];
+            dnssd._netif6_list = [];
+            const querier = new DnsSdLegacyQuerier(dnssd);
+            await querier.open();
+            try {
+                querier._udp.setMulticastInterface = () => { };
+                querier._send = async () => { };
+                await querier._sendQueryPacket(['_http._tcp.local'], 'PTR');
+                querier._receivePacket(buf('_http._tcp.local'), { address: '192.168.1.60', port: 5353 }, querier._udp);
+                const port = querier._udp.address().port;
+                assert.deepStrictEqual(datagrams.map((d) => d.direction), ['outbound', 'inbound']);
+                assert.deepStrictEqual(datagrams[0].source, { address: '192.168.1.10', port: port });
+                assert.deepStrictEqual(datagrams[1].destination, { address: null, port: port });
+            } finally {
+                await querier.close();
+            }
+        });
+
+        it('should capture the datagrams sent by an announcer', async function () {
+            const { datagrams } = await capture();
+            const announcer = new DnsSdAnnouncer({ name: '_http._tcp.local', instance: 'Web', host: 'web.local', port: 80, dnssd: dnssd });
+            announcer._udp = { send: (b, offset, length, port, addr, cb) => cb(null) };
+            await announcer.announce();
+            assert.strictEqual(datagrams.length, 1);
+            assert.strictEqual(datagrams[0].direction, 'outbound');
+            assert.deepStrictEqual(datagrams[0].source, { address: null, port: 5353 });
+            assert.deepStrictEqual(datagrams[0].destination, { address: '224.0.0.251', port: 5353 });
+        });
+
+        it('should stop capturing when the monitor is stopped', async function () {
+            const { monitor, datagrams } = await capture();
+            await monitor.stop();
+            assert.strictEqual(monitor._capture, null);
+            dnssd._receivePacket(buf('_http._tcp.local'), { address: '192.168.1.60', port: 5353 });
+            assert.strictEqual(datagrams.length, 0);
+        });
+
+        it('should reject if the capture file can not be opened', async function () {
+            await assert.rejects(dnssd.startMonitoring({ capture: '/nonexistent-dir/out.pcapng' }), /ENOENT/);
+            assert.strictEqual(dnssd._monitors.size, 0);
+        });
+    });
+});
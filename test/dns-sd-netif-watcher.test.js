@@ -0,0 +1,71 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-netif-watcher.test.js
+ * Unit tests for DnsSdNetifWatcher
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const DnsSdNetifWatcher = require('../lib/dns-sd-netif-watcher.js');
+
+const ETH0 = { name: 'eth0', family: 'IPv4', address: '192.168.1.10' };
+const WLAN0 = { name: 'wlan0', family: 'IPv4', address: '192.168.2.10' };
+
+describe('DnsSdNetifWatcher', function () {
+    let list = null;
+    let watcher = null;
+
+    beforeEach(function () {
+        list = [ETH0];
+        watcher = new DnsSdNetifWatcher(() => list.slice(), 20);
+    });
+
+    afterEach(function () {
+        watcher.stop();
+    });
+
+    describe('check()', function () {
+        it('should return null if nothing has changed', function () {
+            watcher.start();
+            assert.strictEqual(watcher.check(), null);
+        });
+
+        it('should report the added and removed addresses', function () {
+            watcher.start();
+            list = [WLAN0];
+            const events = [];
+            watcher.on('change', (change) => events.push(change));
+            const change = watcher.check();
+            assert.deepStrictEqual(change, { added: [WLAN0], removed: [ETH0] });
+            assert.deepStrictEqual(events, [change]);
+            assert.strictEqual(watcher.check(), null);
+        });
+
+        it('should report an address moved to another interface', function () {
+            watcher.start();
+            list = [Object.assign({}, ETH0, { name: 'eth1' })];
+            const change = watcher.check();
+            assert.strictEqual(change.added[0].name, 'eth1');
+            assert.strictEqual(change.removed[0].name, 'eth0');
+        });
+    });
+
+    describe('start() / stop()', function () {
+        it('should poll the addresses', function (done) {
+            watcher.start();
+            watcher.once('change', (change) => {
+                assert.deepStrictEqual(change.added, [WLAN0]);
+                done();
+            });
+            list = [ETH0, WLAN0];
+        });
+
+        it('should stop polling', function (done) {
+            watcher.start();
+            watcher.stop();
+            assert.strictEqual(watcher._timer, null);
+            watcher.on('change', () => done(new Error('polled after stop()')));
+            list = [];
+            setTimeout(done, 60);
+        });
+    });
+});
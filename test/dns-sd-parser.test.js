@@ -58,6 +58,44 @@ describe('DnsSdParser', function () {
             assert.strictEqual(result.answers[0].type, 'A');
             assert.strictEqual(result.answers[0].rdata, '192.168.1.1');
         });
+
+        it('should parse the QU bit of a question (RFC 6762 §5.4)', function () {
+            const question = [
+                0x04, 0x74, 0x65, 0x73, 0x74, // "test"
+                0x05, 0x6c, 0x6f, 0x63, 0x61, 0x6c, // "local"
+                0x00, // null terminator
+                0x00, 0x01 // Type: A
+            ];
+            const header = [0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00];
+            const qu = parser.parse(Buffer.from(header.concat(question, [0x80, 0x01])));
+            assert.strictEqual(qu.questions[0].class, 'IN');
+            assert.strictEqual(qu.questions[0].qu, true);
+            const qm = parser.parse(Buffer.from(header.concat(question, [0x00, 0x01])));
+            assert.strictEqual(qm.questions[0].class, 'IN');
+            assert.strictEqual(qm.questions[0].qu, false);
+        });
+    });
+
+    describe('Truncated Queries (RFC 6762 §7.2)', function () {
+        it('should parse a query with the TC bit', function () {
+            const buf = Buffer.from([
+                0x00, 0x00, // ID
+                0x02, 0x00, // Flags (TC)
+                0x00, 0x01, // Questions: 1
+                0x00, 0x00, // Answers
+                0x00, 0x00, // Authority
+                0x00, 0x00, // Additional
+                0x04, 0x74, 0x65, 0x73, 0x74, // "test"
+                0x05, 0x6c, 0x6f, 0x63, 0x61, 0x6c, // "local"
+                0x00, // null terminator
+                0x00, 0x01, // Type: A
+                0x00, 0x01 // Class: IN
+            ]);
+            const result = parser.parse(buf);
+            assert.ok(result);
+            assert.strictEqual(result.header.tc, 1);
+            assert.strictEqual(result.questions[0].name, 'test.local');
+        });
     });
 
     describe('Security: Pointer Loop Prevention', function () {
@@ -337,5 +375,31 @@ describe('DnsSdParser', function () {
             assert.strictEqual(result.answers[0].rdata.port, 8080);
             assert.strictEqual(result.answers[0].rdata.target, 'host');
         });
+
+        it('should parse the boolean attributes of a TXT record (RFC 6763 §6.4)', function () {
+            const strings = Buffer.from('\x03a=1\x06duplex\x05=oops\x02b=', 'latin1');
+            const buf = Buffer.concat([
+                Buffer.from([
+                    0x00, 0x00, // ID
+                    0x84, 0x00, // Flags
+                    0x00, 0x00, // Questions
+                    0x00, 0x01, // Answers
+                    0x00, 0x00, // Authority
+                    0x00, 0x00, // Additional
+                    0x01, 0x78, // "x"
+                    0x00, // null
+                    0x00, 0x10, // Type TXT (16)
+                    0x00, 0x01, // Class IN
+                    0x00, 0x00, 0x00, 0x78, // TTL
+                    0x00, strings.length // RDLENGTH
+                ]),
+                strings
+            ]);
+            const result = parser.parse(buf);
+            assert.ok(result);
+            assert.deepStrictEqual(result.answers[0].rdata, { a: '1', duplex: '', b: '' });
+            assert.strictEqual(result.answers[0].rdata_buffer.duplex, null);
+            assert.deepStrictEqual(result.answers[0].rdata_buffer.b, Buffer.alloc(0));
+        });
     });
 });
@@ -0,0 +1,238 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-pcapng.test.js
+ * Unit tests for the pcapng capture writer
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const DnsSdPcapngWriter = require('../lib/dns-sd-pcapng.js');
+
+// A writable stream keeping the chunks
+function createSink() {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    stream.data = () => Buffer.concat(chunks);
+    return stream;
+}
+
+// Splits the capture into blocks: [{ type, body }]
+function parseBlocks(buf) {
+    const blocks = [];
+    let offset = 0;
+    while (offset < buf.length) {
+        const type = buf.readUInt32LE(offset);
+        const len = buf.readUInt32LE(offset + 4);
+        assert.strictEqual(len % 4, 0);
+        assert.strictEqual(buf.readUInt32LE(offset + len - 4), len);
+        blocks.push({ type: type, body: buf.subarray(offset + 8, offset + len - 4) });
+        offset += len;
+    }
+    return blocks;
+}
+
+// The Ethernet frame of an Enhanced Packet Block
+function parseEpb(body) {
+    const len = body.readUInt32LE(12);
+    return {
+        id: body.readUInt32LE(0),
+        usec: body.readUInt32LE(4) * 0x100000000 + body.readUInt32LE(8),
+        frame: body.subarray(20, 20 + len),
+        flags: body.readUInt32LE(20 + Math.ceil(len / 4) * 4 + 4)
+    };
+}
+
+// The one's complement sum, 0 if the checksum in the data is right
+function verify(bufs) {
+    let sum = 0;
+    for (const buf of bufs) {
+        for (let i = 0; i < buf.length; i += 2) {
+            sum += (buf[i] << 8) + ((i + 1 < buf.length) ? buf[i + 1] : 0);
+        }
+    }
+    while (sum > 0xFFFF) {
+        sum = (sum & 0xFFFF) + (sum >>> 16);
+    }
+    return (~sum) & 0xFFFF;
+}
+
+const payload = Buffer.from([0x00, 0x00, 0x84, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01]);
+
+describe('DnsSdPcapngWriter', function () {
+    it('should start with a Section Header Block', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        const blocks = parseBlocks(sink.data());
+        assert.strictEqual(blocks.length, 1);
+        assert.strictEqual(blocks[0].type, 0x0A0D0D0A);
+        assert.strictEqual(blocks[0].body.readUInt32LE(0), 0x1A2B3C4D);
+        assert.strictEqual(blocks[0].body.readUInt16LE(4), 1);
+        assert.strictEqual(blocks[0].body.readUInt16LE(6), 0);
+    });
+
+    it('should write an IPv4 datagram with an interface block', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        writer.writePacket({
+            data: payload,
+            direction: 'inbound',
+            source: { address: '192.168.1.50', port: 5353 },
+            destination: { address: '224.0.0.251', port: 5353 },
+            interface: 'eth0',
+            time: 1700000000123.456
+        });
+        const blocks = parseBlocks(sink.data());
+        assert.deepStrictEqual(blocks.map((b) => b.type), [0x0A0D0D0A, 1, 6]);
+
+        const idb = blocks[1].body;
+        assert.strictEqual(idb.readUInt16LE(0), 1); // Ethernet
+        assert.strictEqual(idb.readUInt16LE(8), 2); // if_name
+        assert.strictEqual(idb.subarray(12, 12 + idb.readUInt16LE(10)).toString(), 'eth0');
+
+        const epb = parseEpb(blocks[2].body);
+        assert.strictEqual(epb.id, 0);
+        assert.strictEqual(epb.usec, 1700000000123456);
+        assert.strictEqual(epb.flags, 1);
+        const frame = epb.frame;
+        assert.strictEqual(frame.subarray(0, 6).toString('hex'), '01005e0000fb');
+        assert.strictEqual(frame.readUInt16BE(12), 0x0800);
+        const ip = frame.subarray(14, 34);
+        assert.strictEqual(ip[0], 0x45);
+        assert.strictEqual(ip.readUInt16BE(2), 20 + 8 + payload.length);
+        assert.strictEqual(ip[9], 17);
+        assert.strictEqual(verify([ip]), 0);
+        assert.deepStrictEqual(Array.from(ip.subarray(12, 16)), [192, 168, 1, 50]);
+        const udp = frame.subarray(34);
+        assert.strictEqual(udp.readUInt16BE(0), 5353);
+        assert.strictEqual(udp.readUInt16BE(4), 8 + payload.length);
+        assert.strictEqual(verify([ip.subarray(12, 20), Buffer.from([0, 17]), udp.subarray(4, 6), udp]), 0);
+        assert.deepStrictEqual(udp.subarray(8), payload);
+    });
+
+    it('should write an IPv6 datagram', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        writer.writePacket({
+            data: payload,
+            direction: 'outbound',
+            source: { address: 'fe80::1:2%eth0', port: 5353 },
+            destination: { address: 'ff02::fb', port: 5353 },
+            interface: 'eth0'
+        });
+        const epb = parseEpb(parseBlocks(sink.data())[2].body);
+        assert.strictEqual(epb.flags, 2);
+        const frame = epb.frame;
+        assert.strictEqual(frame.subarray(0, 6).toString('hex'), '3333000000fb');
+        assert.strictEqual(frame.readUInt16BE(12), 0x86DD);
+        const ip = frame.subarray(14, 54);
+        assert.strictEqual(ip[0] >> 4, 6);
+        assert.strictEqual(ip.readUInt16BE(4), 8 + payload.length);
+        assert.strictEqual(ip.subarray(8, 24).toString('hex'), 'fe800000000000000000000000010002');
+        assert.strictEqual(ip.subarray(24, 40).toString('hex'), 'ff0200000000000000000000000000fb');
+        const udp = frame.subarray(54);
+        const pseudo = Buffer.from([0, 0, 0, udp.length, 0, 0, 0, 17]);
+        assert.strictEqual(verify([ip.subarray(8, 40), pseudo, udp]), 0);
+    });
+
+    it('should write an unknown address as the unspecified address', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        writer.writePacket({
+            data: payload,
+            direction: 'inbound',
+            source: { address: '192.168.1.50', port: 5353 },
+            destination: { address: null, port: 5353 }
+        });
+        const frame = parseEpb(parseBlocks(sink.data())[2].body).frame;
+        assert.strictEqual(frame.subarray(0, 6).toString('hex'), '000000000000');
+        const ip = frame.subarray(14, 34);
+        assert.deepStrictEqual(Array.from(ip.subarray(16, 20)), [0, 0, 0, 0]);
+        assert.strictEqual(verify([ip]), 0);
+    });
+
+    it('should write one interface block per interface', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        const write = (ifname) => writer.writePacket({
+            data: payload,
+            direction: 'inbound',
+            source: { address: '192.168.1.50', port: 5353 },
+            destination: { address: '224.0.0.251', port: 5353 },
+            interface: ifname
+        });
+        write('eth0');
+        write('wlan0');
+        write('eth0');
+        write(null);
+        const blocks = parseBlocks(sink.data());
+        assert.deepStrictEqual(blocks.map((b) => b.type), [0x0A0D0D0A, 1, 6, 1, 6, 6, 1, 6]);
+        assert.deepStrictEqual([2, 4, 5, 7].map((i) => parseEpb(blocks[i].body).id), [0, 1, 0, 2]);
+    });
+
+    it('should drop a datagram with addresses of different families', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        writer.writePacket({
+            data: payload,
+            direction: 'inbound',
+            source: { address: '192.168.1.50', port: 5353 },
+            destination: { address: 'ff02::fb', port: 5353 }
+        });
+        assert.strictEqual(parseBlocks(sink.data()).length, 1);
+    });
+
+    it('should write a file and close it', async function () {
+        const file = path.join(os.tmpdir(), 'node-dns-sd-' + process.pid + '.pcapng');
+        const writer = new DnsSdPcapngWriter(file);
+        await writer.open();
+        writer.writePacket({
+            data: payload,
+            direction: 'inbound',
+            source: { address: '192.168.1.50', port: 5353 },
+            destination: { address: '224.0.0.251', port: 5353 },
+            interface: 'eth0'
+        });
+        await writer.close();
+        try {
+            assert.deepStrictEqual(parseBlocks(fs.readFileSync(file)).map((b) => b.type), [0x0A0D0D0A, 1, 6]);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('should reject if the file can not be opened', async function () {
+        const writer = new DnsSdPcapngWriter(path.join(os.tmpdir(), 'no-such-dir-' + process.pid, 'out.pcapng'));
+        await assert.rejects(writer.open(), /ENOENT/);
+    });
+
+    it('should not end a stream given by the caller', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        await writer.close();
+        assert.strictEqual(sink.writableEnded, false);
+    });
+
+    it('should remove its error listener from the stream on close()', async function () {
+        const sink = createSink();
+        const writer = new DnsSdPcapngWriter(sink);
+        await writer.open();
+        assert.strictEqual(sink.listenerCount('error'), 1);
+        await writer.close();
+        assert.strictEqual(sink.listenerCount('error'), 0);
+    });
+});
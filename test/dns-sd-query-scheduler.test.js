@@ -0,0 +1,280 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-query-scheduler.test.js
+ * Unit tests for the continuous query scheduler (RFC 6762 §5.2)
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const DnsSdCache = require('../lib/dns-sd-cache.js');
+const DnsSdQueryScheduler = require('../lib/dns-sd-query-scheduler.js');
+const { record, response } = require('./helpers.js');
+
+/** A stand-in for the DnsSd object which records the sent queries. */
+function makeDnsSd() {
+    const dnssd = {
+        cache: new DnsSdCache(),
+        sent: [],
+        _sendQueryPacket(params) {
+            dnssd.sent.push(params);
+            return Promise.resolve();
+        }
+    };
+    return dnssd;
+}
+
+function ptr(instance, ttl) {
+    return record('_http._tcp.local', 'PTR', instance, ttl);
+}
+
+describe('DnsSdQueryScheduler', function () {
+    let dnssd, scheduler;
+
+    beforeEach(function () {
+        dnssd = makeDnsSd();
+        scheduler = new DnsSdQueryScheduler(dnssd);
+    });
+
+    afterEach(function () {
+        scheduler.stop();
+        dnssd.cache.clear();
+    });
+
+    describe('add() / remove()', function () {
+        it('should schedule the first query within 20-120 ms', function () {
+            const now = Date.now();
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            const q = scheduler.getQuestions()[0];
+            assert.strictEqual(q.name, '_http._tcp.local');
+            assert.strictEqual(q.type, 'PTR');
+            assert.strictEqual(q.interval, 1000);
+            const delay = q.next.getTime() - now;
+            assert.ok(delay >= 20 && delay <= 121, `delay ${delay}`);
+        });
+
+        it('should default the type to "*"', function () {
+            scheduler.add(['_http._tcp.local']);
+            assert.strictEqual(scheduler.getQuestions()[0].type, '*');
+        });
+
+        it('should keep a question until every add() is removed', function () {
+            scheduler.add(['_http._tcp.local']);
+            scheduler.add(['_http._tcp.local']);
+            scheduler.remove(['_http._tcp.local']);
+            assert.strictEqual(scheduler.getQuestions().length, 1);
+            scheduler.remove(['_http._tcp.local']);
+            assert.strictEqual(scheduler.getQuestions().length, 0);
+            assert.strictEqual(scheduler._timer, null);
+        });
+
+        it('should send the first query on its own', function (done) {
+            scheduler.add(['_http._tcp.local', '_ipp._tcp.local']);
+            setTimeout(() => {
+                assert.strictEqual(dnssd.sent.length, 1);
+                assert.deepStrictEqual(dnssd.sent[0].name, ['_http._tcp.local', '_ipp._tcp.local']);
+                assert.strictEqual(dnssd.sent[0].type, undefined);
+                done();
+            }, 200);
+        });
+    });
+
+    describe('Exponential backoff', function () {
+        it('should double the interval after each query up to one hour', function () {
+            scheduler.add(['_http._tcp.local']);
+            scheduler._clearTimer();
+            const q = scheduler._questions.values().next().value;
+            let now = q.next;
+            const gaps = [];
+            for (let i = 0; i < 15; i++) {
+                assert.strictEqual(scheduler._takeDueQuestions(now).length, 1);
+                gaps.push(q.next - now);
+                now = q.next;
+            }
+            assert.deepStrictEqual(gaps.slice(0, 5), [1000, 2000, 4000, 8000, 16000]);
+            assert.strictEqual(gaps[gaps.length - 1], 3600 * 1000);
+        });
+
+        it('should not send anything before the next query is due', function () {
+            scheduler.add(['_http._tcp.local']);
+            scheduler._clearTimer();
+            const q = scheduler._questions.values().next().value;
+            assert.deepStrictEqual(scheduler._takeDueQuestions(q.next - 10), []);
+        });
+
+        it('should restart from the initial interval when a question is added again', function () {
+            scheduler.add(['_http._tcp.local']);
+            const q = scheduler._questions.values().next().value;
+            scheduler._takeDueQuestions(q.next);
+            scheduler._takeDueQuestions(q.next);
+            assert.strictEqual(q.interval, 4000);
+            scheduler.add(['_http._tcp.local']);
+            assert.strictEqual(q.interval, 1000);
+        });
+
+        it('should restart every question from the initial interval', function () {
+            scheduler.add(['_http._tcp.local']);
+            scheduler.add(['_ipp._tcp.local']);
+            for (const q of scheduler._questions.values()) {
+                scheduler._takeDueQuestions(q.next);
+                scheduler._takeDueQuestions(q.next);
+            }
+            const now = Date.now();
+            scheduler.restart();
+            for (const q of scheduler.getQuestions()) {
+                assert.strictEqual(q.interval, 1000);
+                assert.ok(q.next.getTime() - now <= 121);
+            }
+        });
+    });
+
+    describe('Shared schedule', function () {
+        it('should send the questions due soon in the same packet', function () {
+            scheduler.add(['_http._tcp.local']);
+            const q1 = scheduler._questions.values().next().value;
+            const now = Date.now();
+            q1.interval = 8000;
+            q1.next = now + 3000;
+            scheduler.add(['_ipp._tcp.local']);
+            scheduler._clearTimer();
+            const due = scheduler._takeDueQuestions(now + 200);
+            assert.deepStrictEqual(due.map((q) => q.name).sort(), ['_http._tcp.local', '_ipp._tcp.local']);
+        });
+
+        it('should not pull in questions due later than half of their interval', function () {
+            scheduler.add(['_http._tcp.local']);
+            const q1 = scheduler._questions.values().next().value;
+            const now = Date.now();
+            q1.interval = 8000;
+            q1.next = now + 6000;
+            scheduler.add(['_ipp._tcp.local']);
+            scheduler._clearTimer();
+            const due = scheduler._takeDueQuestions(now + 200);
+            assert.deepStrictEqual(due.map((q) => q.name), ['_ipp._tcp.local']);
+        });
+
+        it('should send one packet per question type', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            scheduler.add(['host.local'], 'A');
+            scheduler._clearTimer();
+            for (const q of scheduler._questions.values()) {
+                q.next = 0;
+            }
+            scheduler._tick();
+            assert.strictEqual(dnssd.sent.length, 2);
+            assert.deepStrictEqual(dnssd.sent.map((p) => p.type).sort(), ['A', 'PTR']);
+        });
+    });
+
+    describe('Unicast responses (RFC 6762 §5.4)', function () {
+        function tick() {
+            scheduler._clearTimer();
+            for (const q of scheduler._questions.values()) {
+                q.next = 0;
+            }
+            scheduler._tick();
+        }
+
+        it('should ask for unicast responses in the first query only', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR', true);
+            tick();
+            tick();
+            assert.deepStrictEqual(dnssd.sent.map((p) => p.unicastResponse), [true, false]);
+        });
+
+        it('should send QU and QM questions in separate packets', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR', true);
+            scheduler.add(['_ipp._tcp.local'], 'PTR');
+            tick();
+            assert.strictEqual(dnssd.sent.length, 2);
+            const qu = dnssd.sent.find((p) => p.unicastResponse);
+            assert.deepStrictEqual(qu.name, ['_http._tcp.local']);
+        });
+    });
+
+    describe('Cache refresh', function () {
+        it('should refresh an answer at 80%, 85%, 90% and 95% of its TTL', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            scheduler._clearTimer();
+            const q = scheduler._questions.values().next().value;
+            q.next = Infinity;
+            const received = dnssd.cache.dump()[0].received.getTime();
+            const hits = [];
+            for (let sec = 70; sec < 100; sec++) {
+                if (scheduler._getRefreshQuestions(received + sec * 1000).length > 0) {
+                    hits.push(sec);
+                }
+            }
+            assert.strictEqual(hits.length, 4);
+            assert.ok(hits[0] >= 80 && hits[0] <= 83, `first refresh at ${hits[0]}`);
+            assert.ok(hits[3] >= 95 && hits[3] <= 98, `last refresh at ${hits[3]}`);
+        });
+
+        it('should schedule the timer at the next refresh point', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            const q = scheduler._questions.values().next().value;
+            q.next = Infinity;
+            const received = dnssd.cache.dump()[0].received.getTime();
+            const next = scheduler._getNextTime();
+            assert.ok(next >= received + 80000 && next <= received + 82000);
+        });
+
+        it('should not refresh records of other questions', function () {
+            scheduler.add(['_ipp._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            const received = dnssd.cache.dump()[0].received.getTime();
+            assert.deepStrictEqual(scheduler._getRefreshQuestions(received + 99000), []);
+        });
+
+        it('should not refresh a record after a goodbye', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 0)]));
+            const received = dnssd.cache.dump()[0].received.getTime();
+            assert.deepStrictEqual(scheduler._getRefreshQuestions(received + 99000), []);
+        });
+
+        it('should keep the refresh states of the answers only', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([
+                ptr('A._http._tcp.local', 100),
+                ptr('B._http._tcp.local', 100),
+                { name: 'host.local', type: 'A', class: 'IN', flash: false, ttl: 100, rdata: '192.168.1.50' }
+            ]));
+            assert.strictEqual(scheduler._refreshes.size, 2);
+        });
+
+        it('should refresh the answers cached before the question was added', function () {
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            const received = dnssd.cache.dump()[0].received.getTime();
+            assert.strictEqual(scheduler._getRefreshQuestions(received + 99000).length, 1);
+        });
+
+        it('should restart the refresh points when the record is received again', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            const entry = dnssd.cache._entries.values().next().value;
+            const received = entry.received;
+            // Received again 50 seconds later
+            entry.received += 50000;
+            entry.expires += 50000;
+            assert.deepStrictEqual(scheduler._getRefreshQuestions(received + 99000), []);
+            assert.strictEqual(scheduler._getRefreshQuestions(received + 149000).length, 1);
+        });
+
+        it('should not advance the schedule of a question by a refresh', function () {
+            scheduler.add(['_http._tcp.local'], 'PTR');
+            dnssd.cache.addPacket(response([ptr('A._http._tcp.local', 100)]));
+            scheduler._clearTimer();
+            const q = scheduler._questions.values().next().value;
+            const received = dnssd.cache.dump()[0].received.getTime();
+            q.interval = 3600 * 1000;
+            q.next = received + 3600 * 1000;
+            const due = scheduler._takeDueQuestions(received + 99000);
+            assert.deepStrictEqual(due, [q]);
+            assert.strictEqual(q.interval, 3600 * 1000);
+            assert.strictEqual(q.next, received + 3600 * 1000);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - dns-sd-resolver.test.js
+ * Unit tests for DnsSd.resolve() and DnsSdResolver
+ *
+ * Packets are fed directly to the record cache and the resolvers, no
+ * socket is opened.
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const assert = require('assert');
+const { record, response, createDnsSd, feed, listQuestions } = require('./helpers.js');
+
+const FQDN = 'My Printer._ipp._tcp.local';
+const SRV = record(FQDN, 'SRV', { priority: 0, weight: 0, port: 631, target: 'printer.local' }, 120, true);
+const TXT = record(FQDN, 'TXT', { ty: 'Laser', rp: 'ipp/print' }, 120, true);
+const A = record('printer.local', 'A', '192.168.1.50', 120, true);
+const AAAA = record('printer.local', 'AAAA', 'fe80::1', 120, true);
+
+// ===========================================================================
+describe('DnsSdResolver', function () {
+    let dnssd = null;
+
+    beforeEach(function () {
+        dnssd = createDnsSd({ wait: 1 });
+    });
+
+    afterEach(function () {
+        dnssd._query_scheduler.stop();
+        dnssd.cache.clear();
+    });
+
+    describe('Parameter Validation', function () {
+        it('should reject a missing fqdn', async function () {
+            await assert.rejects(dnssd.resolve(), /fqdn/);
+            await assert.rejects(dnssd.resolve(''), /fqdn/);
+        });
+
+        it('should reject invalid params', async function () {
+            await assert.rejects(dnssd.resolve(FQDN, 3), /params/);
+            await assert.rejects(dnssd.resolve(FQDN, { wait: 0 }), /wait/);
+        });
+
+        it('should default wait to the constructor option', function () {
+            assert.strictEqual(dnssd._checkResolveParameters(FQDN).params.wait, 1);
+        });
+    });
+
+    describe('resolve()', function () {
+        it('should resolve from the cache without opening the socket', async function () {
+            dnssd._startListening = async () => {
+                throw new Error('The socket should not be opened.');
+            };
+            feed(dnssd, response([SRV, TXT, A, AAAA]));
+            const result = await dnssd.resolve(FQDN);
+            assert.deepStrictEqual(result, {
+                fqdn: FQDN,
+                host: 'printer.local',
+                port: 631,
+                addresses: ['192.168.1.50', 'fe80::1'],
+                txt: { ty: 'Laser', rp: 'ipp/print' }
+            });
+        });
+
+        it('should query SRV and TXT of an unknown instance', async function () {
+            const promise = dnssd.resolve(FQDN);
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(listQuestions(dnssd), [`${FQDN} SRV`, `${FQDN} TXT`]);
+            feed(dnssd, response([SRV, TXT, A]));
+            const result = await promise;
+            assert.strictEqual(result.port, 631);
+            assert.deepStrictEqual(result.addresses, ['192.168.1.50']);
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+            assert.strictEqual(dnssd._resolvers.size, 0);
+        });
+
+        it('should query the addresses once the host is known', async function () {
+            feed(dnssd, response([SRV, TXT]));
+            const promise = dnssd.resolve(FQDN);
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(listQuestions(dnssd), ['printer.local A', 'printer.local AAAA']);
+            feed(dnssd, response([AAAA]));
+            const result = await promise;
+            assert.deepStrictEqual(result.addresses, ['fe80::1']);
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+        });
+
+        it('should return the partial result when the time runs out', async function () {
+            this.timeout(3000);
+            feed(dnssd, response([SRV]));
+            const result = await dnssd.resolve(FQDN);
+            assert.strictEqual(result.host, 'printer.local');
+            assert.deepStrictEqual(result.addresses, []);
+            assert.strictEqual(result.txt, null);
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+        });
+
+        it('should reject when no SRV record was received', async function () {
+            this.timeout(3000);
+            await assert.rejects(dnssd.resolve(FQDN), /could not be resolved/);
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+            assert.strictEqual(dnssd._resolvers.size, 0);
+        });
+
+        it('should reject with the partial result when the signal is aborted', async function () {
+            feed(dnssd, response([SRV]));
+            const controller = new AbortController();
+            const promise = dnssd.resolve(FQDN, { signal: controller.signal });
+            await new Promise((resolve) => setImmediate(resolve));
+            controller.abort();
+            await assert.rejects(promise, (error) => {
+                assert.strictEqual(error.name, 'AbortError');
+                assert.strictEqual(error.service.host, 'printer.local');
+                assert.strictEqual(error.service.port, 631);
+                return true;
+            });
+            assert.deepStrictEqual(listQuestions(dnssd), []);
+            assert.strictEqual(dnssd._resolvers.size, 0);
+        });
+
+        it('should reject at once if the signal is aborted already', async function () {
+            feed(dnssd, response([SRV, TXT, A]));
+            await assert.rejects(dnssd.resolve(FQDN, { signal: AbortSignal.abort() }), (error) => {
+                assert.strictEqual(error.code, 'ABORT_ERR');
+                assert.deepStrictEqual(error.service.addresses, ['192.168.1.50']);
+                return true;
+            });
+        });
+    });
+});
@@ -6,8 +6,69 @@
 
 const assert = require('assert');
 const DnsSd = require('../lib/dns-sd.js');
+const DnsSdMonitor = require('../lib/dns-sd-monitor.js');
+const { record, response, announcement, encode, createDnsSd } = require('./helpers.js');
 
 describe('DnsSd', function () {
+    describe('Constructor Options', function () {
+        const { DnsSd: DnsSdClass } = DnsSd;
+
+        it('should export the DnsSd class', function () {
+            assert.strictEqual(typeof DnsSdClass, 'function');
+            assert.ok(DnsSd instanceof DnsSdClass);
+        });
+
+        it('should use the default settings', function () {
+            const dnssd = new DnsSdClass();
+            assert.strictEqual(dnssd._MULTICAST_ADDR, '224.0.0.251');
+            assert.strictEqual(dnssd._MULTICAST_ADDR6, 'ff02::fb');
+            assert.strictEqual(dnssd._UDP_PORT, 5353);
+            assert.strictEqual(dnssd._BIND_ADDR, null);
+            assert.strictEqual(dnssd._MULTICAST_TTL, 255);
+            assert.strictEqual(dnssd._MULTICAST_LOOPBACK, true);
+            assert.strictEqual(dnssd._DISCOVERY_WAIT_DEFAULT, 3);
+        });
+
+        it('should apply the options', function () {
+            const dnssd = new DnsSdClass({
+                multicastAddress: '239.255.0.1',
+                multicastAddress6: 'ff05::1',
+                port: 15353,
+                bindAddress: '0.0.0.0',
+                multicastTTL: 1,
+                loopback: false,
+                wait: 1
+            });
+            assert.strictEqual(dnssd._MULTICAST_ADDR, '239.255.0.1');
+            assert.strictEqual(dnssd._MULTICAST_ADDR6, 'ff05::1');
+            assert.strictEqual(dnssd._UDP_PORT, 15353);
+            assert.strictEqual(dnssd._BIND_ADDR, '0.0.0.0');
+            assert.strictEqual(dnssd._MULTICAST_TTL, 1);
+            assert.strictEqual(dnssd._MULTICAST_LOOPBACK, false);
+            assert.strictEqual(dnssd._DISCOVERY_WAIT_DEFAULT, 1);
+        });
+
+        it('should keep the settings and state of each instance apart', function () {
+            const a = new DnsSdClass({ port: 15353 });
+            const b = new DnsSdClass({ port: 15354 });
+            assert.notStrictEqual(a.cache, b.cache);
+            assert.strictEqual(DnsSd._UDP_PORT, 5353);
+            assert.strictEqual(b._UDP_PORT, 15354);
+        });
+
+        it('should throw on invalid options', function () {
+            assert.throws(() => new DnsSdClass('5353'), /options/);
+            assert.throws(() => new DnsSdClass({ multicastAddress: 'ff02::fb' }), /multicastAddress/);
+            assert.throws(() => new DnsSdClass({ multicastAddress6: '224.0.0.251' }), /multicastAddress6/);
+            assert.throws(() => new DnsSdClass({ port: 0 }), /port/);
+            assert.throws(() => new DnsSdClass({ port: 65536 }), /port/);
+            assert.throws(() => new DnsSdClass({ bindAddress: 'localhost' }), /bindAddress/);
+            assert.throws(() => new DnsSdClass({ multicastTTL: 256 }), /multicastTTL/);
+            assert.throws(() => new DnsSdClass({ loopback: 1 }), /loopback/);
+            assert.throws(() => new DnsSdClass({ wait: 0.5 }), /wait/);
+        });
+    });
+
     describe('Parameter Validation', function () {
         describe('discover() parameters', function () {
             it('should reject missing params', function () {
@@ -177,6 +238,18 @@ describe('DnsSd', function () {
                 });
                 assert.ok(result.error instanceof Error);
             });
+
+            it('should accept a filter object', function () {
+                const filter = { port: 80, txt: { path: '/' } };
+                const result = DnsSd._checkDiscoveryParameters({ name: '_http._tcp.local', filter: filter });
+                assert.strictEqual(result.params.filter, filter);
+            });
+
+            it('should reject an invalid filter object', function () {
+                const result = DnsSd._checkDiscoveryParameters({ name: '_http._tcp.local', filter: { prot: 80 } });
+                assert.match(result.error.message, /`prot` is unknown/);
+                assert.throws(() => DnsSd.createBrowser({ name: '_http._tcp.local', filter: { port: 'x' } }), /port/);
+            });
         });
 
         describe('localhost parameter', function () {
@@ -222,6 +295,28 @@ describe('DnsSd', function () {
                 });
                 assert.ok(result.error instanceof Error);
             });
+
+            it('should default unicastResponse to false', function () {
+                const result = DnsSd._checkDiscoveryParameters({ name: '_http._tcp.local' });
+                assert.strictEqual(result.params.unicastResponse, false);
+            });
+
+            it('should accept unicastResponse=true', function () {
+                const result = DnsSd._checkDiscoveryParameters({
+                    name: '_http._tcp.local',
+                    unicastResponse: true
+                });
+                assert.ok(!result.error);
+                assert.strictEqual(result.params.unicastResponse, true);
+            });
+
+            it('should reject non-boolean unicastResponse', function () {
+                const result = DnsSd._checkDiscoveryParameters({
+                    name: '_http._tcp.local',
+                    unicastResponse: 'yes'
+                });
+                assert.match(result.error.message, /unicastResponse.*boolean/);
+            });
         });
     });
 
@@ -253,6 +348,433 @@ describe('DnsSd', function () {
         });
     });
 
+    describe('IPv6 Network Interface List', function () {
+        it('should return an array of interfaces', function () {
+            const list = DnsSd._getNetif6List();
+            assert.ok(Array.isArray(list));
+            for (const netif of list) {
+                assert.strictEqual(typeof netif.name, 'string');
+                assert.strictEqual(typeof netif.scopeid, 'number');
+                assert.ok(netif.addresses.length > 0);
+            }
+        });
+
+        it('should not contain loopback addresses', function () {
+            for (const netif of DnsSd._getNetif6List()) {
+                assert.ok(!netif.addresses.includes('::1'));
+            }
+        });
+
+        it('should create a scoped address for the interface', function () {
+            const netif = { name: 'eth0', scopeid: 2, addresses: [] };
+            const expected = (process.platform === 'win32') ? '::%2' : '::%eth0';
+            assert.strictEqual(DnsSd._createScopedAddress('::', netif), expected);
+        });
+
+        it('should detect a local IPv6 address with or without a zone index', function () {
+            const saved = DnsSd._netif6_list;
+            DnsSd._netif6_list = [{ name: 'eth0', scopeid: 2, addresses: ['fe80::1'] }];
+            try {
+                assert.strictEqual(DnsSd._isLocalAddress('fe80::1'), true);
+                assert.strictEqual(DnsSd._isLocalAddress('FE80::1%eth0'), true);
+                assert.strictEqual(DnsSd._isLocalAddress('fe80::2'), false);
+            } finally {
+                DnsSd._netif6_list = saved;
+            }
+        });
+    });
+
+    describe('Network Interface Selection', function () {
+        const mOs = require('os');
+        const { DnsSd: DnsSdClass } = DnsSd;
+        const networkInterfaces = mOs.networkInterfaces;
+
+        function entry(family, address, netmask, cidr, scopeid) {
+            return { address, netmask, family, mac: '00:00:00:00:00:00', internal: false, cidr, scopeid };
+        }
+
+        const netifs = {
+            lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', mac: '00:00:00:00:00:00', internal: true, cidr: '127.0.0.1/8' }],
+            eth0: [
+                entry('IPv4', '192.168.1.10', '255.255.255.0', '192.168.1.10/24'),
+                entry('IPv6', 'fe80::10', 'ffff:ffff:ffff:ffff::', 'fe80::10/64', 2)
+            ],
+            docker0: [
+                entry('IPv4', '172.17.0.1', '255.255.0.0', '172.17.0.1/16'),
+                entry('IPv6', 'fe80::42', 'ffff:ffff:ffff:ffff::', 'fe80::42/64', 3)
+            ],
+            tun0: [entry('IPv4', '10.8.0.2', '255.255.255.0', '10.8.0.2/24')],
+            eth1: [entry('IPv4', '169.254.10.20', '255.255.0.0', '169.254.10.20/16')]
+        };
+
+        function create(options) {
+            const dnssd = new DnsSdClass(options);
+            dnssd._updateNetifList();
+            return dnssd;
+        }
+
+        beforeEach(function () {
+            mOs.networkInterfaces = () => netifs;
+        });
+
+        afterEach(function () {
+            mOs.networkInterfaces = networkInterfaces;
+        });
+
+        it('should use every interface except link-local addresses by default', function () {
+            const dnssd = create();
+            assert.deepStrictEqual(dnssd._netif_address_list, ['192.168.1.10', '172.17.0.1', '10.8.0.2']);
+            assert.deepStrictEqual(dnssd._netif6_list.map((n) => n.name), ['eth0', 'docker0']);
+        });
+
+        it('should use IPv4 link-local addresses if linkLocal is true', function () {
+            const dnssd = create({ linkLocal: true });
+            assert.ok(dnssd._netif_address_list.includes('169.254.10.20'));
+        });
+
+        it('should include the interfaces by name, address or CIDR', function () {
+            assert.deepStrictEqual(create({ interfaces: { include: ['eth0'] } })._netif_address_list, ['192.168.1.10']);
+            assert.deepStrictEqual(create({ interfaces: { include: '10.8.0.2' } })._netif_address_list, ['10.8.0.2']);
+            const dnssd = create({ interfaces: { include: ['172.16.0.0/12', 'fe80::/10'] } });
+            assert.deepStrictEqual(dnssd._netif_address_list, ['172.17.0.1']);
+            assert.deepStrictEqual(dnssd._netif6_list.map((n) => n.name), ['eth0', 'docker0']);
+        });
+
+        it('should exclude the interfaces by name, address or CIDR', function () {
+            const dnssd = create({ interfaces: { exclude: ['docker0', '10.8.0.0/24'] } });
+            assert.deepStrictEqual(dnssd._netif_address_list, ['192.168.1.10']);
+            assert.deepStrictEqual(dnssd._netif6_list.map((n) => n.name), ['eth0']);
+            assert.deepStrictEqual(create({ interfaces: { exclude: ['FE80::42'] } })._netif6_list.map((n) => n.name), ['eth0']);
+        });
+
+        it('should throw on invalid interface options', function () {
+            assert.throws(() => new DnsSdClass({ interfaces: ['eth0'] }), /interfaces/);
+            assert.throws(() => new DnsSdClass({ interfaces: { include: [''] } }), /interfaces\.include/);
+            assert.throws(() => new DnsSdClass({ interfaces: { exclude: ['10.0.0.0/33'] } }), /interfaces\.exclude/);
+            assert.throws(() => new DnsSdClass({ interfaces: { exclude: ['eth/0'] } }), /interfaces\.exclude/);
+            assert.throws(() => new DnsSdClass({ linkLocal: 'yes' }), /linkLocal/);
+        });
+
+        it('should find the interface which a packet arrived on', function () {
+            const dnssd = create();
+            assert.strictEqual(dnssd._findNetif('192.168.1.50').name, 'eth0');
+            assert.strictEqual(dnssd._findNetif('172.17.0.2').name, 'docker0');
+            assert.strictEqual(dnssd._findNetif('192.168.1.10').name, 'eth0');
+            assert.strictEqual(dnssd._findNetif('fe80::50%docker0').name, 'docker0');
+            assert.strictEqual(dnssd._findNetif('fe80::50%2').name, 'eth0');
+            assert.strictEqual(dnssd._findNetif('8.8.8.8'), null);
+        });
+
+        it('should set the interface of packets and devices', function () {
+            const dnssd = create();
+            const packets = [];
+            dnssd._monitors.add(new DnsSdMonitor(dnssd, {}));
+            dnssd.ondata = (p) => packets.push(p);
+            const ptr = { name: '_http._tcp.local', type: 'PTR', class: 'IN', ttl: 120, rdata: 'Web._http._tcp.local' };
+            const buf = require('../lib/dns-sd-composer.js').compose({ name: ['_http._tcp.local'], type: 'PTR' });
+            dnssd._receivePacket(buf, { address: '192.168.1.50' });
+            dnssd._receivePacket(buf, { address: '203.0.113.1' });
+            assert.deepStrictEqual(packets.map((p) => p.interface), ['eth0', null]);
+            const device = dnssd._createDeviceObject({ header: { qr: 1, op: 0 }, answers: [ptr], authorities: [], additionals: [], address: '192.168.1.50', interface: 'eth0' });
+            assert.strictEqual(device.interface, 'eth0');
+        });
+
+        it('should drop the packets which arrived on an excluded interface', function () {
+            const dnssd = create({ interfaces: { exclude: ['docker0'] } });
+            const packets = [];
+            dnssd._monitors.add(new DnsSdMonitor(dnssd, {}));
+            dnssd.ondata = (p) => packets.push(p);
+            const buf = require('../lib/dns-sd-composer.js').compose({ name: ['_http._tcp.local'], type: 'PTR' });
+            dnssd._receivePacket(buf, { address: '172.17.0.2' });
+            dnssd._receivePacket(buf, { address: 'fe80::2%docker0' });
+            assert.strictEqual(packets.length, 0);
+            assert.strictEqual(dnssd._isLocalAddress('172.17.0.1'), true);
+        });
+
+        it('should follow the interface changes', async function () {
+            const dnssd = create();
+            const joined = [];
+            const dropped = [];
+            const socket = (family) => ({
+                addMembership: (group, netif) => joined.push(`${family} ${netif}`),
+                dropMembership: (group, netif) => dropped.push(`${family} ${netif}`)
+            });
+            dnssd._udp = socket(4);
+            dnssd._udp6 = socket(6);
+            dnssd._is_listening = true;
+            dnssd._addMembership();
+            dnssd._addMembership6();
+            joined.length = 0;
+
+            const saved = netifs.docker0;
+            delete netifs.docker0;
+            netifs.wlan0 = [entry('IPv4', '192.168.2.10', '255.255.255.0', '192.168.2.10/24')];
+            const events = [];
+            dnssd.on('interfacesChanged', (change) => events.push(change));
+            dnssd._query_scheduler.add(['_http._tcp.local'], 'PTR');
+            const q = dnssd._query_scheduler._questions.values().next().value;
+            q.interval = 8000;
+            const change = {
+                added: [{ name: 'wlan0', family: 'IPv4', address: '192.168.2.10' }],
+                removed: [
+                    { name: 'docker0', family: 'IPv4', address: '172.17.0.1' },
+                    { name: 'docker0', family: 'IPv6', address: 'fe80::42' }
+                ]
+            };
+            try {
+                await dnssd._handleNetifChange(change);
+            } finally {
+                netifs.docker0 = saved;
+                delete netifs.wlan0;
+                dnssd._query_scheduler.stop();
+            }
+            assert.deepStrictEqual(dropped, ['4 172.17.0.1', (process.platform === 'win32') ? '6 ::%0' : '6 ::%docker0']);
+            assert.deepStrictEqual(joined, ['4 192.168.2.10']);
+            assert.deepStrictEqual(dnssd._joined_address_list, ['192.168.1.10', '10.8.0.2', '192.168.2.10']);
+            assert.deepStrictEqual(dnssd._joined6_list, ['eth0']);
+            assert.strictEqual(q.interval, 1000);
+            assert.deepStrictEqual(events, [change]);
+        });
+
+        it('should emit an error raised while following the interface changes', async function () {
+            const dnssd = create();
+            dnssd._handleNetifChange = async () => {
+                throw new Error('EADDRINUSE');
+            };
+            const errors = [];
+            dnssd.on('error', (error) => errors.push(error.message));
+            dnssd._netif_watcher.emit('change', { added: [], removed: [] });
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(errors, ['EADDRINUSE']);
+        });
+    });
+
+    describe('IPv4/IPv6 Response Merging', function () {
+        function response(address, records) {
+            return { header: { qr: 1, op: 0 }, questions: [], answers: records.slice(0, 1), authorities: [], additionals: records.slice(1), address: address };
+        }
+
+        const ptr = { name: '_http._tcp.local', type: 'PTR', class: 'IN', ttl: 120, rdata: 'Web._http._tcp.local' };
+        const srv = { name: 'Web._http._tcp.local', type: 'SRV', class: 'IN', ttl: 120, rdata: { priority: 0, weight: 0, port: 80, target: 'web.local' } };
+        const a = { name: 'web.local', type: 'A', class: 'IN', ttl: 120, rdata: '192.168.1.50' };
+        const aaaa = { name: 'web.local', type: 'AAAA', class: 'IN', ttl: 120, rdata: 'fe80:0000:0000:0000:0000:0000:0000:0050' };
+
+        it('should give the same address key to the IPv4 and IPv6 responses', function () {
+            const p4 = response('192.168.1.50', [ptr, srv, a]);
+            const p6 = response('fe80::50', [ptr, srv, aaaa]);
+            const k4 = DnsSd._getDeviceKey(p4, 'address');
+            const k6 = DnsSd._getDeviceKey(p6, 'address');
+            assert.strictEqual(k4, k6);
+        });
+
+        it('should fall back to the source address without host records', function () {
+            const p = response('192.168.1.50', [ptr]);
+            assert.strictEqual(DnsSd._getDeviceKey(p, 'address'), '192.168.1.50');
+        });
+    });
+
+    describe('Multi-Instance Responses', function () {
+        function record(name, type, rdata) {
+            return { name, type, class: 'IN', flash: false, ttl: 120, rdata };
+        }
+
+        // A Chromecast and the cast group it hosts, in one response
+        const packet = {
+            header: { qr: 1, op: 0, answers: 2, authorities: 0, additionals: 6 },
+            questions: [],
+            answers: [
+                record('_googlecast._tcp.local', 'PTR', 'Chromecast-abc._googlecast._tcp.local'),
+                record('_googlecast._tcp.local', 'PTR', 'Group-def._googlecast._tcp.local')
+            ],
+            authorities: [],
+            additionals: [
+                record('Chromecast-abc._googlecast._tcp.local', 'SRV', { priority: 0, weight: 0, port: 8009, target: 'abc.local' }),
+                record('Chromecast-abc._googlecast._tcp.local', 'TXT', { md: 'Chromecast', fn: 'Living Room' }),
+                record('Group-def._googlecast._tcp.local', 'SRV', { priority: 0, weight: 0, port: 32187, target: 'abc.local' }),
+                record('Group-def._googlecast._tcp.local', 'TXT', { md: 'Google Cast Group', fn: 'Downstairs' }),
+                record('abc.local', 'A', '192.168.1.50'),
+                record('other.local', 'A', '192.168.1.60')
+            ],
+            address: '192.168.1.50'
+        };
+
+        it('should split the packet into one packet per instance', function () {
+            const list = DnsSd._splitPacket(packet);
+            assert.strictEqual(list.length, 2);
+            assert.deepStrictEqual(list[1].answers.map((r) => r.rdata), ['Group-def._googlecast._tcp.local']);
+            assert.deepStrictEqual(list[1].additionals.map((r) => r.name + ' ' + r.type), [
+                'Group-def._googlecast._tcp.local SRV',
+                'Group-def._googlecast._tcp.local TXT',
+                'abc.local A',
+                'other.local A'
+            ]);
+            assert.strictEqual(list[1].header.answers, 1);
+            assert.strictEqual(list[1].header.additionals, 4);
+            assert.strictEqual(list[1].address, '192.168.1.50');
+        });
+
+        it('should return a packet with one instance as is', function () {
+            const p = Object.assign({}, packet, { answers: packet.answers.slice(0, 1) });
+            assert.deepStrictEqual(DnsSd._splitPacket(p), [p]);
+            assert.strictEqual(DnsSd._splitPacket(p)[0], p);
+        });
+
+        it('should find a device for each instance', function () {
+            const params = DnsSd._checkDiscoveryParameters({ name: '_googlecast._tcp.local', key: 'fqdn' }).params;
+            const session = DnsSd._createDiscoverySession(params);
+            assert.strictEqual(DnsSd._collectDevice(session, packet), true);
+            DnsSd._sessions.delete(session);
+            const devices = Object.values(session.devices).map((d) => [d.fqdn, d.service.port, d.modelName, d.familyName, d.address]);
+            assert.deepStrictEqual(devices, [
+                ['Chromecast-abc._googlecast._tcp.local', 8009, 'Chromecast', 'Living Room', '192.168.1.50'],
+                ['Group-def._googlecast._tcp.local', 32187, 'Google Cast Group', 'Downstairs', '192.168.1.50']
+            ]);
+        });
+    });
+
+    describe('Device Addresses', function () {
+        function response(records, props) {
+            return Object.assign({ header: { qr: 1, op: 0 }, questions: [], answers: records.slice(0, 1), authorities: [], additionals: records.slice(1), address: '192.168.1.50', interface: 'eth0' }, props);
+        }
+
+        const ptr = { name: '_smb._tcp.local', type: 'PTR', class: 'IN', ttl: 4500, rdata: 'NAS._smb._tcp.local' };
+        const srv = { name: 'NAS._smb._tcp.local', type: 'SRV', class: 'IN', ttl: 120, rdata: { priority: 0, weight: 0, port: 445, target: 'nas.local' } };
+        const other = { name: 'router.local', type: 'A', class: 'IN', ttl: 120, rdata: '192.168.1.1' };
+        const a1 = { name: 'nas.local', type: 'A', class: 'IN', ttl: 120, rdata: '192.168.1.50' };
+        const a2 = { name: 'NAS.local', type: 'A', class: 'IN', ttl: 120, rdata: '10.0.0.50' };
+        const aaaa = { name: 'nas.local', type: 'AAAA', class: 'IN', ttl: 120, rdata: 'fe80:0000:0000:0000:0000:0000:0000:0050' };
+
+        let netif_info_list = null;
+
+        beforeEach(function () {
+            netif_info_list = DnsSd._netif_info_list;
+            DnsSd._netif_info_list = [
+                { name: 'eth0', family: 'IPv4', address: '192.168.1.10', netmask: '255.255.255.0', cidr: '192.168.1.10/24', scopeid: 0, selected: true },
+                { name: 'eth0', family: 'IPv6', address: 'fe80::10', netmask: 'ffff:ffff:ffff:ffff::', cidr: 'fe80::10/64', scopeid: 2, selected: true }
+            ];
+        });
+
+        afterEach(function () {
+            DnsSd._netif_info_list = netif_info_list;
+        });
+
+        it('should list every address of the SRV target host', function () {
+            const device = DnsSd._createDeviceObject(response([ptr, srv, other, aaaa, a1, a2]));
+            assert.deepStrictEqual(device.addresses, [
+                { address: '192.168.1.50', family: 4, interface: 'eth0', scopeid: null },
+                { address: '10.0.0.50', family: 4, interface: 'eth0', scopeid: null },
+                { address: 'fe80:0000:0000:0000:0000:0000:0000:0050', family: 6, interface: 'eth0', scopeid: 2 }
+            ]);
+            assert.strictEqual(device.address, '192.168.1.50');
+        });
+
+        it('should not take the address of another host for `address`', function () {
+            const device = DnsSd._createDeviceObject(response([ptr, srv, other, aaaa], { address: 'fe80::50%eth0' }));
+            assert.deepStrictEqual(device.addresses.map((a) => a.address), ['fe80:0000:0000:0000:0000:0000:0000:0050']);
+            assert.strictEqual(device.address, 'fe80::50%eth0');
+        });
+
+        it('should list every address record without an SRV record', function () {
+            const device = DnsSd._createDeviceObject(response([ptr, other, a1]));
+            assert.deepStrictEqual(device.addresses.map((a) => a.address), ['192.168.1.1', '192.168.1.50']);
+        });
+
+        it('should take the interface of the packet each record arrived in', function () {
+            const device = DnsSd._createMergedDeviceObject([
+                response([ptr, srv, a1]),
+                response([aaaa], { address: 'fe80::50', interface: 'wlan0' })
+            ]);
+            assert.deepStrictEqual(device.addresses.map((a) => [a.address, a.interface, a.scopeid]), [
+                ['192.168.1.50', 'eth0', null],
+                ['fe80:0000:0000:0000:0000:0000:0000:0050', 'wlan0', null]
+            ]);
+        });
+    });
+
+    describe('Multi-Packet Device Merging', function () {
+        function response(address, answers, additionals) {
+            return { header: { qr: 1, op: 0 }, questions: [], answers: answers, authorities: [], additionals: additionals || [], address: address };
+        }
+
+        const sessions = [];
+
+        function session(key, filter) {
+            const params = DnsSd._checkDiscoveryParameters(Object.assign({ name: '_googlecast._tcp.local', key: key }, filter ? { filter: filter } : {})).params;
+            const s = DnsSd._createDiscoverySession(params);
+            sessions.push(s);
+            return s;
+        }
+
+        afterEach(function () {
+            sessions.splice(0).forEach((s) => DnsSd._sessions.delete(s));
+        });
+
+        const ptr = { name: '_googlecast._tcp.local', type: 'PTR', class: 'IN', ttl: 4500, rdata: 'TV._googlecast._tcp.local' };
+        const srv = { name: 'TV._googlecast._tcp.local', type: 'SRV', class: 'IN', flash: true, ttl: 120, rdata: { priority: 0, weight: 0, port: 80, target: 'tv.local' } };
+        const txt = { name: 'TV._googlecast._tcp.local', type: 'TXT', class: 'IN', flash: true, ttl: 4500, rdata: { md: 'Model A', fn: 'Office' } };
+        const a = { name: 'tv.local', type: 'A', class: 'IN', flash: true, ttl: 120, rdata: '192.168.1.50' };
+
+        for (const key of ['address', 'fqdn']) {
+            it('should build one device from a PTR-only packet and the following records (key: ' + key + ')', function () {
+                const s = session(key);
+                assert.strictEqual(DnsSd._collectDevice(s, response('192.168.1.50', [ptr])), true);
+                assert.strictEqual(DnsSd._collectDevice(s, response('192.168.1.50', [srv, txt], [a])), true);
+                const list = Object.values(s.devices);
+                assert.strictEqual(list.length, 1);
+                assert.strictEqual(list[0].fqdn, 'TV._googlecast._tcp.local');
+                assert.strictEqual(list[0].modelName, 'Model A');
+                assert.strictEqual(list[0].service.port, 80);
+                assert.strictEqual(list[0].address, '192.168.1.50');
+                assert.strictEqual(list[0].packets.length, 2);
+            });
+        }
+
+        it('should re-key a device by its host name once it is known', function () {
+            const s = session('address');
+            DnsSd._collectDevice(s, response('192.168.1.50', [ptr]));
+            assert.deepStrictEqual(Object.keys(s.devices), ['192.168.1.50']);
+            DnsSd._collectDevice(s, response('192.168.1.50', [ptr], [srv, a]));
+            assert.deepStrictEqual(Object.keys(s.devices), ['tv.local']);
+            assert.strictEqual(s.devices['tv.local'].packets.length, 1);
+        });
+
+        it('should not grow the packet list with a repeated packet', function () {
+            const s = session('fqdn');
+            const p = response('192.168.1.50', [ptr], [srv, txt, a]);
+            DnsSd._collectDevice(s, p);
+            DnsSd._collectDevice(s, Object.assign({}, p));
+            DnsSd._collectDevice(s, Object.assign({}, p));
+            assert.strictEqual(s.devices['TV._googlecast._tcp.local'].packets.length, 1);
+        });
+
+        it('should replace the records flushed by a later packet', function () {
+            const s = session('fqdn');
+            DnsSd._collectDevice(s, response('192.168.1.50', [ptr], [srv, txt, a]));
+            const txt2 = Object.assign({}, txt, { rdata: { md: 'Model B' } });
+            DnsSd._collectDevice(s, response('192.168.1.50', [txt2]));
+            const device = s.devices['TV._googlecast._tcp.local'];
+            assert.strictEqual(device.modelName, 'Model B');
+            assert.strictEqual(device.familyName, null);
+            assert.strictEqual(device.packets.length, 2);
+            const merged = DnsSd._mergeRecords(device.packets).packet;
+            assert.strictEqual(merged.additionals.filter((r) => r.type === 'TXT').length, 0);
+        });
+
+        it('should drop a device which no longer matches the filter', function () {
+            const s = session('fqdn', { txt: { md: 'Model A' } });
+            assert.strictEqual(DnsSd._collectDevice(s, response('192.168.1.50', [ptr], [srv, txt, a])), true);
+            const txt2 = Object.assign({}, txt, { rdata: { md: 'Model B' } });
+            assert.strictEqual(DnsSd._collectDevice(s, response('192.168.1.50', [txt2])), false);
+            assert.deepStrictEqual(s.devices, {});
+        });
+
+        it('should ignore the records of an unknown instance', function () {
+            const s = session('address');
+            assert.strictEqual(DnsSd._collectDevice(s, response('192.168.1.50', [srv, txt], [a])), false);
+            assert.deepStrictEqual(s.devices, {});
+        });
+    });
+
     describe('Device Filter Evaluation', function () {
         const mockDevice = {
             fqdn: 'My Device._http._tcp.local',
@@ -308,6 +830,31 @@ describe('DnsSd', function () {
             const result = DnsSd._evaluateDeviceFilter(mockDevice, filter);
             assert.strictEqual(result, false);
         });
+
+        it('should match the TXT data of the instance with a filter object', function () {
+            const record = (name, type, rdata, flash = false) => ({ name, type, class: 'IN', flash, ttl: 120, rdata });
+            const device = DnsSd._createMergedDeviceObject([{
+                header: { qr: 1, op: 0 },
+                questions: [],
+                answers: [record('_http._tcp.local', 'PTR', 'Web._http._tcp.local')],
+                authorities: [],
+                additionals: [
+                    record('Web._http._tcp.local', 'SRV', { priority: 0, weight: 0, port: 80, target: 'web.local' }),
+                    record('Web._http._tcp.local', 'TXT', { path: '/old' }, true)
+                ],
+                address: '192.168.1.50'
+            }, {
+                header: { qr: 1, op: 0 },
+                questions: [],
+                answers: [record('Web._http._tcp.local', 'TXT', { path: '/' }, true)],
+                authorities: [],
+                additionals: [],
+                address: '192.168.1.50'
+            }]);
+            assert.strictEqual(DnsSd._evaluateDeviceFilter(device, { port: 80, txt: { path: '/' } }), true);
+            assert.strictEqual(DnsSd._evaluateDeviceFilter(device, { txt: { path: '/old' } }), false);
+            assert.strictEqual(DnsSd._evaluateDeviceFilter(mockDevice, { instance: 'my *' }), true);
+        });
     });
 
     describe('Answer Packet Validation', function () {
@@ -319,36 +866,687 @@ describe('DnsSd', function () {
             header: { qr: 0, op: 0 }
         };
 
+        let dnssd = null;
+
         beforeEach(function () {
-            DnsSd._netif_address_list = ['192.168.1.10', '10.0.0.5'];
-            DnsSd._allow_localhost = false;
+            dnssd = createDnsSd();
+            dnssd._netif_address_list = ['192.168.1.10', '10.0.0.5'];
         });
 
         it('should accept valid answer packet from external address', function () {
-            const result = DnsSd._isAnswerPacket(validPacket, '192.168.1.100');
+            const result = dnssd._isAnswerPacket(validPacket, '192.168.1.100');
             assert.strictEqual(result, true);
         });
 
         it('should reject packet from local address by default', function () {
-            const result = DnsSd._isAnswerPacket(validPacket, '192.168.1.10');
+            const result = dnssd._isAnswerPacket(validPacket, '192.168.1.10');
             assert.strictEqual(result, false);
         });
 
         it('should accept packet from local address when localhost=true', function () {
-            DnsSd._allow_localhost = true;
-            const result = DnsSd._isAnswerPacket(validPacket, '192.168.1.10');
+            const result = dnssd._isAnswerPacket(validPacket, '192.168.1.10', true);
             assert.strictEqual(result, true);
         });
 
         it('should reject query packets', function () {
-            const result = DnsSd._isAnswerPacket(queryPacket, '192.168.1.100');
+            const result = dnssd._isAnswerPacket(queryPacket, '192.168.1.100');
             assert.strictEqual(result, false);
         });
 
         it('should reject packets with non-zero opcode', function () {
             const packet = { header: { qr: 1, op: 1 } };
-            const result = DnsSd._isAnswerPacket(packet, '192.168.1.100');
+            const result = dnssd._isAnswerPacket(packet, '192.168.1.100');
             assert.strictEqual(result, false);
         });
     });
+
+    describe('Concurrent Discovery Sessions', function () {
+        let dnssd = null;
+
+        function datagram(service, instance, port) {
+            return encode(announcement({ service, instance, port }));
+        }
+
+        function start(params) {
+            const res = dnssd._checkDiscoveryParameters(Object.assign({ wait: 1 }, params));
+            const session = dnssd._createDiscoverySession(res.params);
+            return { session, done: dnssd._startDiscovery(session) };
+        }
+
+        beforeEach(function () {
+            dnssd = createDnsSd();
+            dnssd._netif_address_list = ['192.168.1.10'];
+        });
+
+        afterEach(function () {
+            dnssd._query_scheduler.stop();
+            dnssd.cache.clear();
+        });
+
+        it('should deliver packets to each session by its own names', async function () {
+            this.timeout(3000);
+            const a = start({ name: '_http._tcp.local' });
+            const b = start({ name: '_ipp._tcp.local' });
+            assert.strictEqual(dnssd._sessions.size, 2);
+            dnssd._receivePacket(datagram('_http._tcp.local', 'Web', 80), { address: '192.168.1.20' });
+            dnssd._receivePacket(datagram('_ipp._tcp.local', 'Printer', 631), { address: '192.168.1.30' });
+            await Promise.all([a.done, b.done]);
+            const list_a = Object.values(a.session.devices);
+            const list_b = Object.values(b.session.devices);
+            await dnssd._stopDiscovery(a.session);
+            await dnssd._stopDiscovery(b.session);
+            assert.deepStrictEqual(list_a.map((d) => d.fqdn), ['Web._http._tcp.local']);
+            assert.deepStrictEqual(list_b.map((d) => d.fqdn), ['Printer._ipp._tcp.local']);
+            assert.strictEqual(dnssd._sessions.size, 0);
+            assert.deepStrictEqual(dnssd._query_scheduler.getQuestions(), []);
+        });
+
+        it('should apply the filter of each session', async function () {
+            this.timeout(3000);
+            const a = start({ name: '_http._tcp.local', filter: 'Web' });
+            const b = start({ name: '_http._tcp.local', filter: 'Other' });
+            dnssd._receivePacket(datagram('_http._tcp.local', 'Web', 80), { address: '192.168.1.20' });
+            await Promise.all([a.done, b.done]);
+            assert.strictEqual(Object.keys(a.session.devices).length, 1);
+            assert.strictEqual(Object.keys(b.session.devices).length, 0);
+            await dnssd._stopDiscovery(a.session);
+            await dnssd._stopDiscovery(b.session);
+        });
+
+        it('should finish a quick session without ending the others', async function () {
+            this.timeout(3000);
+            const a = start({ name: '_http._tcp.local', quick: true });
+            const b = start({ name: '_http._tcp.local' });
+            let b_done = false;
+            b.done.then(() => { b_done = true; });
+            dnssd._receivePacket(datagram('_http._tcp.local', 'Web', 80), { address: '192.168.1.20' });
+            await a.done;
+            await dnssd._stopDiscovery(a.session);
+            assert.strictEqual(b_done, false);
+            assert.strictEqual(dnssd._sessions.size, 1);
+            await b.done;
+            await dnssd._stopDiscovery(b.session);
+            assert.strictEqual(Object.keys(b.session.devices).length, 1);
+        });
+
+        it('should start with the answers in the cache', async function () {
+            this.timeout(3000);
+            dnssd._receivePacket(datagram('_http._tcp.local', 'Web', 80), { address: '192.168.1.20' });
+            const a = start({ name: '_http._tcp.local', key: 'fqdn' });
+            const list = Object.values(a.session.devices);
+            await a.done;
+            await dnssd._stopDiscovery(a.session);
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0].fqdn, 'Web._http._tcp.local');
+            assert.strictEqual(list[0].address, dnssd.cache.getRecords({ name: 'host.local', type: 'A' })[0].rdata);
+            assert.strictEqual(list[0].service.port, 80);
+        });
+
+        it('should deliver packets from the local machine only to sessions allowing them', async function () {
+            this.timeout(3000);
+            const a = start({ name: '_http._tcp.local', localhost: true });
+            const b = start({ name: '_http._tcp.local' });
+            dnssd._receivePacket(datagram('_http._tcp.local', 'Web', 80), { address: '192.168.1.10' });
+            await Promise.all([a.done, b.done]);
+            assert.strictEqual(Object.keys(a.session.devices).length, 1);
+            assert.strictEqual(Object.keys(b.session.devices).length, 0);
+            await dnssd._stopDiscovery(a.session);
+            await dnssd._stopDiscovery(b.session);
+        });
+    });
+
+    describe('Streaming Discovery', function () {
+        let dnssd = null;
+
+        function datagram(instance, port) {
+            return encode(announcement({ instance, host: instance.toLowerCase() + '.local', port }));
+        }
+
+        function ptr(instance) {
+            return response([record('_http._tcp.local', 'PTR', instance + '._http._tcp.local', 4500)], { address: '192.168.1.20' });
+        }
+
+        function later(fn, msec) {
+            setTimeout(fn, msec);
+        }
+
+        /** Deliver a parsed packet the way DnsSd._receivePacket() does. */
+        function deliver(packet) {
+            for (const session of dnssd._sessions) {
+                session.onreceive(packet);
+            }
+        }
+
+        beforeEach(function () {
+            dnssd = createDnsSd({ wait: 2 });
+        });
+
+        afterEach(function () {
+            dnssd._query_scheduler.stop();
+            dnssd.cache.clear();
+        });
+
+        it('should throw on invalid parameters at once', function () {
+            assert.throws(() => dnssd.browse({}), /name/);
+        });
+
+        it('should yield a device as soon as it is found', async function () {
+            const started = Date.now();
+            later(() => dnssd._receivePacket(datagram('Web', 80), { address: '192.168.1.20' }), 50);
+            for await (const device of dnssd.browse({ name: '_http._tcp.local', key: 'fqdn' })) {
+                assert.strictEqual(device.fqdn, 'Web._http._tcp.local');
+                assert.ok(Date.now() - started < 1000);
+                break;
+            }
+            assert.strictEqual(dnssd._sessions.size, 0);
+            assert.deepStrictEqual(dnssd._query_scheduler.getQuestions(), []);
+        });
+
+        it('should yield a device again when a later packet adds data', async function () {
+            this.timeout(3000);
+            later(() => {
+                deliver(ptr('Web'));
+                dnssd._receivePacket(datagram('Web', 80), { address: '192.168.1.20' });
+                dnssd._receivePacket(datagram('Web', 80), { address: '192.168.1.20' });
+            }, 50);
+            const list = [];
+            for await (const device of dnssd.browse({ name: '_http._tcp.local', key: 'fqdn', wait: 1 })) {
+                list.push(device);
+            }
+            assert.strictEqual(list.length, 2);
+            assert.strictEqual(list[0].service, null);
+            assert.strictEqual(list[1].service.port, 80);
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+
+        it('should end after the first device if quick is true', async function () {
+            later(() => {
+                dnssd._receivePacket(datagram('Web', 80), { address: '192.168.1.20' });
+                dnssd._receivePacket(datagram('Other', 8080), { address: '192.168.1.21' });
+            }, 50);
+            const started = Date.now();
+            const list = [];
+            for await (const device of dnssd.browse({ name: '_http._tcp.local', key: 'fqdn', quick: true })) {
+                list.push(device.fqdn);
+            }
+            assert.deepStrictEqual(list, ['Web._http._tcp.local']);
+            assert.ok(Date.now() - started < 1000);
+        });
+
+        it('should throw an AbortError with the devices found so far', async function () {
+            const controller = new AbortController();
+            later(() => dnssd._receivePacket(datagram('Web', 80), { address: '192.168.1.20' }), 20);
+            later(() => controller.abort(), 100);
+            const list = [];
+            await assert.rejects(async () => {
+                for await (const device of dnssd.browse({ name: '_http._tcp.local', key: 'fqdn', signal: controller.signal })) {
+                    list.push(device);
+                }
+            }, (error) => {
+                assert.strictEqual(error.name, 'AbortError');
+                assert.strictEqual(error.devices.length, 1);
+                return true;
+            });
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+
+        it('should throw the error which ended the discovery', async function () {
+            dnssd._startDiscovery = async () => {
+                throw new Error('EHOSTUNREACH');
+            };
+            await assert.rejects(async () => {
+                for await (const device of dnssd.browse({ name: '_http._tcp.local' })) {
+                    assert.fail('unexpected device ' + device.fqdn);
+                }
+            }, /EHOSTUNREACH/);
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+    });
+
+    describe('AbortSignal', function () {
+        let dnssd = null;
+
+        beforeEach(function () {
+            dnssd = createDnsSd({ wait: 2 });
+        });
+
+        afterEach(function () {
+            dnssd._query_scheduler.stop();
+            dnssd.cache.clear();
+        });
+
+        it('should reject an invalid signal', async function () {
+            await assert.rejects(dnssd.discover({ name: '_http._tcp.local', signal: {} }), /signal/);
+            await assert.rejects(dnssd.discoverServiceTypes({ signal: 'abort' }), /signal/);
+            await assert.rejects(dnssd.resolve('Web._http._tcp.local', { signal: null }), /signal/);
+        });
+
+        it('should reject at once if the signal is aborted already', async function () {
+            const signal = AbortSignal.abort();
+            await assert.rejects(dnssd.discover({ name: '_http._tcp.local', signal }), (error) => {
+                assert.strictEqual(error.name, 'AbortError');
+                assert.strictEqual(error.code, 'ABORT_ERR');
+                assert.deepStrictEqual(error.devices, []);
+                return true;
+            });
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+
+        it('should stop the discovery with the devices found so far', async function () {
+            const controller = new AbortController();
+            const promise = dnssd.discover({ name: '_http._tcp.local', key: 'fqdn', signal: controller.signal });
+            await new Promise((resolve) => setImmediate(resolve));
+            dnssd._receivePacket(encode(announcement()), { address: '192.168.1.20' });
+            const started = Date.now();
+            controller.abort(new Error('client disconnected'));
+            await assert.rejects(promise, (error) => {
+                assert.strictEqual(error.name, 'AbortError');
+                assert.strictEqual(error.cause.message, 'client disconnected');
+                assert.deepStrictEqual(error.devices.map((d) => d.fqdn), ['Web._http._tcp.local']);
+                return true;
+            });
+            assert.ok(Date.now() - started < 500);
+            assert.strictEqual(dnssd._sessions.size, 0);
+            assert.deepStrictEqual(dnssd._query_scheduler.getQuestions(), []);
+        });
+
+        it('should stop the service type enumeration with the types found so far', async function () {
+            const controller = new AbortController();
+            const promise = dnssd.discoverServiceTypes({ signal: controller.signal });
+            await new Promise((resolve) => setImmediate(resolve));
+            const meta = record('_services._dns-sd._udp.local', 'PTR', '_http._tcp.local', 4500);
+            for (const session of dnssd._sessions) {
+                session.onreceive(response([meta], { address: '192.168.1.20' }));
+            }
+            controller.abort();
+            await assert.rejects(promise, (error) => {
+                assert.strictEqual(error.name, 'AbortError');
+                assert.deepStrictEqual(error.serviceTypes.map((t) => t.name), ['_http._tcp.local']);
+                return true;
+            });
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+    });
+
+    describe('Subtype Browsing', function () {
+        const DnsSdAnnouncer = require('../lib/dns-sd-announcer.js');
+        const mDnsSdParser = require('../lib/dns-sd-parser.js');
+
+        it('should query the subtype name of each service type', function () {
+            const res = DnsSd._checkDiscoveryParameters({ name: ['_http._tcp.local', '_ipp._tcp.local'], subtype: 'printer' });
+            assert.strictEqual(res.params.subtype, '_printer');
+            assert.deepStrictEqual(res.params.name, ['_printer._sub._http._tcp.local', '_printer._sub._ipp._tcp.local']);
+        });
+
+        it('should browse the subtype with createBrowser()', function () {
+            const browser = DnsSd.createBrowser({ name: '_http._tcp.local', subtype: '_printer' });
+            assert.deepStrictEqual(browser._params.name, ['_printer._sub._http._tcp.local']);
+        });
+
+        it('should reject an invalid `subtype`', function () {
+            for (const v of ['', '_', 'a.b', 1]) {
+                const res = DnsSd._checkDiscoveryParameters({ name: '_http._tcp.local', subtype: v });
+                assert.match(res.error.message, /subtype/);
+            }
+        });
+
+        it('should parse the service type and protocol of a subtype name', function () {
+            assert.deepStrictEqual(DnsSd._parseServiceName('_printer._sub._http._tcp.local'), { type: 'http', protocol: 'tcp' });
+            assert.deepStrictEqual(DnsSd._parseServiceName('My.Printer._ipp._tcp.local'), { type: 'ipp', protocol: 'tcp' });
+        });
+
+        it('should find the instances of the subtype', function () {
+            const announcer = new DnsSdAnnouncer({ name: '_http._tcp.local', instance: 'Office', host: 'office.local', port: 631, subtypes: ['_printer'] });
+            const packet = mDnsSdParser.parse(announcer._buildPacket({ address: '192.168.1.50' }));
+            packet.address = '192.168.1.50';
+            const params = DnsSd._checkDiscoveryParameters({ name: '_http._tcp.local', subtype: 'printer', key: 'fqdn' }).params;
+            const session = DnsSd._createDiscoverySession(params);
+            assert.strictEqual(DnsSd._collectDevice(session, packet), true);
+            DnsSd._sessions.delete(session);
+            const device = session.devices['Office._http._tcp.local'];
+            assert.deepStrictEqual(device.service, { port: 631, protocol: 'tcp', type: 'http', subtypes: ['printer'] });
+        });
+    });
+
+    describe('Service Type Enumeration', function () {
+        const META = '_services._dns-sd._udp.local';
+
+        it('should validate the parameters', async function () {
+            await assert.rejects(DnsSd.discoverServiceTypes('x'), /params/);
+            await assert.rejects(DnsSd.discoverServiceTypes({ wait: -1 }), /wait/);
+            await assert.rejects(DnsSd.discoverServiceTypes({ browse: 1 }), /browse/);
+            await assert.rejects(DnsSd.discoverServiceTypes({ localhost: 'yes' }), /localhost/);
+        });
+
+        it('should collect the service types in the PTR records of the meta-query', function () {
+            const session = { devices: {} };
+            const found = DnsSd._collectServiceType(session, response([
+                record(META, 'PTR', '_http._tcp.local'),
+                record(META, 'PTR', '_IPP._tcp.local'),
+                record(META, 'PTR', 'not-a-type.local'),
+                record('_http._tcp.local', 'PTR', 'Web._http._tcp.local')
+            ], {
+                additionals: [record(META, 'PTR', '_ipp._tcp.local')]
+            }));
+            assert.strictEqual(found, true);
+            assert.deepStrictEqual(Object.keys(session.devices).sort(), ['_http._tcp.local', '_ipp._tcp.local']);
+        });
+
+        it('should ignore goodbyes', function () {
+            const session = { devices: {} };
+            const found = DnsSd._collectServiceType(session, response([record(META, 'PTR', '_http._tcp.local', 0)]));
+            assert.strictEqual(found, false);
+        });
+
+        it('should query the meta-query name and return the service types', async function () {
+            this.timeout(3000);
+            const dnssd = createDnsSd({ wait: 1 });
+            dnssd.cache.addPacket(response([
+                record(META, 'PTR', '_ssh._tcp.local'),
+                record(META, 'PTR', '_http._tcp.local')
+            ]));
+            const promise = dnssd.discoverServiceTypes();
+            await new Promise((resolve) => setImmediate(resolve));
+            const questions = dnssd._query_scheduler.getQuestions();
+            const list = await promise;
+            dnssd.cache.clear();
+            assert.deepStrictEqual(questions.map((q) => [q.name, q.type]), [[META, 'PTR']]);
+            assert.deepStrictEqual(list, [
+                { name: '_http._tcp.local', protocol: 'tcp', type: 'http' },
+                { name: '_ssh._tcp.local', protocol: 'tcp', type: 'ssh' }
+            ]);
+            assert.strictEqual(dnssd._sessions.size, 0);
+        });
+
+        it('should browse each service type if `browse` is true', async function () {
+            this.timeout(5000);
+            const dnssd = createDnsSd({ wait: 1 });
+            dnssd.cache.addPacket(response([record(META, 'PTR', '_http._tcp.local')]));
+            dnssd.cache.addPacket(response([
+                record('_http._tcp.local', 'PTR', 'Web._http._tcp.local')
+            ], {
+                additionals: [
+                    record('Web._http._tcp.local', 'SRV', { priority: 0, weight: 0, port: 80, target: 'web.local' }),
+                    record('web.local', 'A', '192.168.1.20')
+                ]
+            }));
+            const list = await dnssd.discoverServiceTypes({ browse: true });
+            dnssd.cache.clear();
+            assert.strictEqual(list.length, 1);
+            assert.deepStrictEqual(list[0].devices.map((d) => d.fqdn), ['Web._http._tcp.local']);
+            assert.strictEqual(list[0].devices[0].service.port, 80);
+        });
+    });
+
+    describe('Record Cache', function () {
+        const datagram = encode(response([record('test.local', 'A', '192.168.1.1')]));
+
+        afterEach(function () {
+            DnsSd.cache.clear();
+        });
+
+        it('should store received responses in the cache', function () {
+            DnsSd._receivePacket(datagram, { address: '192.168.1.1' });
+            const list = DnsSd.cache.getRecords({ name: 'test.local', type: 'A' });
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0].rdata, '192.168.1.1');
+            assert.strictEqual(DnsSd.cache.dump()[0].address, '192.168.1.1');
+        });
+
+        it('should not store queries in the cache', function () {
+            const query = Buffer.from(datagram);
+            query[2] = 0x00;
+            DnsSd._receivePacket(query, { address: '192.168.1.1' });
+            assert.strictEqual(DnsSd.cache.size, 0);
+        });
+    });
+
+    describe('Events', function () {
+        const datagram = encode(response([record('test.local', 'A', '192.168.1.1')]));
+        const query = Buffer.from(datagram);
+        query[2] = 0x00;
+
+        let dnssd;
+
+        beforeEach(function () {
+            dnssd = new DnsSd.DnsSd();
+        });
+
+        function listen(events) {
+            const list = [];
+            for (const name of events) {
+                dnssd.on(name, (...args) => list.push([name].concat(args)));
+            }
+            return list;
+        }
+
+        it('should emit packet, response and record for a response', function () {
+            const list = listen(['packet', 'query', 'response', 'record']);
+            dnssd._receivePacket(datagram, { address: '192.168.1.1' });
+            assert.deepStrictEqual(list.map((e) => e[0]), ['packet', 'response', 'record']);
+            assert.strictEqual(list[0][1].address, '192.168.1.1');
+            assert.strictEqual(list[2][1].name, 'test.local');
+            assert.strictEqual(list[2][2], list[0][1]);
+        });
+
+        it('should emit packet and query for a query', function () {
+            const list = listen(['packet', 'query', 'response', 'record']);
+            dnssd._receivePacket(query, { address: '192.168.1.1' });
+            assert.deepStrictEqual(list.map((e) => e[0]), ['packet', 'query']);
+        });
+
+        it('should let several listeners receive the packets', function () {
+            let count = 0;
+            dnssd.on('packet', () => count++);
+            dnssd.on('packet', () => count++);
+            dnssd._receivePacket(datagram, { address: '192.168.1.1' });
+            assert.strictEqual(count, 2);
+        });
+
+        it('should call ondata only while monitoring', function () {
+            const list = [];
+            dnssd.ondata = (packet) => list.push(packet);
+            dnssd._receivePacket(datagram, { address: '192.168.1.1' });
+            assert.strictEqual(list.length, 0);
+            dnssd._monitors.add(new DnsSdMonitor(dnssd, {}));
+            dnssd._receivePacket(datagram, { address: '192.168.1.1' });
+            assert.strictEqual(list.length, 1);
+        });
+
+        it('should emit socket errors only if they are listened to', function () {
+            assert.doesNotThrow(() => dnssd._emitError(new Error('EHOSTUNREACH')));
+            const list = listen(['error']);
+            dnssd._emitError(new Error('EHOSTUNREACH'));
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0][1].message, 'EHOSTUNREACH');
+        });
+    });
+
+    describe('Socket Lifetime', function () {
+        let dnssd, opened, closing;
+
+        beforeEach(function () {
+            dnssd = new DnsSd.DnsSd();
+            opened = 0;
+            closing = [];
+            dnssd._openSocket = async () => {
+                opened++;
+                dnssd._is_listening = true;
+            };
+            // The close finishes when the test calls the function
+            dnssd._closeSocket = () => new Promise((resolve) => {
+                closing.push(() => {
+                    dnssd._is_listening = false;
+                    dnssd.emit('close');
+                    resolve();
+                });
+            });
+        });
+
+        const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+        it('should open the socket again for a monitor started while it is closing', async function () {
+            const a = await dnssd.startMonitoring();
+            const stopped = a.stop();
+            await tick();
+            assert.strictEqual(closing.length, 1);
+            let started = false;
+            const b = dnssd.startMonitoring().then((monitor) => {
+                started = true;
+                return monitor;
+            });
+            await tick();
+            assert.strictEqual(started, false);
+            closing[0]();
+            await stopped;
+            const monitor = await b;
+            assert.strictEqual(opened, 2);
+            assert.strictEqual(dnssd._is_listening, true);
+            const stopped_again = monitor.stop();
+            await tick();
+            closing[1]();
+            await stopped_again;
+        });
+
+        it('should close the socket once for concurrent stops', async function () {
+            await dnssd.startMonitoring();
+            await dnssd.startMonitoring();
+            const stopped = dnssd.stopMonitoring();
+            const again = dnssd._stopListening();
+            await tick();
+            assert.strictEqual(closing.length, 1);
+            closing[0]();
+            await Promise.all([stopped, again]);
+            assert.strictEqual(dnssd._is_listening, false);
+            assert.strictEqual(dnssd._closing_promise, null);
+        });
+    });
+
+    describe('Query Packet Composition', function () {
+        const parser = require('../lib/dns-sd-parser.js');
+
+        function ptrResponse(instance, ttl = 4500) {
+            return {
+                header: { qr: 1, op: 0 },
+                questions: [],
+                answers: [{ name: '_http._tcp.local', type: 'PTR', class: 'IN', flash: false, ttl: ttl, rdata: instance }],
+                authorities: [],
+                additionals: [],
+                address: '192.168.1.50'
+            };
+        }
+
+        function query(answers = []) {
+            return {
+                header: { qr: 0, op: 0 },
+                questions: [{ name: '_http._tcp.local', type: 'PTR', class: 'IN' }],
+                answers: answers,
+                authorities: [],
+                additionals: [],
+                address: '192.168.1.60'
+            };
+        }
+
+        beforeEach(function () {
+            DnsSd.cache.clear();
+            DnsSd._recent_questions.clear();
+        });
+
+        afterEach(function () {
+            DnsSd.cache.clear();
+            DnsSd._recent_questions.clear();
+        });
+
+        it('should put the cached records in the Known-Answer section', function () {
+            DnsSd.cache.addPacket(ptrResponse('A._http._tcp.local'));
+            const [buf] = DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR' });
+            const p = parser.parse(buf);
+            assert.strictEqual(p.questions.length, 1);
+            assert.strictEqual(p.answers.length, 1);
+            assert.strictEqual(p.answers[0].rdata, 'A._http._tcp.local');
+        });
+
+        it('should send the known answers which do not fit in more packets (RFC 6762 §7.2)', function () {
+            for (let i = 0; i < 100; i++) {
+                DnsSd.cache.addPacket(ptrResponse(`Server ${i}._http._tcp.local`));
+            }
+            const bufs = DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR' });
+            assert.ok(bufs.length > 1);
+            const packets = bufs.map((buf) => parser.parse(buf));
+            assert.deepStrictEqual(packets.map((p) => p.header.tc), bufs.map((b, i) => (i < bufs.length - 1) ? 1 : 0));
+            assert.strictEqual(packets.reduce((n, p) => n + p.answers.length, 0), 100);
+        });
+
+        it('should leave out the known answers which can not be encoded', function () {
+            // A type 65 (HTTPS) record, which the parser does not know
+            DnsSd.cache.addPacket(response([
+                record('host.local', '', '0001000000'),
+                record('host.local', 'A', '192.168.1.50')
+            ]));
+            const [buf] = DnsSd._composeQueryPackets({ name: ['host.local'] });
+            const p = parser.parse(buf);
+            assert.deepStrictEqual(p.answers.map((r) => r.type), ['A']);
+        });
+
+        it('should skip a question asked by another host within one second', function () {
+            DnsSd._recordQuestions(query());
+            assert.strictEqual(DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR' }), null);
+        });
+
+        it('should keep the other questions in the packet', function () {
+            DnsSd._recordQuestions(query());
+            const [buf] = DnsSd._composeQueryPackets({ name: ['_http._tcp.local', '_ipp._tcp.local'], type: 'PTR' });
+            const p = parser.parse(buf);
+            assert.deepStrictEqual(p.questions.map((q) => q.name), ['_ipp._tcp.local']);
+        });
+
+        it('should not skip a question asked more than one second ago', function () {
+            DnsSd._recordQuestions(query());
+            for (const q of DnsSd._recent_questions.values()) {
+                q.time -= 1500;
+            }
+            assert.ok(DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR' }));
+        });
+
+        it('should not skip a question whose known answers we do not share', function () {
+            const other = ptrResponse('B._http._tcp.local').answers;
+            DnsSd._recordQuestions(query(other));
+            assert.ok(DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR' }));
+        });
+
+        it('should skip a question whose known answers we also have', function () {
+            DnsSd.cache.addPacket(ptrResponse('B._http._tcp.local'));
+            DnsSd._recordQuestions(query(ptrResponse('B._http._tcp.local').answers));
+            assert.strictEqual(DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR' }), null);
+        });
+
+        it('should record the questions of queries from other hosts', function () {
+            const buf = require('../lib/dns-sd-composer.js').compose({ name: ['_http._tcp.local'], type: 'PTR' });
+            DnsSd._receivePacket(buf, { address: '192.168.1.60' });
+            assert.strictEqual(DnsSd._recent_questions.size, 1);
+        });
+
+        it('should not record QU questions of other hosts', function () {
+            const buf = require('../lib/dns-sd-composer.js').compose({
+                name: ['_http._tcp.local'],
+                type: 'PTR',
+                unicastResponse: true
+            });
+            DnsSd._receivePacket(buf, { address: '192.168.1.60' });
+            assert.strictEqual(DnsSd._recent_questions.size, 0);
+        });
+
+        it('should set the QU bit if unicastResponse is true', function () {
+            const [buf] = DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR', unicastResponse: true });
+            assert.strictEqual(parser.parse(buf).questions[0].qu, true);
+        });
+
+        it('should not skip a QU question asked by another host', function () {
+            DnsSd._recordQuestions(query());
+            const [buf] = DnsSd._composeQueryPackets({ name: ['_http._tcp.local'], type: 'PTR', unicastResponse: true });
+            assert.ok(buf);
+            assert.strictEqual(parser.parse(buf).questions.length, 1);
+        });
+    });
 });
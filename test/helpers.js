@@ -0,0 +1,99 @@
+/* ------------------------------------------------------------------
+ * node-dns-sd - helpers.js
+ * Fixtures shared by the unit tests
+ *
+ * The packets are built as mDnsSdParser.parse() returns them, so they
+ * can be fed to the record cache and the DnsSd object without a socket.
+ * ---------------------------------------------------------------- */
+'use strict';
+
+const { DnsSd } = require('../lib/dns-sd.js');
+const mDnsSdComposer = require('../lib/dns-sd-composer.js');
+
+function record(name, type, rdata, ttl = 120, flash = false) {
+    return { name, type, class: 'IN', flash, ttl, rdata };
+}
+
+function response(answers, { additionals = [], address = '192.168.1.50' } = {}) {
+    return {
+        header: { qr: 1, op: 0 },
+        questions: [],
+        answers,
+        authorities: [],
+        additionals,
+        address
+    };
+}
+
+function query(name, type, address = '192.168.1.60') {
+    return {
+        header: { qr: 0, op: 0 },
+        questions: [{ name, type, class: 'IN' }],
+        answers: [],
+        authorities: [],
+        additionals: [],
+        address
+    };
+}
+
+/** A response announcing the instance: the PTR record, then the SRV,
+ *  TXT and A records with the cache-flush bit. */
+function announcement({
+    service = '_http._tcp.local', instance = 'Web', host = 'host.local',
+    address = '192.168.1.50', port = 80, txt = {}, ttl = 120
+} = {}) {
+    const fqdn = `${instance}.${service}`;
+    return response([record(service, 'PTR', fqdn, ttl)], {
+        additionals: [
+            record(fqdn, 'SRV', { priority: 0, weight: 0, port, target: host }, ttl, true),
+            record(fqdn, 'TXT', txt, ttl, true),
+            record(host, 'A', address, ttl, true)
+        ],
+        address
+    });
+}
+
+/** The datagram of a response, for DnsSd._receivePacket(). */
+function encode(packet) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(0x8400, 2); // QR=1, AA=1
+    const bufs = [header];
+    ['answers', 'authorities', 'additionals'].forEach((k, i) => {
+        header.writeUInt16BE(packet[k].length, 6 + i * 2);
+        for (const r of packet[k]) {
+            const buf = mDnsSdComposer._encodeRecord(r);
+            if (r.flash) {
+                // The cache-flush bit is the top bit of the class
+                buf[mDnsSdComposer._encodeName(r.name).length + 2] |= 0x80;
+            }
+            bufs.push(buf);
+        }
+    });
+    return Buffer.concat(bufs);
+}
+
+/** A DnsSd object which never opens the socket. */
+function createDnsSd(options) {
+    const dnssd = new DnsSd(options);
+    dnssd._startListening = async () => { };
+    dnssd._stopListening = async () => { };
+    return dnssd;
+}
+
+/** Deliver a response the way DnsSd._receivePacket() does. */
+function feed(dnssd, packet) {
+    dnssd.cache.addPacket(packet);
+    for (const resolver of dnssd._resolvers) {
+        resolver._handlePacket(packet);
+    }
+    for (const browser of dnssd._browsers) {
+        browser._handlePacket(packet);
+    }
+}
+
+/** The questions of the query scheduler as "name type", sorted. */
+function listQuestions(dnssd) {
+    return dnssd._query_scheduler.getQuestions().map((q) => `${q.name} ${q.type}`).sort();
+}
+
+module.exports = { record, response, query, announcement, encode, createDnsSd, feed, listQuestions };